@@ -0,0 +1,82 @@
+/**
+ * Mortgage affordability calculations
+ * Pure functions - turn an income and loan terms into a maximum purchase price
+ */
+
+// Default loan assumptions for the mortgage calculator
+const DEFAULT_MORTGAGE_TERMS = {
+    rate: 6.5,          // Annual interest rate (%)
+    termYears: 30,      // Loan term
+    downPercent: 20,    // Down payment (% of price)
+    taxRate: 1.1,       // Property tax (% of price per year)
+    insurance: 1500,    // Homeowners insurance ($ per year)
+    hoa: 0,             // HOA dues ($ per month)
+    otherDebts: 0,      // Car, student loan, card payments ($ per month)
+    frontEndDTI: 28,    // Max housing payment (% of gross monthly income)
+    backEndDTI: 36      // Max total debt payments (% of gross monthly income)
+};
+
+/**
+ * Monthly principal and interest per dollar borrowed
+ * @param {number} rate - Annual interest rate (%)
+ * @param {number} termYears - Loan term in years
+ * @returns {number} Payment factor
+ */
+function getMortgagePaymentFactor(rate, termYears) {
+    const monthlyRate = rate / 100 / 12;
+    const payments = termYears * 12;
+    if (monthlyRate === 0) return 1 / payments;
+    return monthlyRate / (1 - Math.pow(1 + monthlyRate, -payments));
+}
+
+/**
+ * Calculate the maximum purchase price allowed by front-end and back-end DTI limits
+ * The housing payment (principal, interest, tax, insurance, HOA) must fit under
+ * the front-end limit, and housing plus other debts under the back-end limit
+ * @param {number} income - Gross annual income
+ * @param {Object} terms - Loan terms (see DEFAULT_MORTGAGE_TERMS)
+ * @returns {Object} { maxPrice, maxPayment, limitedBy } - limitedBy is 'front-end' or 'back-end'
+ */
+function calculateMaxPurchasePrice(income, terms) {
+    const monthlyIncome = income / 12;
+    const frontEndPayment = monthlyIncome * terms.frontEndDTI / 100;
+    const backEndPayment = monthlyIncome * terms.backEndDTI / 100 - terms.otherDebts;
+
+    const maxPayment = Math.max(0, Math.min(frontEndPayment, backEndPayment));
+    const limitedBy = frontEndPayment <= backEndPayment ? 'front-end' : 'back-end';
+
+    // Costs that don't scale with price come off the top
+    const availableForPrice = maxPayment - terms.insurance / 12 - terms.hoa;
+
+    // Monthly cost per dollar of purchase price: loan payment plus property tax
+    const costPerDollar = (1 - terms.downPercent / 100) * getMortgagePaymentFactor(terms.rate, terms.termYears) +
+        terms.taxRate / 100 / 12;
+
+    const maxPrice = availableForPrice > 0 && costPerDollar > 0 ? availableForPrice / costPerDollar : 0;
+
+    return { maxPrice, maxPayment, limitedBy };
+}
+
+/**
+ * Restate an income in a past year's dollars using wage growth
+ * @param {number} income - Income in the reference year
+ * @param {number} year - Year to restate the income for
+ * @param {number} referenceYear - Year the income was entered for
+ * @returns {number} Income the same earner would have had in that year
+ */
+function restateIncome(income, year, referenceYear = 2025) {
+    if (!WAGE_INDEX[year] || !WAGE_INDEX[referenceYear]) return income;
+    return income * WAGE_INDEX[year] / WAGE_INDEX[referenceYear];
+}
+
+/**
+ * Get loan terms with a given year's average 30-year mortgage rate
+ * The user's other terms (down payment, taxes, DTI limits) are kept as entered
+ * @param {Object} terms - Loan terms (see DEFAULT_MORTGAGE_TERMS)
+ * @param {number} year - Year whose rate to use
+ * @returns {Object} Terms for that year
+ */
+function getHistoricalTerms(terms, year) {
+    const rate = MORTGAGE_RATES_30Y[year];
+    return rate === undefined ? terms : { ...terms, rate };
+}
@@ -3,29 +3,116 @@
  * Main application logic with true lazy loading
  * 
  * Data is only loaded when needed:
- * - CSV data: Loaded once on init (required for all operations)
- * - GeoJSON: Only loaded when a state is selected
- * - National ranges: Calculated once from CSV data
+ * - Price data: Loaded once on init (required for all operations)
+ * - GeoJSON: Only loaded when a state is selected, at the level of detail for the
+ *   zoom (coarse when zoomed out, finer geometry swapped in when zooming in)
+ *
+ * The price data is decoded by the data worker (js/data-worker.js), which also
+ * computes ranges, stats and colors; this file applies its results.
  */
 
 // Application state
 const AppState = {
     map: null,
-    currentLayer: null,
-    currentGeoJSON: null,  // Cache current state's GeoJSON
-    zhviData: {},          // Price data by ZIP code
+    currentLayer: null,    // Feature group holding every loaded state's layer
+    currentGeoJSON: null,  // Union of all loaded states' features
+    stateLayers: {},       // Registry of loaded states: abbr -> { layer, geojson, level, vertices, auto }
+    geojsonCache: new Map(),  // LRU of unused state geometry: "abbr|level" -> { geojson, vertices }
+    CACHE_VERTEX_BUDGET: 400000,  // Max vertices kept in the GeoJSON cache
+    zhviData: {},          // Price rows by ZIP code (Float32Array per ZIP, see metrics.js)
+    actualData: {},        // Price rows as reported; zhviData is these or the filled rows,
+                           // restated in real dollars when that mode is on (js/inflation.js)
+    priceZips: [],         // ZIP codes in price data order
+    zipStates: {},         // State abbreviation by ZIP code, from the price data
     currentYear: 2000,
     currentState: null,
     isPlaying: false,
     playInterval: null,
-    priceRange: { min: 0, max: 1000000 },
+    playFrame: null,       // requestAnimationFrame id during smooth playback
+    displayYear: null,     // Fractional year shown mid-transition in smooth playback
+    // Playback settings
+    playbackSpeed: 800,    // Milliseconds per year
+    playbackStart: 2000,
+    playbackEnd: 2025,
+    playbackLoop: false,
+    smoothPlayback: false, // Interpolate values and colors between years
+    classes: null,         // Classes of the last applied frame: { scheme, breaks, counts }
+    featureColors: new Map(),   // Fill color by ZIP, from the data worker
+    affordableZips: new Map(),  // ZIP -> affordable (true/false); missing when no data
+    affordabilityCounts: null,  // { count, total } of affordable loaded ZIPs
     scaleMode: 'state',    // 'state' or 'national'
-    nationalPriceRange: {}, // National ranges per year (calculated once)
-    isDataLoaded: false,   // Track if CSV is loaded
+    classScheme: 'equal',  // Key of CLASSIFICATION_SCHEMES
+    classCount: 11,        // Number of classes, one of CLASS_COUNTS
+    customBreaks: {},      // Custom class breaks by metric
+    metric: 'price',       // Key of METRICS used to color the map
+    metricBaseYear: 2000,  // Base year for change and growth metrics
+    realDollars: false,    // Restate prices in constant dollars
+    dollarYear: 2025,      // Year whose dollars real mode uses
+    isDataLoaded: false,   // Track if price data is loaded
+    pinnedZip: null,       // ZIP shown in the detail panel
+    zipLayers: new Map(),  // ZIP -> feature layer in the loaded states (js/search.js)
+    searchZips: new Set(), // ZIPs outlined by the last search
+    searchSuggestions: [], // Typeahead suggestions under the search box
+    searchSuggestionIndex: -1,  // Suggestion picked with the arrow keys
+    // Custom regions (js/regions.js)
+    drawMode: null,        // Active draw tool, key of REGION_DRAW_MODES
+    drawing: null,         // Shape being drawn: { start, points, layer }
+    region: null,          // Current region: { name, zips (Set), geometry }
+    regionShapeLayer: null,  // Dashed outline of the current region's shape
+    savedRegions: [],      // Named regions, saved in localStorage
+    compareZips: [],       // ZIPs in the comparison tray (in pin order)
+    compareColors: new Map(),  // Compared ZIP -> its COMPARE_COLORS color, kept until removed
+    COMPARE_LIMIT: 6,      // Max ZIPs in the comparison tray
     // Affordability feature
     affordabilityMode: false,
-    maxAffordablePrice: null,  // Calculated from income (3.5x multiplier)
-    AFFORDABILITY_MULTIPLIER: 3.5  // Standard mortgage qualification rule
+    maxAffordablePrice: null,  // Calculated from income and mortgage terms
+    affordabilityDetails: null,  // { maxPayment, limitedBy } behind the max price
+    mortgageTerms: { ...DEFAULT_MORTGAGE_TERMS },
+    historicalAffordability: false,  // Use each year's mortgage rate
+    adjustIncomeForWages: true,      // Restate income by wage growth in historical mode
+    // URL sync (deep links)
+    isRestoringURL: false,  // Suppress URL writes while applying a link
+    urlSyncTimer: null,
+    urlSyncPush: false,     // A pending URL write came from a user action (adds a history entry)
+    isRecording: false,     // Timeline export in progress
+    // National overview (state and ZIP prefix medians)
+    overviewLevel: null,    // 'states' or 'zip3', by zoom
+    overviewLayers: {},     // Loaded overview layers by level
+    overviewMedians: null,  // Last applied medians: { level, medians, classes }
+    // Auto-load states in view
+    autoLoad: false,
+    isAutoLoading: false,
+    autoLoadPending: false, // View changed while loading - check again when done
+    autoLoadTimer: null,
+    // Nationwide view (vector tiles of every ZIP)
+    nationwide: false,
+    nationwideLayer: null,  // Leaflet.VectorGrid layer, built on first use
+    nationwideHover: null,  // ZIP highlighted in the tiles
+    nationwideZips: new Set(),  // ZIPs drawn by the tiles so far, restyled on each change
+    // Offline use
+    offlineStates: [],       // States saved for offline use
+    isDownloadingOffline: false,
+    offlineStatusTimer: null,
+    // Data diagnostics
+    diagnostics: null,       // Last report, see checkDataJoin in js/data-checks.js
+    isCheckingData: false,
+    // Data quality (js/estimates.js)
+    fillGaps: false,         // Estimate missing years
+    filledData: null,        // Gap-filled price rows by ZIP, fetched on first use
+    estimatedYears: null,    // ZIP -> Uint8Array with 1 for each estimated year
+    flagJumps: false,        // Outline suspicious year-over-year jumps
+    jumpThreshold: 50,       // Largest unflagged change, in percent
+    // Your data (js/user-data.js)
+    userFile: null,          // Parsed CSV: { name, fields, rows }
+    userData: null,          // Joined values: { name, unit, rows, ratioRows }, rows by ZIP
+    userDataMode: 'upload',  // Show the values ('upload') or home value ratios ('ratio')
+    // Appearance (js/appearance.js), saved in localStorage
+    sequentialPalette: 'classic',  // Key of PALETTES.sequential
+    divergingPalette: 'classic',   // Key of PALETTES.diverging
+    reversePalette: false,   // Flip the ramps' order
+    basemap: 'dark',         // Key of BASEMAPS
+    basemapLayer: null,      // Leaflet tile layer, null for no basemap
+    theme: 'dark'            // 'dark' or 'light'
 };
 
 // DOM element cache
@@ -36,34 +123,144 @@ const Elements = {};
  */
 function cacheElements() {
     Elements.stateSelect = document.getElementById('stateSelect');
+    Elements.stateChips = document.getElementById('stateChips');
+    Elements.autoLoadToggle = document.getElementById('autoLoadToggle');
+    Elements.autoLoadStatus = document.getElementById('autoLoadStatus');
+    Elements.nationwideToggle = document.getElementById('nationwideToggle');
     Elements.yearSlider = document.getElementById('yearSlider');
     Elements.currentYear = document.getElementById('currentYear');
     Elements.playBtn = document.getElementById('playBtn');
     Elements.playIcon = document.getElementById('playIcon');
     Elements.playText = document.getElementById('playText');
+    Elements.playbackSpeed = document.getElementById('playbackSpeed');
+    Elements.playbackStart = document.getElementById('playbackStart');
+    Elements.playbackEnd = document.getElementById('playbackEnd');
+    Elements.playbackLoop = document.getElementById('playbackLoop');
+    Elements.smoothToggle = document.getElementById('smoothToggle');
     Elements.statsBar = document.getElementById('statsBar');
     Elements.statMedian = document.getElementById('statMedian');
     Elements.statMin = document.getElementById('statMin');
     Elements.statMax = document.getElementById('statMax');
-    Elements.legendScale = document.getElementById('legendScale');
-    Elements.legendMin = document.getElementById('legendMin');
-    Elements.legendMax = document.getElementById('legendMax');
+    Elements.legendTitle = document.getElementById('legendTitle');
+    Elements.legendNote = document.getElementById('legendNote');
+    Elements.legendClasses = document.getElementById('legendClasses');
     Elements.infoPanel = document.getElementById('infoPanel');
     Elements.infoZip = document.getElementById('infoZip');
     Elements.infoPrice = document.getElementById('infoPrice');
     Elements.infoChange = document.getElementById('infoChange');
+    Elements.infoMetric = document.getElementById('infoMetric');
+    Elements.infoQuality = document.getElementById('infoQuality');
+    // Metric switcher
+    Elements.metricSelect = document.getElementById('metricSelect');
+    Elements.metricBaseYear = document.getElementById('metricBaseYear');
+    Elements.metricBaseRow = document.getElementById('metricBaseRow');
+    Elements.dollarsNominal = document.getElementById('dollarsNominal');
+    Elements.dollarsReal = document.getElementById('dollarsReal');
+    Elements.dollarYearRow = document.getElementById('dollarYearRow');
+    Elements.dollarYear = document.getElementById('dollarYear');
     Elements.loadingOverlay = document.getElementById('loadingOverlay');
+    // Detail panel (pinned ZIP)
+    Elements.detailPanel = document.getElementById('detailPanel');
+    Elements.detailZip = document.getElementById('detailZip');
+    Elements.detailPrice = document.getElementById('detailPrice');
+    Elements.detailChart = document.getElementById('detailChart');
+    Elements.detailYoY = document.getElementById('detailYoY');
+    Elements.detailYoYLabel = document.getElementById('detailYoYLabel');
+    Elements.detailPeak = document.getElementById('detailPeak');
+    Elements.detailPeakYear = document.getElementById('detailPeakYear');
+    Elements.detailDrawdown = document.getElementById('detailDrawdown');
+    Elements.detailDrawdownYears = document.getElementById('detailDrawdownYears');
+    Elements.detailCAGR = document.getElementById('detailCAGR');
+    Elements.detailCAGRYears = document.getElementById('detailCAGRYears');
+    Elements.detailClose = document.getElementById('detailClose');
+    Elements.detailCompare = document.getElementById('detailCompare');
+    // Comparison tray
+    Elements.compareTray = document.getElementById('compareTray');
+    Elements.compareCount = document.getElementById('compareCount');
+    Elements.compareChart = document.getElementById('compareChart');
+    Elements.compareTable = document.getElementById('compareTable');
+    Elements.compareMessage = document.getElementById('compareMessage');
+    Elements.compareClear = document.getElementById('compareClear');
     Elements.zipSearch = document.getElementById('zipSearch');
     Elements.searchBtn = document.getElementById('searchBtn');
+    Elements.searchClear = document.getElementById('searchClear');
+    Elements.searchSuggestions = document.getElementById('searchSuggestions');
+    // Regions
+    Elements.regionTools = document.getElementById('regionTools');
+    Elements.regionHint = document.getElementById('regionHint');
+    Elements.regionSummary = document.getElementById('regionSummary');
+    Elements.regionTitle = document.getElementById('regionTitle');
+    Elements.regionCount = document.getElementById('regionCount');
+    Elements.regionMetric = document.getElementById('regionMetric');
+    Elements.regionMedian = document.getElementById('regionMedian');
+    Elements.regionMin = document.getElementById('regionMin');
+    Elements.regionMax = document.getElementById('regionMax');
+    Elements.regionChart = document.getElementById('regionChart');
+    Elements.regionClear = document.getElementById('regionClear');
+    Elements.regionName = document.getElementById('regionName');
+    Elements.regionSave = document.getElementById('regionSave');
+    Elements.regionList = document.getElementById('regionList');
+    Elements.regionImport = document.getElementById('regionImport');
+    Elements.regionImportFile = document.getElementById('regionImportFile');
+    Elements.regionExport = document.getElementById('regionExport');
+    // Your data
+    Elements.userDataDrop = document.getElementById('userDataDrop');
+    Elements.userDataFile = document.getElementById('userDataFile');
+    Elements.userDataSetup = document.getElementById('userDataSetup');
+    Elements.userDataZip = document.getElementById('userDataZip');
+    Elements.userDataValue = document.getElementById('userDataValue');
+    Elements.userDataName = document.getElementById('userDataName');
+    Elements.userDataValues = document.getElementById('userDataValues');
+    Elements.userDataRatio = document.getElementById('userDataRatio');
+    Elements.userDataApply = document.getElementById('userDataApply');
+    Elements.userDataRemove = document.getElementById('userDataRemove');
+    Elements.userDataStatus = document.getElementById('userDataStatus');
     Elements.searchError = document.getElementById('searchError');
     Elements.controlPanel = document.getElementById('controlPanel');
     Elements.mobileToggle = document.getElementById('mobileToggle');
     Elements.scaleState = document.getElementById('scaleState');
     Elements.scaleNational = document.getElementById('scaleNational');
+    Elements.classScheme = document.getElementById('classScheme');
+    Elements.classCount = document.getElementById('classCount');
+    Elements.customBreaksRow = document.getElementById('customBreaksRow');
+    Elements.customBreaks = document.getElementById('customBreaks');
     // Affordability elements
     Elements.incomeInput = document.getElementById('incomeInput');
     Elements.affordabilityToggle = document.getElementById('affordabilityToggle');
     Elements.affordabilityInfo = document.getElementById('affordabilityInfo');
+    Elements.mortgageCalculator = document.getElementById('mortgageCalculator');
+    Elements.mortgageSummary = document.getElementById('mortgageSummary');
+    Elements.historicalToggle = document.getElementById('historicalToggle');
+    Elements.wageToggle = document.getElementById('wageToggle');
+    // Export menu
+    Elements.exportMenu = document.getElementById('exportMenu');
+    Elements.exportMessage = document.getElementById('exportMessage');
+    Elements.recordFormat = document.getElementById('recordFormat');
+    Elements.recordStart = document.getElementById('recordStart');
+    Elements.recordEnd = document.getElementById('recordEnd');
+    Elements.recordDelay = document.getElementById('recordDelay');
+    Elements.recordBtn = document.getElementById('recordBtn');
+    // Offline use
+    Elements.offlineStatus = document.getElementById('offlineStatus');
+    Elements.offlineDownload = document.getElementById('offlineDownload');
+    Elements.offlineClear = document.getElementById('offlineClear');
+
+    // Data diagnostics
+    Elements.diagnosticsSummary = document.getElementById('diagnosticsSummary');
+    Elements.diagnosticsRun = document.getElementById('diagnosticsRun');
+    Elements.diagnosticsReport = document.getElementById('diagnosticsReport');
+    // Data quality
+    Elements.fillGapsToggle = document.getElementById('fillGapsToggle');
+    Elements.flagJumpsToggle = document.getElementById('flagJumpsToggle');
+    Elements.jumpThreshold = document.getElementById('jumpThreshold');
+    Elements.dataQualityStatus = document.getElementById('dataQualityStatus');
+    // Appearance
+    Elements.paletteSequential = document.getElementById('paletteSequential');
+    Elements.paletteDiverging = document.getElementById('paletteDiverging');
+    Elements.paletteReverse = document.getElementById('paletteReverse');
+    Elements.basemapSelect = document.getElementById('basemapSelect');
+    Elements.themeDark = document.getElementById('themeDark');
+    Elements.themeLight = document.getElementById('themeLight');
     // Welcome modal
     Elements.welcomeModal = document.getElementById('welcomeModal');
     Elements.welcomeClose = document.getElementById('welcomeClose');
@@ -81,23 +278,189 @@ function initMap() {
         preferCanvas: true  // Canvas renderer for better performance
     });
 
-    // Dark map tiles
-    L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
-        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>',
-        subdomains: 'abcd',
-        maxZoom: 19
-    }).addTo(AppState.map);
+    // Saved basemap tiles (dark by default)
+    setBasemap(AppState.basemap);
 
-    buildLegend();
+    // Each loaded state adds its own GeoJSON layer to this group
+    AppState.currentLayer = L.featureGroup().addTo(AppState.map);
+
+    renderLegend();
+}
+
+/**
+ * Render the stepped legend: each class's color, boundaries and ZIP count
+ * Highest class first, after a "not yet recovered" row for the recovery metric
+ * @param {Object} [classes] - { scheme, breaks, counts, unrecovered }, defaults to the last
+ *     applied frame's; counts are left out for the overview
+ */
+function renderLegend(classes = AppState.classes) {
+    Elements.legendTitle.textContent = getMetricLabel();
+
+    if (!classes) {
+        Elements.legendNote.textContent = '';
+        Elements.legendClasses.innerHTML = '';
+        return;
+    }
+
+    const { scheme, breaks, counts, unrecovered } = classes;
+    const colors = getClassPalette(getMetricPalette(), breaks.length - 1);
+    const scale = AppState.scaleMode === 'national' ? ' · national scale' : '';
+
+    Elements.legendNote.textContent = scheme === AppState.classScheme
+        ? `${CLASSIFICATION_SCHEMES[scheme].label}${scale}`
+        : `${CLASSIFICATION_SCHEMES[AppState.classScheme].label} doesn't fit these values - equal interval${scale}`;
+
+    const rows = colors.map((color, i) => `
+        <div class="legend-class">
+            <span class="legend-swatch" style="background:${color}"></span>
+            <span class="legend-range">${formatMetricValue(breaks[i])} – ${formatMetricValue(breaks[i + 1])}</span>
+            <span class="legend-count">${counts ? counts[i].toLocaleString() : ''}</span>
+        </div>
+    `).reverse();
+
+    if (unrecovered !== undefined) {
+        rows.unshift(`
+            <div class="legend-class">
+                <span class="legend-swatch" style="background:${UNRECOVERED_COLOR}"></span>
+                <span class="legend-range">Not yet recovered</span>
+                <span class="legend-count">${unrecovered.toLocaleString()}</span>
+            </div>
+        `);
+    }
+
+    Elements.legendClasses.innerHTML = (counts ? '<div class="legend-class legend-class-header"><span></span><span>Range</span><span>ZIPs</span></div>' : '') +
+        rows.join('');
+}
+
+/**
+ * Get the classification options the data worker colors by
+ * @returns {Object} { scheme, classes, customBreaks }, see getClassBreaks in js/classify.js
+ */
+function getClassification() {
+    return {
+        scheme: AppState.classScheme,
+        classes: AppState.classCount,
+        customBreaks: AppState.customBreaks[AppState.metric] || []
+    };
+}
+
+/**
+ * Get the palette for the active metric, from the chosen sequential or diverging ramp
+ * @returns {string[]} Colors from low to high
+ */
+function getMetricPalette() {
+    const metric = METRICS[AppState.metric];
+    const palette = getChosenPalette(metric.diverging);
+    return Boolean(metric.reversed) !== AppState.reversePalette ? palette.slice().reverse() : palette;
+}
+
+/**
+ * Get the display label for the active metric
+ * @returns {string} Metric label
+ */
+function getMetricLabel() {
+    const label = METRICS[AppState.metric].label
+        .replace('{base}', AppState.metricBaseYear)
+        .replace('{upload}', AppState.userData ? AppState.userData.name : 'Your Data');
+
+    // Uploaded values aren't restated, and ratios have no dollars
+    return AppState.realDollars && !METRICS[AppState.metric].uploaded ? `${label} (${getDollarLabel()})` : label;
+}
+
+/**
+ * Format a value of the active metric for display
+ * @param {number|null} value - Metric value
+ * @returns {string} Formatted value
+ */
+function formatMetricValue(value) {
+    if (value === null || value === undefined) return 'N/A';
+
+    switch (AppState.metric) {
+        case 'change':
+        case 'drawdown':
+            return formatPercent(value, 0);
+        case 'cagr':
+            return formatPercent(value, 1);
+        case 'recovery':
+            return `${Math.round(value * 10) / 10} yrs`;
+        case 'upload':
+            return formatUserValue(value);
+        case 'ratio':
+            return formatRatio(value);
+        default:
+            return formatCurrency(value);
+    }
+}
+
+/**
+ * Get the year the map is currently colored for
+ * @returns {number} Current year, or the fractional year mid-transition in smooth playback
+ */
+function getDisplayYear() {
+    return AppState.displayYear !== null ? AppState.displayYear : AppState.currentYear;
+}
+
+/**
+ * Get the active metric's value for a ZIP in the displayed year
+ * @param {string} zip - 5-digit ZIP code
+ * @returns {number|null} Metric value or null if no data
+ */
+function getFeatureValue(zip) {
+    return getInterpolatedMetricValue(AppState.metric, getMetricRow(zip), getDisplayYear(), AppState.metricBaseYear);
+}
+
+/**
+ * Get the row the active metric reads for a ZIP
+ * @param {string} zip - 5-digit ZIP code
+ * @returns {Float32Array|undefined} Price row, or the uploaded values or ratios for
+ *     uploaded metrics
+ */
+function getMetricRow(zip) {
+    if (!METRICS[AppState.metric].uploaded) return AppState.zhviData[zip];
+    if (!AppState.userData) return undefined;
+    return AppState.metric === 'ratio' ? AppState.userData.ratioRows[zip] : AppState.userData.rows[zip];
+}
+
+/**
+ * Populate the metric base year dropdown
+ */
+function populateMetricBaseYears() {
+    for (let year = 2000; year < 2025; year++) {
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = year;
+        Elements.metricBaseYear.appendChild(option);
+    }
+    Elements.metricBaseYear.value = AppState.metricBaseYear;
+}
+
+/**
+ * Populate the classification scheme and class count dropdowns
+ */
+function populateClassification() {
+    Object.entries(CLASSIFICATION_SCHEMES).forEach(([key, scheme]) => {
+        Elements.classScheme.add(new Option(scheme.label, key));
+    });
+    CLASS_COUNTS.forEach(count => {
+        Elements.classCount.add(new Option(`${count} classes`, count));
+    });
+    Elements.classScheme.value = AppState.classScheme;
+    Elements.classCount.value = AppState.classCount;
 }
 
 /**
- * Build the color legend gradient
+ * Populate the year range dropdowns for playback and the timeline recorder
  */
-function buildLegend() {
-    Elements.legendScale.innerHTML = COLORS.map(color => 
-        `<div style="flex:1;background:${color}"></div>`
-    ).join('');
+function populateYearRanges() {
+    for (let year = 2000; year <= 2025; year++) {
+        [Elements.playbackStart, Elements.playbackEnd, Elements.recordStart, Elements.recordEnd].forEach(select => {
+            select.add(new Option(year, year));
+        });
+    }
+    Elements.playbackStart.value = AppState.playbackStart;
+    Elements.playbackEnd.value = AppState.playbackEnd;
+    Elements.recordStart.value = 2000;
+    Elements.recordEnd.value = 2025;
 }
 
 /**
@@ -132,101 +495,116 @@ function showLoading(show, text = 'Loading...') {
 }
 
 /**
- * Load the ZHVI CSV data
- * This is loaded once on initialization
+ * Load the ZHVI price data (PRICE_DATA_FILE, a binary build of ZHVI_WI.csv)
+ * This is loaded once on initialization. The data worker decodes it and keeps
+ * its own copy for statistics; the page gets the price matrix for per-ZIP lookups.
  */
 async function loadZHVIData() {
-    return new Promise((resolve, reject) => {
-        Papa.parse('ZHVI_WI.csv', {
-            download: true,
-            header: true,
-            complete: (results) => {
-                results.data.forEach(row => {
-                    if (row.Zip_Code) {
-                        const zip = row.Zip_Code.toString().padStart(5, '0');
-                        AppState.zhviData[zip] = row;
-                    }
-                });
-                
-                AppState.isDataLoaded = true;
-                console.log(`Loaded ${Object.keys(AppState.zhviData).length} ZIP codes with price data`);
-                
-                // Calculate national price ranges (once)
-                calculateNationalPriceRanges();
-                
-                resolve();
-            },
-            error: (err) => reject(err)
-        });
-    });
-}
+    const data = await requestData('load', { url: new URL(PRICE_DATA_FILE, window.location.href).href });
+    const rows = splitYearRows(data.values);
 
-/**
- * Calculate national price ranges for all years
- * This is done once after CSV load for the national scale feature
- */
-function calculateNationalPriceRanges() {
-    for (let year = 2000; year <= 2025; year++) {
-        const prices = [];
-        
-        Object.values(AppState.zhviData).forEach(data => {
-            if (data[year]) {
-                const price = parseFloat(data[year]);
-                if (!isNaN(price) && price > 0) {
-                    prices.push(price);
-                }
-            }
-        });
+    data.zips.forEach((zip, i) => {
+        AppState.actualData[zip] = rows[i];
+        AppState.zipStates[zip] = data.states[i];
+    });
+    AppState.zhviData = AppState.actualData;
+    AppState.priceZips = data.zips;
 
-        if (prices.length > 0) {
-            prices.sort((a, b) => a - b);
-            const p5 = prices[Math.floor(prices.length * 0.05)];
-            const p95 = prices[Math.floor(prices.length * 0.95)];
-            
-            AppState.nationalPriceRange[year] = { min: p5, max: p95 };
-        } else {
-            AppState.nationalPriceRange[year] = { min: 50000, max: 1000000 };
-        }
-    }
-    console.log('National price ranges calculated');
+    AppState.isDataLoaded = true;
+    console.log(`Loaded ${data.zips.length} ZIP codes with price data`);
 }
 
 /**
  * Load GeoJSON for a specific state (lazy loaded)
+ * States are stored as TopoJSON at each of GEOMETRY_LEVELS and decoded here.
+ * Recently removed states and levels come back from the LRU cache without refetching
  * @param {string} stateAbbr - State abbreviation
+ * @param {Object} options - Load options
+ * @param {boolean} options.quiet - Skip the loading overlay (background loads)
+ * @param {string} options.level - Level of detail, defaults to the one for the current zoom
  * @returns {Promise<Object|null>} GeoJSON data or null
  */
-async function loadStateGeoJSON(stateAbbr) {
+async function loadStateGeoJSON(stateAbbr, { quiet = false, level = getGeometryLevel(AppState.map.getZoom()) } = {}) {
     const state = STATES[stateAbbr];
     if (!state) return null;
 
-    showLoading(true, `Loading ${state.name}...`);
+    const cacheKey = `${stateAbbr}|${level}`;
+    const cached = AppState.geojsonCache.get(cacheKey);
+    if (cached) {
+        AppState.geojsonCache.delete(cacheKey);
+        return cached.geojson;
+    }
+
+    if (!quiet) showLoading(true, `Loading ${state.name}...`);
     
     try {
-        const response = await fetch(`geojsons/${state.file}`);
-        const geojson = await response.json();
-        console.log(`Loaded ${geojson.features.length} ZIP boundaries for ${state.name}`);
+        const response = await fetch(getStateGeometryPath(stateAbbr, level));
+        const topology = await response.json();
+        const geojson = topojson.feature(topology, topology.objects.zips);
+        console.log(`Loaded ${geojson.features.length} ZIP boundaries for ${state.name} (${level} detail)`);
         return geojson;
     } catch (err) {
         console.error('Failed to load GeoJSON:', err);
         return null;
     } finally {
-        showLoading(false);
+        if (!quiet) showLoading(false);
     }
 }
 
 /**
- * Get color based on price value
- * @param {number} price - Home price value
+ * Keep a removed state's (or replaced level's) GeoJSON in the LRU cache, evicting
+ * the least recently used once the cache passes its vertex budget
+ * @param {string} stateAbbr - State abbreviation
+ * @param {string} level - Level of detail of the GeoJSON
+ * @param {Object} geojson - State GeoJSON
+ * @param {number} vertices - Vertex count of the GeoJSON
+ */
+function cacheStateGeoJSON(stateAbbr, level, geojson, vertices) {
+    const cache = AppState.geojsonCache;
+    const cacheKey = `${stateAbbr}|${level}`;
+    cache.delete(cacheKey);
+    cache.set(cacheKey, { geojson, vertices });
+
+    let total = 0;
+    cache.forEach(entry => {
+        total += entry.vertices;
+    });
+
+    // Map iteration order is insertion order, so the oldest come first
+    for (const [key, entry] of cache) {
+        if (total <= AppState.CACHE_VERTEX_BUDGET) break;
+        cache.delete(key);
+        total -= entry.vertices;
+    }
+}
+
+/**
+ * Count the vertices in a GeoJSON dataset, as a rough measure of its memory use
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @returns {number} Vertex count
+ */
+function countVertices(geojson) {
+    let count = 0;
+    geojson.features.forEach(feature => {
+        const geometry = feature.geometry;
+        if (!geometry) return;
+        const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+        polygons.forEach(polygon => polygon.forEach(ring => {
+            count += ring.length;
+        }));
+    });
+    return count;
+}
+
+/**
+ * Get color based on the active metric's value
+ * @param {number|null} value - Metric value
+ * @param {Object} classes - Classes from the data worker, see getClassBreaks
  * @returns {string} Hex color code
  */
-function getColor(price) {
-    if (!price || price === 0) return '#6b7280'; // Light gray for no data
-    
-    const { min, max } = AppState.priceRange;
-    const normalized = (price - min) / (max - min);
-    const index = Math.min(Math.floor(normalized * COLORS.length), COLORS.length - 1);
-    return COLORS[Math.max(0, index)];
+function getColor(value, classes = AppState.classes) {
+    if (!classes) return NO_DATA_COLOR;
+    return getClassColor(value, classes.breaks, getMetricPalette(), AppState.smoothPlayback);
 }
 
 /**
@@ -244,81 +622,60 @@ function formatCurrency(value) {
     return '$' + value.toLocaleString();
 }
 
-/**
- * Calculate price range statistics for a GeoJSON dataset
- * @param {Object} geojson - GeoJSON data
- * @returns {Object} Price range statistics
- */
-function calculatePriceRange(geojson) {
-    const prices = [];
-    
-    geojson.features.forEach(feature => {
-        const zip = feature.properties.ZCTA5CE10;
-        const data = AppState.zhviData[zip];
-        if (data && data[AppState.currentYear]) {
-            const price = parseFloat(data[AppState.currentYear]);
-            if (!isNaN(price) && price > 0) {
-                prices.push(price);
-            }
-        }
-    });
-
-    if (prices.length === 0) {
-        return { min: 0, max: 1000000, median: 0, lowest: 0, highest: 0, count: 0 };
-    }
-
-    prices.sort((a, b) => a - b);
-    
-    return {
-        min: prices[Math.floor(prices.length * 0.05)],
-        max: prices[Math.floor(prices.length * 0.95)],
-        median: prices[Math.floor(prices.length * 0.5)],
-        lowest: prices[0],
-        highest: prices[prices.length - 1],
-        count: prices.length
-    };
-}
-
 /**
  * Style function for GeoJSON features
+ * Colors come from the last frame applied by applyFrameStats
  * @param {Object} feature - GeoJSON feature
+ * @param {Object} [options] - { svg } - for layers drawn as SVG (the nationwide tiles)
  * @returns {Object} Leaflet style object
  */
-function styleFeature(feature) {
+function styleFeature(feature, { svg = false } = {}) {
     const zip = feature.properties.ZCTA5CE10;
-    const data = AppState.zhviData[zip];
-    let price = 0;
-    
-    if (data && data[AppState.currentYear]) {
-        price = parseFloat(data[AppState.currentYear]) || 0;
-    }
 
     // Affordability mode styling
-    if (AppState.affordabilityMode && AppState.maxAffordablePrice) {
-        const isAffordable = price > 0 && price <= AppState.maxAffordablePrice;
-        const isNoData = !price || price === 0;
+    if (AppState.affordabilityMode && AppState.maxAffordablePrice !== null) {
+        const affordable = AppState.affordableZips.get(zip);
+        const isAffordable = affordable === true;
+        const isNoData = affordable === undefined;
         
-        return {
-            fillColor: isNoData ? '#6b7280' : (isAffordable ? '#10b981' : '#1e293b'),
+        return applyCompareOutline(zip, applySearchOutline(zip, applyRegionOutline(zip, applyDataQualityStyle(zip, {
+            fillColor: isNoData ? NO_DATA_COLOR : (isAffordable ? '#10b981' : '#1e293b'),
             weight: isAffordable ? 1.5 : 0.5,
             opacity: isAffordable ? 0.8 : 0.3,
             color: isAffordable ? '#059669' : '#0f172a',
             fillOpacity: isNoData ? 0.3 : (isAffordable ? 0.7 : 0.15),
             lineCap: 'round',
             lineJoin: 'round'
-        };
+        }, { svg }))));
     }
 
     // Normal mode styling
-    return {
-        fillColor: getColor(price),
+    return applyCompareOutline(zip, applySearchOutline(zip, applyRegionOutline(zip, applyDataQualityStyle(zip, {
+        fillColor: AppState.featureColors.get(zip) || NO_DATA_COLOR,
         weight: 1,
         opacity: 0.6,
         color: '#1a1a2e',
         fillOpacity: 0.4,
         lineCap: 'round',
         lineJoin: 'round'
-    };
+    }, { svg }))));
+}
+
+/**
+ * Outline ZIPs in the comparison tray with their chart color
+ * @param {string} zip - 5-digit ZIP code
+ * @param {Object} style - Leaflet style object
+ * @returns {Object} Style with the outline applied
+ */
+function applyCompareOutline(zip, style) {
+    const color = AppState.compareColors.get(zip);
+    if (!color) return style;
+
+    return Object.assign(style, {
+        color,
+        weight: 3,
+        opacity: 1
+    });
 }
 
 /**
@@ -327,14 +684,24 @@ function styleFeature(feature) {
  * @param {Object} layer - Leaflet layer
  */
 function onEachFeature(feature, layer) {
+    indexZipLayer(feature.properties.ZCTA5CE10, layer);
+
     // Works for both desktop (hover) and mobile (tap)
     layer.on({
         mouseover: (e) => highlightFeature(e, feature),
         mouseout: resetHighlight,
         click: (e) => {
-            // On click/tap, show info and zoom
+            // Draw tools use clicks on the map for themselves
+            if (AppState.drawMode === 'click') {
+                toggleRegionZip(feature.properties.ZCTA5CE10);
+                return;
+            }
+            if (AppState.drawMode) return;
+
+            // On click/tap, show info, zoom and pin the ZIP's history
             highlightFeature(e, feature);
             zoomToFeature(e);
+            pinZip(feature.properties.ZCTA5CE10);
         }
     });
 }
@@ -347,23 +714,22 @@ function onEachFeature(feature, layer) {
 function highlightFeature(e, feature) {
     const layer = e.target;
     
-    layer.setStyle({
-        weight: 2.5,
-        color: '#ffffff',
-        fillOpacity: 1,
-        lineCap: 'round',
-        lineJoin: 'round'
-    });
-
+    layer.setStyle(HIGHLIGHT_STYLE);
     layer.bringToFront();
 
-    // Update info panel
-    const zip = feature.properties.ZCTA5CE10;
+    showZipInfo(feature.properties.ZCTA5CE10);
+}
+
+/**
+ * Show a ZIP's price and change in the info panel
+ * @param {string} zip - 5-digit ZIP code
+ */
+function showZipInfo(zip) {
     const data = AppState.zhviData[zip];
 
     if (data) {
-        const currentPrice = parseFloat(data[AppState.currentYear]) || 0;
-        const basePrice = parseFloat(data['2000']) || 0;
+        const currentPrice = parseYearValue(data, AppState.currentYear) || 0;
+        const basePrice = parseYearValue(data, 2000) || 0;
         
         Elements.infoZip.textContent = `ZIP Code: ${zip}`;
         Elements.infoPrice.textContent = formatCurrency(currentPrice);
@@ -371,265 +737,1082 @@ function highlightFeature(e, feature) {
         if (basePrice > 0 && currentPrice > 0) {
             const change = ((currentPrice - basePrice) / basePrice * 100).toFixed(1);
             const isPositive = change >= 0;
-            Elements.infoChange.textContent = `${isPositive ? '+' : ''}${change}% since 2000`;
+            Elements.infoChange.textContent = `${isPositive ? '+' : ''}${change}% since 2000${AppState.realDollars ? ' (real)' : ''}`;
             Elements.infoChange.className = `info-change ${isPositive ? 'positive' : 'negative'}`;
         } else {
             Elements.infoChange.textContent = 'No historical data';
             Elements.infoChange.className = 'info-change';
         }
+
+        // Show the value the map is colored by when it isn't the price
+        const unrecovered = AppState.metric === 'recovery' && getStaticMetrics(data).unrecovered;
+        Elements.infoMetric.textContent = AppState.metric !== 'price'
+            ? `${getMetricLabel()}: ${unrecovered ? 'Not yet recovered' : formatMetricValue(getFeatureValue(zip))}`
+            : '';
+        Elements.infoQuality.textContent = describeDataQuality(zip);
+    } else {
+        Elements.infoZip.textContent = `ZIP Code: ${zip}`;
+        Elements.infoPrice.textContent = 'No data';
+        Elements.infoChange.textContent = '';
+        Elements.infoChange.className = 'info-change';
+        // ZIPs without prices can still have uploaded values
+        const value = AppState.metric === 'upload' ? getFeatureValue(zip) : null;
+        Elements.infoMetric.textContent = value !== null ? `${getMetricLabel()}: ${formatMetricValue(value)}` : '';
+        Elements.infoQuality.textContent = '';
+    }
+
+    Elements.infoPanel.classList.add('visible');
+}
+
+/**
+ * Reset feature highlight
+ * @param {Object} e - Leaflet event
+ */
+function resetHighlight(e) {
+    resetFeatureStyle(e.target);
+    Elements.infoPanel.classList.remove('visible');
+}
+
+/**
+ * Restore a feature layer to its computed style
+ * Works for any state's layer in the registry
+ * @param {Object} layer - Leaflet feature layer
+ */
+function resetFeatureStyle(layer) {
+    if (layer && layer.feature) {
+        layer.setStyle(styleFeature(layer.feature));
+    }
+}
+
+/**
+ * Zoom to a feature on click
+ * @param {Object} e - Leaflet event
+ */
+function zoomToFeature(e) {
+    AppState.map.fitBounds(e.target.getBounds(), { padding: [50, 50] });
+}
+
+/**
+ * Pin a ZIP in the detail panel
+ * @param {string} zip - 5-digit ZIP code
+ */
+function pinZip(zip) {
+    AppState.pinnedZip = zip;
+    renderDetailPanel();
+    syncURL();
+}
+
+/**
+ * Close the detail panel
+ */
+function unpinZip() {
+    AppState.pinnedZip = null;
+    Elements.detailPanel.classList.remove('visible');
+    syncURL();
+}
+
+/**
+ * Render the pinned ZIP's chart and growth metrics
+ * Re-rendered on year changes so the chart marker and YoY follow the slider
+ */
+function renderDetailPanel() {
+    const zip = AppState.pinnedZip;
+    if (!zip) return;
+
+    const row = AppState.zhviData[zip];
+    const history = getPriceHistory(row);
+    const year = AppState.currentYear;
+    const stateAbbr = AppState.zipStates[zip] || getStateFromZip(zip);
+
+    // Estimated years are drawn as hollow points
+    const estimated = AppState.fillGaps && AppState.estimatedYears ? AppState.estimatedYears[zip] : null;
+    if (estimated) {
+        history.forEach(point => {
+            point.estimated = estimated[point.year - 2000] === 1;
+        });
+    }
+    const isEstimated = Boolean(estimated && estimated[year - 2000]);
+
+    Elements.detailZip.textContent = `ZIP Code: ${zip}${stateAbbr ? ` · ${stateAbbr}` : ''}`;
+    Elements.detailPrice.textContent = row
+        ? `${formatCurrency(getHistoryValue(history, year))}${isEstimated ? ' (estimated)' : ''}`
+        : 'No data';
+
+    renderLineChart(Elements.detailChart, [{ color: '#818cf8', history }], {
+        highlightYear: year,
+        formatValue: formatCurrency
+    });
+
+    const yoy = calculateYoYChange(history, year);
+    Elements.detailYoY.textContent = formatPercent(yoy);
+    Elements.detailYoY.className = `detail-metric-value ${yoy === null ? '' : (yoy >= 0 ? 'positive' : 'negative')}`;
+    Elements.detailYoYLabel.textContent = `YoY ${year - 1}–${year}`;
+
+    const peak = calculatePeak(history);
+    Elements.detailPeak.textContent = peak ? formatCurrency(peak.value) : 'N/A';
+    Elements.detailPeakYear.textContent = peak ? `Peak (${peak.year})` : 'Peak';
+
+    const drawdown = calculateCrashDrawdown(history);
+    Elements.detailDrawdown.textContent = drawdown ? formatPercent(drawdown.percent) : 'N/A';
+    Elements.detailDrawdown.className = `detail-metric-value ${drawdown && drawdown.percent < 0 ? 'negative' : ''}`;
+    Elements.detailDrawdownYears.textContent = drawdown
+        ? `Drawdown ${drawdown.peakYear}–${drawdown.troughYear}`
+        : 'Crash Drawdown';
+
+    const cagr = calculateCAGR(history);
+    Elements.detailCAGR.textContent = cagr ? formatPercent(cagr.rate) : 'N/A';
+    Elements.detailCAGRYears.textContent = cagr ? `CAGR ${cagr.startYear}–${cagr.endYear}` : 'CAGR';
+
+    const isCompared = AppState.compareZips.includes(zip);
+    Elements.detailCompare.disabled = isCompared;
+    Elements.detailCompare.textContent = isCompared ? 'In comparison' : '+ Compare';
+
+    Elements.detailPanel.classList.add('visible');
+}
+
+/**
+ * Add a ZIP to the comparison tray
+ * Lazy-loads the ZIP's state so it can be outlined on the map, even when
+ * the compared ZIPs are in different states
+ * @param {string} zip - 5-digit ZIP code
+ */
+async function addToCompare(zip) {
+    if (AppState.compareZips.includes(zip)) return;
+
+    if (AppState.compareZips.length >= AppState.COMPARE_LIMIT) {
+        Elements.compareMessage.textContent = `You can compare up to ${AppState.COMPARE_LIMIT} ZIP codes`;
+        return;
+    }
+
+    // Each ZIP keeps its color while compared, so removing one doesn't recolor the rest
+    const used = new Set(AppState.compareColors.values());
+    AppState.compareColors.set(zip, COMPARE_COLORS.find(color => !used.has(color)));
+    AppState.compareZips.push(zip);
+    renderCompareTray();
+    renderDetailPanel();
+
+    const stateAbbr = getStateFromZip(zip);
+    if (stateAbbr && STATES[stateAbbr] && !AppState.stateLayers[stateAbbr]) {
+        await renderState(stateAbbr, { fly: false });
+    }
+
+    restyleZipLayers();
+}
+
+/**
+ * Remove a ZIP from the comparison tray
+ * @param {string} zip - 5-digit ZIP code
+ */
+function removeFromCompare(zip) {
+    AppState.compareZips = AppState.compareZips.filter(z => z !== zip);
+    AppState.compareColors.delete(zip);
+    renderCompareTray();
+    renderDetailPanel();
+    restyleZipLayers();
+}
+
+/**
+ * Empty the comparison tray
+ */
+function clearCompare() {
+    AppState.compareZips = [];
+    AppState.compareColors.clear();
+    renderCompareTray();
+    renderDetailPanel();
+    restyleZipLayers();
+}
+
+/**
+ * Render the comparison tray's shared chart and table
+ * Values follow the year slider and the affordability income
+ */
+function renderCompareTray() {
+    const zips = AppState.compareZips;
+    Elements.compareTray.classList.toggle('visible', zips.length > 0);
+    syncURL();
+    if (zips.length === 0) return;
+
+    const year = AppState.currentYear;
+    Elements.compareCount.textContent = `${zips.length}/${AppState.COMPARE_LIMIT}`;
+    Elements.compareMessage.textContent = zips.length === 1 ? 'Add another ZIP to compare' : '';
+
+    const histories = zips.map(zip => getPriceHistory(AppState.zhviData[zip]));
+
+    renderLineChart(Elements.compareChart, histories.map((history, i) => ({
+        color: AppState.compareColors.get(zips[i]),
+        history
+    })), {
+        highlightYear: year,
+        formatValue: formatCurrency,
+        width: 440,
+        height: 150
+    });
+
+    const maxPrice = AppState.maxAffordablePrice;
+
+    const rows = zips.map((zip, i) => {
+        const history = histories[i];
+        const price = getHistoryValue(history, year);
+        const base = getHistoryValue(history, 2000);
+        const growth = price && base ? (price - base) / base * 100 : null;
+        const cagr = calculateCAGR(history, 2000, year);
+        const stateAbbr = getStateFromZip(zip);
+
+        let affordable = '—';
+        if (maxPrice && price) {
+            affordable = price <= maxPrice
+                ? '<span class="compare-yes">Yes</span>'
+                : '<span class="compare-no">No</span>';
+        }
+
+        return `
+            <tr>
+                <td>
+                    <button class="compare-zip" data-zip="${zip}">
+                        <span class="compare-swatch" style="background:${AppState.compareColors.get(zip)}"></span>
+                        ${zip}${stateAbbr ? ` <span class="compare-state">${stateAbbr}</span>` : ''}
+                    </button>
+                </td>
+                <td>${formatCurrency(price)}</td>
+                <td>${formatPercent(growth, 0)}</td>
+                <td>${cagr ? formatPercent(cagr.rate) : 'N/A'}</td>
+                <td>${affordable}</td>
+                <td><button class="compare-remove" data-zip="${zip}" aria-label="Remove ${zip}">&times;</button></td>
+            </tr>
+        `;
+    }).join('');
+
+    Elements.compareTable.innerHTML = `
+        <thead>
+            <tr>
+                <th>ZIP</th>
+                <th>${year}</th>
+                <th>Since 2000</th>
+                <th>CAGR</th>
+                <th>Affordable</th>
+                <th></th>
+            </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+    `;
+}
+
+/**
+ * Re-apply styleFeature to every ZIP on the map
+ */
+function restyleZipLayers() {
+    AppState.currentLayer.setStyle(styleFeature);
+    restyleNationwideLayer();
+}
+
+/**
+ * Get the ZIPs the map shows: every ZIP with price data in the nationwide view,
+ * otherwise the loaded states' ZIPs in feature order
+ * @returns {Array<string>} ZIP codes
+ */
+function getMapZips() {
+    if (AppState.nationwide) return Object.keys(AppState.zhviData);
+
+    return AppState.currentGeoJSON
+        ? AppState.currentGeoJSON.features.map(feature => feature.properties.ZCTA5CE10)
+        : [];
+}
+
+/**
+ * Check whether the map shows any ZIPs
+ * @returns {boolean} True in the nationwide view or with states loaded
+ */
+function hasMapZips() {
+    return AppState.nationwide || Boolean(AppState.currentGeoJSON);
+}
+
+/**
+ * Get the data worker's frame options for the current view
+ * @param {number} year - Year to color, possibly fractional
+ * @returns {Object} Frame options, see computeFrame in js/data-worker.js
+ */
+function getFrameOptions(year) {
+    return {
+        year,
+        metric: AppState.metric,
+        baseYear: AppState.metricBaseYear,
+        scaleMode: AppState.scaleMode,
+        palette: getMetricPalette(),
+        classification: getClassification(),
+        smooth: AppState.smoothPlayback,
+        maxPrice: AppState.affordabilityMode ? AppState.maxAffordablePrice : null,
+        priceYear: AppState.currentYear
+    };
+}
+
+/**
+ * Re-color the loaded states for the displayed year
+ * The data worker computes the range, stats and colors; requests replaced by
+ * newer ones (slider drags, playback) are skipped, and worker errors are shown in the legend
+ * @returns {Promise} Resolves once the frame is applied or skipped
+ */
+async function refreshMapColors() {
+    if (!hasMapZips()) return;
+
+    try {
+        const frame = await requestFrameStats(getFrameOptions(getDisplayYear()));
+        if (frame && hasMapZips()) {
+            applyFrameStats(frame);
+        }
+    } catch (err) {
+        console.error('Failed to color the map:', err);
+        Elements.legendNote.textContent = `Could not color the map: ${err.message}`;
+    }
+}
+
+/**
+ * Keep a frame's colors and affordability flags for styleFeature
+ * @param {Object} frame - Frame from requestFrameStats
+ */
+function setFrameStyles(frame) {
+    AppState.classes = frame.classes;
+    AppState.featureColors = new Map(frame.zips.map((zip, i) => [zip, frame.colors[i]]));
+    AppState.affordableZips = new Map();
+    AppState.affordabilityCounts = null;
+
+    if (frame.affordability) {
+        const flags = frame.affordability.flags;
+        frame.zips.forEach((zip, i) => {
+            if (flags[i]) AppState.affordableZips.set(zip, flags[i] === 1);
+        });
+        AppState.affordabilityCounts = { count: frame.affordability.count, total: frame.affordability.total };
+    }
+}
+
+/**
+ * Apply a frame from the data worker to the map, legend and stats
+ * @param {Object} frame - Frame from requestFrameStats
+ */
+function applyFrameStats(frame) {
+    setFrameStyles(frame);
+
+    renderLegend();
+
+    // Update stats
+    updateStats(frame.stats);
+
+    restyleZipLayers();
+    renderDataQualityStatus();
+    renderRegionSummary();
+
+    if (AppState.affordabilityMode) {
+        updateAffordabilityDisplay();
+    }
+}
+
+/**
+ * Update statistics display
+ * @param {Object} range - Price range statistics
+ */
+function updateStats(range) {
+    Elements.statsBar.style.display = 'grid';
+    Elements.statMedian.textContent = formatMetricValue(range.median);
+    Elements.statMin.textContent = formatMetricValue(range.lowest);
+    Elements.statMax.textContent = formatMetricValue(range.highest);
+}
+
+/**
+ * Add a state's ZIP layer to the map (LAZY LOADING)
+ * GeoJSON is only loaded the first time a state is added; already loaded
+ * states stay on the map so metro areas that cross state lines can be viewed together
+ * @param {string} stateAbbr - State abbreviation
+ * @param {Object} options - Render options
+ * @param {boolean} options.fly - Whether to fly the map to the state
+ * @param {boolean} options.auto - Loaded by auto-load (may be unloaded again when out of view)
+ */
+async function renderState(stateAbbr, { fly = true, auto = false } = {}) {
+    if (!stateAbbr || !STATES[stateAbbr]) return;
+
+    const state = STATES[stateAbbr];
+    if (!auto) {
+        AppState.currentState = stateAbbr;
+    }
+
+    if (!AppState.stateLayers[stateAbbr]) {
+        // LAZY LOAD: Only fetch GeoJSON when state is added, at the detail for the zoom it will be seen at
+        const level = getGeometryLevel(fly ? state.zoom : AppState.map.getZoom());
+        const geojson = await loadStateGeoJSON(stateAbbr, { quiet: auto, level });
+        if (!geojson) return;
+
+        // Another call may have added the state while we were fetching
+        if (!AppState.stateLayers[stateAbbr]) {
+            const layer = L.geoJSON(geojson, {
+                style: styleFeature,
+                onEachFeature: onEachFeature
+            });
+
+            AppState.stateLayers[stateAbbr] = { layer, geojson, level, vertices: countVertices(geojson), auto };
+
+            // Add the layer once its colors are in, so it doesn't flash gray
+            await refreshLoadedStates({ auto });
+            if (AppState.stateLayers[stateAbbr] && AppState.stateLayers[stateAbbr].layer === layer) {
+                layer.setStyle(styleFeature);
+                AppState.currentLayer.addLayer(layer);
+            }
+        }
+    }
+
+    // Picking an auto-loaded state keeps it on the map
+    if (!auto && AppState.stateLayers[stateAbbr]) {
+        AppState.stateLayers[stateAbbr].auto = false;
+    }
+
+    if (fly) {
+        AppState.map.flyTo(state.center, state.zoom, { duration: 1 });
+    }
+}
+
+/**
+ * Remove a state's ZIP layer from the map
+ * @param {string} stateAbbr - State abbreviation
+ * @param {Object} [options] - Remove options
+ * @param {boolean} options.auto - Unloaded by auto-load (not a history entry)
+ */
+function removeState(stateAbbr, { auto = false } = {}) {
+    const entry = AppState.stateLayers[stateAbbr];
+    if (!entry) return;
+
+    AppState.currentLayer.removeLayer(entry.layer);
+    unindexZipLayers(entry.layer);
+    delete AppState.stateLayers[stateAbbr];
+    cacheStateGeoJSON(stateAbbr, entry.level, entry.geojson, entry.vertices);
+
+    if (AppState.currentState === stateAbbr) {
+        const remaining = Object.keys(AppState.stateLayers);
+        AppState.currentState = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+    }
+
+    refreshLoadedStates({ auto });
+}
+
+/**
+ * Get the state a ZIP is in: from the price data, or the ZIP prefix map for ZIPs
+ * without prices
+ * @param {string} zip - 5-digit ZIP code
+ * @returns {string|null} State abbreviation, or null for ZIPs outside the covered states
+ */
+function getZipState(zip) {
+    const abbr = AppState.zipStates[zip] || getStateFromZip(zip);
+    return abbr && STATES[abbr] ? abbr : null;
+}
+
+/**
+ * Load the states some ZIPs are in, without moving the map
+ * @param {Array<string>} zips - ZIP codes
+ * @returns {Promise<Array<string>>} States that could not be loaded
+ */
+async function loadZipStates(zips) {
+    const states = new Set(zips.map(getZipState).filter(Boolean));
+    const failed = [];
+
+    for (const abbr of states) {
+        if (!AppState.stateLayers[abbr]) {
+            await renderState(abbr, { fly: false });
+        }
+        if (!AppState.stateLayers[abbr]) {
+            failed.push(abbr);
+        }
+    }
+    return failed;
+}
+
+/**
+ * Swap each loaded state's geometry for the level of detail of the current zoom
+ * Called when the zoom changes
+ */
+function refreshGeometryLevels() {
+    const level = getGeometryLevel(AppState.map.getZoom());
+
+    Object.keys(AppState.stateLayers).forEach(abbr => {
+        const entry = AppState.stateLayers[abbr];
+        if (entry.level === level) {
+            entry.pendingLevel = null;  // Drops a swap still being fetched
+        } else {
+            swapStateGeometry(abbr, level);
+        }
+    });
+}
+
+/**
+ * Replace a loaded state's layer with the same ZIPs at another level of detail
+ * Colors are kept by ZIP, so the new layer is styled without asking the worker again
+ * @param {string} stateAbbr - State abbreviation
+ * @param {string} level - Level of detail to show
+ */
+async function swapStateGeometry(stateAbbr, level) {
+    const entry = AppState.stateLayers[stateAbbr];
+    if (!entry || entry.pendingLevel === level) return;
+
+    entry.pendingLevel = level;
+    const geojson = await loadStateGeoJSON(stateAbbr, { quiet: true, level });
+
+    // The state may have been removed, or the zoom changed again, while we were fetching
+    if (AppState.stateLayers[stateAbbr] !== entry || entry.pendingLevel !== level) {
+        if (geojson) cacheStateGeoJSON(stateAbbr, level, geojson, countVertices(geojson));
+        return;
+    }
+    entry.pendingLevel = null;
+    if (!geojson || entry.level === level) return;
+
+    const layer = L.geoJSON(geojson, {
+        style: styleFeature,
+        onEachFeature: onEachFeature
+    });
+
+    // Add the new layer before removing the old one so the state never blinks out
+    AppState.currentLayer.addLayer(layer);
+    AppState.currentLayer.removeLayer(entry.layer);
+    cacheStateGeoJSON(stateAbbr, entry.level, entry.geojson, entry.vertices);
+
+    Object.assign(entry, { layer, geojson, level, vertices: countVertices(geojson) });
+    AppState.currentGeoJSON = buildLoadedGeoJSON();
+}
+
+/**
+ * Build the union of the loaded states' features
+ * @returns {Object|null} GeoJSON FeatureCollection, or null when no state is loaded
+ */
+function buildLoadedGeoJSON() {
+    const loaded = Object.keys(AppState.stateLayers);
+
+    return loaded.length > 0 ? {
+        type: 'FeatureCollection',
+        features: loaded.flatMap(abbr => AppState.stateLayers[abbr].geojson.features)
+    } : null;
+}
+
+/**
+ * Rebuild the union of loaded states and re-apply ranges, stats and styles
+ * Called whenever a state is added to or removed from the registry
+ * @param {Object} [options] - Refresh options
+ * @param {boolean} options.auto - The change came from auto-load, so the URL is
+ *     updated without adding a history entry
+ * @returns {Promise} Resolves once the loaded states are re-colored
+ */
+async function refreshLoadedStates({ auto = false } = {}) {
+    AppState.currentGeoJSON = buildLoadedGeoJSON();
+
+    renderStateChips();
+    renderRegionControls();
+    refreshOverview();
+    syncURL({ replace: auto });
+
+    // The worker computes ranges and colors across all loaded states (or every ZIP)
+    const selected = selectDataZips(getMapZips());
+
+    if (!hasMapZips()) {
+        Elements.statsBar.style.display = 'none';
+        if (AppState.affordabilityMode) {
+            Elements.affordabilityInfo.innerHTML = '';
+        }
+        return;
+    }
+
+    await selected;
+    await refreshMapColors();
+}
+
+/**
+ * Render the chips for loaded states and disable their dropdown options
+ */
+function renderStateChips() {
+    const loaded = Object.keys(AppState.stateLayers);
+
+    Elements.stateChips.innerHTML = loaded.map(abbr => `
+        <span class="state-chip">
+            ${STATES[abbr].name}
+            <button class="state-chip-remove" data-state="${abbr}" aria-label="Remove ${STATES[abbr].name}">&times;</button>
+        </span>
+    `).join('');
+
+    Array.from(Elements.stateSelect.options).forEach(option => {
+        if (option.value) {
+            option.disabled = loaded.includes(option.value);
+        }
+    });
+}
+
+/**
+ * Update the year and re-render current state
+ * Uses cached GeoJSON - no additional network requests
+ * @param {number|string} year - Year to display
+ */
+function updateYear(year) {
+    AppState.currentYear = parseInt(year);
+    AppState.displayYear = null;
+    Elements.currentYear.textContent = AppState.currentYear;
+    Elements.yearSlider.value = AppState.currentYear;
+
+    // Historical affordability thresholds change with the year
+    if (AppState.historicalAffordability) {
+        updateMaxAffordablePrice();
+        renderMortgageSummary();
+    }
+
+    // Keep the pinned ZIP, comparison tray and overview in sync
+    renderDetailPanel();
+    renderCompareTray();
+    refreshOverview();
+    syncURL();
+
+    // Use cached GeoJSON - no need to fetch again
+    refreshMapColors();
+}
+
+/**
+ * Set the scale mode (state or national)
+ * Uses cached GeoJSON - no additional network requests
+ * @param {string} mode - 'state' or 'national'
+ */
+function setScaleMode(mode) {
+    AppState.scaleMode = mode;
+    
+    // Update toggle UI
+    Elements.scaleState.classList.toggle('active', mode === 'state');
+    Elements.scaleNational.classList.toggle('active', mode === 'national');
+    syncURL();
+
+    // Use cached GeoJSON - no need to fetch again
+    refreshMapColors();
+}
+
+/**
+ * Change how the color scale is classified
+ * Custom breaks are kept per metric, since each metric has its own units
+ * @param {Object} changes - Any of { scheme, classes, customBreaks }
+ */
+function setClassification({ scheme = AppState.classScheme, classes = AppState.classCount, customBreaks } = {}) {
+    AppState.classScheme = CLASSIFICATION_SCHEMES[scheme] ? scheme : 'equal';
+    AppState.classCount = CLASS_COUNTS.includes(Number(classes)) ? Number(classes) : AppState.classCount;
+    if (customBreaks) {
+        AppState.customBreaks[AppState.metric] = customBreaks;
+    }
+
+    renderClassificationControls();
+    syncURL();
+    refreshOverview();
+    refreshMapColors();
+}
+
+/**
+ * Show the classification settings for the active metric
+ * Custom breaks set the number of classes themselves
+ */
+function renderClassificationControls() {
+    const isCustom = AppState.classScheme === 'custom';
+    Elements.classScheme.value = AppState.classScheme;
+    Elements.classCount.value = AppState.classCount;
+    Elements.classCount.disabled = isCustom;
+    Elements.customBreaksRow.style.display = isCustom ? 'flex' : 'none';
+    Elements.customBreaks.value = (AppState.customBreaks[AppState.metric] || []).join(', ');
+}
+
+/**
+ * Set the metric used to color the map
+ * Uses cached GeoJSON - no additional network requests
+ * @param {string} metric - Key of METRICS
+ */
+function setMetric(metric) {
+    // Uploaded metrics need their values, which links don't carry
+    if (!METRICS[metric] || (METRICS[metric].uploaded && !AppState.userData)) return;
+    AppState.metric = metric;
+
+    Elements.metricSelect.value = metric;
+    Elements.metricBaseRow.style.display = METRICS[metric].usesBaseYear ? 'flex' : 'none';
+    renderClassificationControls();
+
+    refreshMetric();
+}
+
+/**
+ * Set the base year for change and growth metrics
+ * @param {number|string} year - Base year
+ */
+function setMetricBaseYear(year) {
+    AppState.metricBaseYear = parseInt(year);
+    Elements.metricBaseYear.value = AppState.metricBaseYear;
+
+    if (METRICS[AppState.metric].usesBaseYear) {
+        refreshMetric();
+    }
+}
+
+/**
+ * Recalculate ranges and re-color after the metric definition changes
+ */
+function refreshMetric() {
+    renderLegend();
+    refreshOverview();
+    syncURL();
+    refreshMapColors();
+}
+
+/**
+ * Toggle timeline animation
+ */
+function togglePlay() {
+    if (AppState.isPlaying) {
+        stopPlayback();
     } else {
-        Elements.infoZip.textContent = `ZIP Code: ${zip}`;
-        Elements.infoPrice.textContent = 'No data';
-        Elements.infoChange.textContent = '';
-        Elements.infoChange.className = 'info-change';
+        startPlayback();
     }
-
-    Elements.infoPanel.classList.add('visible');
 }
 
 /**
- * Reset feature highlight
- * @param {Object} e - Leaflet event
+ * Start playing the timeline over the configured year range
  */
-function resetHighlight(e) {
-    if (AppState.currentLayer) {
-        AppState.currentLayer.resetStyle(e.target);
+function startPlayback() {
+    AppState.isPlaying = true;
+    Elements.playBtn.classList.add('playing');
+    Elements.playIcon.innerHTML = '<rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/>';
+    Elements.playText.textContent = 'Pause';
+
+    // Start over if outside the range or at its end
+    if (AppState.currentYear < AppState.playbackStart || AppState.currentYear >= AppState.playbackEnd) {
+        updateYear(AppState.playbackStart);
+    }
+
+    if (AppState.smoothPlayback) {
+        let yearStartedAt = performance.now();
+
+        const frame = (now) => {
+            const progress = (now - yearStartedAt) / AppState.playbackSpeed;
+
+            if (progress >= 1) {
+                if (!advancePlayback()) return;
+                yearStartedAt = now;
+            } else if (AppState.currentYear < AppState.playbackEnd) {
+                renderDisplayYear(AppState.currentYear + progress);
+            }
+
+            AppState.playFrame = requestAnimationFrame(frame);
+        };
+
+        AppState.playFrame = requestAnimationFrame(frame);
+    } else {
+        AppState.playInterval = setInterval(advancePlayback, AppState.playbackSpeed);
     }
-    Elements.infoPanel.classList.remove('visible');
 }
 
 /**
- * Zoom to a feature on click
- * @param {Object} e - Leaflet event
+ * Stop the timeline animation, leaving the map on the current year
  */
-function zoomToFeature(e) {
-    AppState.map.fitBounds(e.target.getBounds(), { padding: [50, 50] });
+function stopPlayback() {
+    clearInterval(AppState.playInterval);
+    cancelAnimationFrame(AppState.playFrame);
+    AppState.playInterval = null;
+    AppState.playFrame = null;
+    AppState.isPlaying = false;
+    Elements.playBtn.classList.remove('playing');
+    Elements.playIcon.innerHTML = '<path d="M8 5v14l11-7z"/>';
+    Elements.playText.textContent = 'Play Timeline';
+
+    // Snap back to a whole year if stopped mid-transition
+    if (AppState.displayYear !== null) {
+        updateYear(AppState.currentYear);
+    }
 }
 
 /**
- * Apply price range based on current scale mode
- * @param {Object} stateRange - State-level price range
+ * Move playback to the next year, looping or stopping at the end of the range
+ * @returns {boolean} True if playback continues
  */
-function applyPriceRange(stateRange) {
-    if (AppState.scaleMode === 'national' && AppState.nationalPriceRange[AppState.currentYear]) {
-        AppState.priceRange = { 
-            min: AppState.nationalPriceRange[AppState.currentYear].min, 
-            max: AppState.nationalPriceRange[AppState.currentYear].max 
-        };
-    } else {
-        AppState.priceRange = { min: stateRange.min, max: stateRange.max };
+function advancePlayback() {
+    if (AppState.currentYear >= AppState.playbackEnd) {
+        if (!AppState.playbackLoop) {
+            updateYear(AppState.playbackEnd);
+            stopPlayback(); // Stop at end
+            return false;
+        }
+        updateYear(AppState.playbackStart);
+        return true;
     }
 
-    // Update legend
-    Elements.legendMin.textContent = formatCurrency(AppState.priceRange.min);
-    Elements.legendMax.textContent = formatCurrency(AppState.priceRange.max);
-
-    // Update stats
-    updateStats(stateRange);
+    updateYear(AppState.currentYear + 1);
+    return true;
 }
 
 /**
- * Update statistics display
- * @param {Object} range - Price range statistics
+ * Re-color the map for a fractional year during smooth playback
+ * The slider, detail panel and URL stay on the whole year until the next one is reached
+ * @param {number} year - Fractional year, e.g. 2010.4
  */
-function updateStats(range) {
-    Elements.statsBar.style.display = 'grid';
-    Elements.statMedian.textContent = formatCurrency(range.median);
-    Elements.statMin.textContent = formatCurrency(range.lowest);
-    Elements.statMax.textContent = formatCurrency(range.highest);
+function renderDisplayYear(year) {
+    AppState.displayYear = year;
+    refreshOverview();
+    refreshMapColors();
 }
 
 /**
- * Render a state's data on the map (LAZY LOADING)
- * GeoJSON is only loaded when this function is called
- * @param {string} stateAbbr - State abbreviation
+ * Restart playback so changed settings take effect
  */
-async function renderState(stateAbbr) {
-    if (!stateAbbr) return;
+function restartPlayback() {
+    if (AppState.isPlaying) {
+        stopPlayback();
+        startPlayback();
+    }
+}
 
-    AppState.currentState = stateAbbr;
-    const state = STATES[stateAbbr];
-    
-    // Remove existing layer
-    if (AppState.currentLayer) {
-        AppState.map.removeLayer(AppState.currentLayer);
-        AppState.currentLayer = null;
+/**
+ * Apply the playback controls (speed, range, loop and smooth mode)
+ */
+function updatePlaybackSettings() {
+    let start = parseInt(Elements.playbackStart.value);
+    let end = parseInt(Elements.playbackEnd.value);
+
+    // Keep at least two years in the range
+    if (start >= end) {
+        if (start === 2025) {
+            start = 2024;
+        }
+        end = start + 1;
+        Elements.playbackStart.value = start;
+        Elements.playbackEnd.value = end;
     }
 
-    // LAZY LOAD: Only fetch GeoJSON when state is selected
-    const geojson = await loadStateGeoJSON(stateAbbr);
-    if (!geojson) return;
+    const smoothChanged = AppState.smoothPlayback !== Elements.smoothToggle.checked;
 
-    // Cache the GeoJSON for year updates
-    AppState.currentGeoJSON = geojson;
+    AppState.playbackSpeed = parseInt(Elements.playbackSpeed.value);
+    AppState.playbackStart = start;
+    AppState.playbackEnd = end;
+    AppState.playbackLoop = Elements.playbackLoop.checked;
+    AppState.smoothPlayback = Elements.smoothToggle.checked;
 
-    // Create layer
-    AppState.currentLayer = L.geoJSON(geojson, {
-        style: styleFeature,
-        onEachFeature: onEachFeature
-    });
+    if (smoothChanged && !AppState.isPlaying) {
+        // Switch between stepped and blended colors
+        refreshMapColors();
+        refreshOverview();
+    }
 
-    // Calculate and apply price range
-    const stateRange = calculatePriceRange(geojson);
-    applyPriceRange(stateRange);
+    restartPlayback();
+}
 
-    // Re-style with correct price range
-    AppState.currentLayer.setStyle(styleFeature);
-    
-    // Add to map and zoom
-    AppState.currentLayer.addTo(AppState.map);
-    AppState.map.flyTo(state.center, state.zoom, { duration: 1 });
-    
-    // Update affordability display if active
-    if (AppState.affordabilityMode) {
-        updateAffordabilityDisplay();
+/**
+ * Step the year backward or forward, pausing playback first
+ * @param {number} delta - Years to move (-1 or 1)
+ */
+function stepYear(delta) {
+    if (AppState.isPlaying) {
+        stopPlayback();
     }
+    const newYear = Math.min(2025, Math.max(2000, AppState.currentYear + delta));
+    Elements.yearSlider.value = newYear;
+    updateYear(newYear);
 }
 
 /**
- * Update the year and re-render current state
- * Uses cached GeoJSON - no additional network requests
- * @param {number|string} year - Year to display
+ * Handle timeline keyboard shortcuts
+ * Left/Right step a year, Space plays or pauses, Home/End jump to the playback range ends
+ * @param {KeyboardEvent} e - Key event
  */
-function updateYear(year) {
-    AppState.currentYear = parseInt(year);
-    Elements.currentYear.textContent = AppState.currentYear;
-    Elements.yearSlider.value = AppState.currentYear;
-
-    // Use cached GeoJSON - no need to fetch again
-    if (AppState.currentLayer && AppState.currentGeoJSON) {
-        const stateRange = calculatePriceRange(AppState.currentGeoJSON);
-        applyPriceRange(stateRange);
-        AppState.currentLayer.setStyle(styleFeature);
-        
-        // Update affordability display if active
-        if (AppState.affordabilityMode) {
-            updateAffordabilityDisplay();
-        }
+function handleTimelineKeys(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, select, textarea, button, [contenteditable]')) return;
+
+    switch (e.key) {
+        case 'ArrowLeft':
+            stepYear(-1);
+            break;
+        case 'ArrowRight':
+            stepYear(1);
+            break;
+        case ' ':
+            togglePlay();
+            break;
+        case 'Home':
+            stepYear(AppState.playbackStart - AppState.currentYear);
+            break;
+        case 'End':
+            stepYear(AppState.playbackEnd - AppState.currentYear);
+            break;
+        default:
+            return;
     }
+
+    e.preventDefault();
 }
 
 /**
- * Set the scale mode (state or national)
- * Uses cached GeoJSON - no additional network requests
- * @param {string} mode - 'state' or 'national'
+ * Build the query string describing the current view
+ * Defaults are omitted to keep links short
+ * @returns {string} Query string including the leading '?', or '' for the default view
  */
-function setScaleMode(mode) {
-    AppState.scaleMode = mode;
-    
-    // Update toggle UI
-    Elements.scaleState.classList.toggle('active', mode === 'state');
-    Elements.scaleNational.classList.toggle('active', mode === 'national');
-
-    // Use cached GeoJSON - no need to fetch again
-    if (AppState.currentLayer && AppState.currentGeoJSON) {
-        const stateRange = calculatePriceRange(AppState.currentGeoJSON);
-        applyPriceRange(stateRange);
-        AppState.currentLayer.setStyle(styleFeature);
+function buildURLQuery() {
+    const params = new URLSearchParams();
+    const states = Object.keys(AppState.stateLayers);
+    const income = getEnteredIncome();
+
+    if (states.length > 0) params.set('states', states.join(','));
+    if (AppState.currentYear !== 2000) params.set('year', AppState.currentYear);
+    if (AppState.scaleMode !== 'state') params.set('scale', AppState.scaleMode);
+    if (AppState.metric !== 'price') params.set('metric', AppState.metric);
+    if (AppState.metricBaseYear !== 2000) params.set('base', AppState.metricBaseYear);
+    if (AppState.classScheme !== 'equal') params.set('classify', AppState.classScheme);
+    if (AppState.classCount !== 11) params.set('classes', AppState.classCount);
+    if (AppState.classScheme === 'custom' && AppState.customBreaks[AppState.metric]) {
+        params.set('breaks', AppState.customBreaks[AppState.metric].join(','));
     }
+    if (AppState.realDollars) params.set('real', AppState.dollarYear);
+    if (AppState.pinnedZip) params.set('zip', AppState.pinnedZip);
+    if (AppState.compareZips.length > 0) params.set('compare', AppState.compareZips.join(','));
+    if (income > 0) params.set('income', income);
+    if (AppState.affordabilityMode) params.set('afford', '1');
+    if (AppState.historicalAffordability) params.set('hist', '1');
+    if (!AppState.adjustIncomeForWages) params.set('wages', '0');
+    if (AppState.nationwide) params.set('nationwide', '1');
+    if (AppState.fillGaps) params.set('fill', '1');
+    if (AppState.flagJumps) params.set('jumps', AppState.jumpThreshold);
+
+    const query = params.toString().replace(/%2C/g, ',');
+    return query ? `?${query}` : '';
 }
 
 /**
- * Toggle timeline animation
+ * Write the current view to the URL
+ * Rapid changes (slider drags) are coalesced into one history entry; timeline
+ * playback and changes the user didn't make (auto-loading states) replace the entry
+ * instead of adding one
+ * @param {Object} [options] - { replace } - replace the current history entry
  */
-function togglePlay() {
-    if (AppState.isPlaying) {
-        // Stop
-        clearInterval(AppState.playInterval);
-        AppState.isPlaying = false;
-        Elements.playBtn.classList.remove('playing');
-        Elements.playIcon.innerHTML = '<path d="M8 5v14l11-7z"/>';
-        Elements.playText.textContent = 'Play Timeline';
-    } else {
-        // Play
-        AppState.isPlaying = true;
-        Elements.playBtn.classList.add('playing');
-        Elements.playIcon.innerHTML = '<rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/>';
-        Elements.playText.textContent = 'Pause';
+function syncURL({ replace = false } = {}) {
+    if (AppState.isRestoringURL) return;
 
-        // Reset to 2000 if at end
-        if (AppState.currentYear >= 2025) {
-            updateYear(2000);
-        }
+    // A user action coalesced with automatic changes still gets its own entry
+    AppState.urlSyncPush = AppState.urlSyncPush || !replace;
 
-        AppState.playInterval = setInterval(() => {
-            if (AppState.currentYear >= 2025) {
-                togglePlay(); // Stop at end
-                return;
-            }
-            updateYear(AppState.currentYear + 1);
-        }, 800);
-    }
+    clearTimeout(AppState.urlSyncTimer);
+    AppState.urlSyncTimer = setTimeout(() => {
+        const push = AppState.urlSyncPush && !AppState.isPlaying;
+        AppState.urlSyncPush = false;
+
+        const query = buildURLQuery();
+        if (query === window.location.search) return;
+
+        const url = `${window.location.pathname}${query}${window.location.hash}`;
+        if (push) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+    }, 400);
 }
 
 /**
- * Search for a ZIP code
- * @param {string} zip - 5-digit ZIP code
+ * Restore the view described by the URL
+ * Used on startup and for back/forward navigation
  */
-async function searchZipCode(zip) {
-    // Validate input
-    if (!zip || zip.length !== 5) {
-        Elements.searchError.textContent = 'Please enter a valid 5-digit ZIP code';
-        Elements.searchError.className = 'search-error';
-        return;
-    }
+async function applyURLState() {
+    const params = new URLSearchParams(window.location.search);
+    const zipPattern = /^\d{5}$/;
 
-    // Get the state for this ZIP
-    const stateAbbr = getStateFromZip(zip);
-    
-    if (!stateAbbr || !STATES[stateAbbr]) {
-        Elements.searchError.textContent = 'ZIP code not found in our database';
-        Elements.searchError.className = 'search-error';
-        return;
-    }
+    clearTimeout(AppState.urlSyncTimer);
+    AppState.isRestoringURL = true;
 
-    // Load the state if needed (lazy loading)
-    if (AppState.currentState !== stateAbbr) {
-        Elements.stateSelect.value = stateAbbr;
-        await renderState(stateAbbr);
-    }
+    try {
+        const metric = params.get('metric') || 'price';
+        const baseYear = parseInt(params.get('base')) || 2000;
+        if (baseYear !== AppState.metricBaseYear && baseYear >= 2000 && baseYear < 2025) {
+            setMetricBaseYear(baseYear);
+        }
+        if (metric !== AppState.metric && METRICS[metric]) {
+            setMetric(metric);
+        }
 
-    // Find and highlight the ZIP code polygon
-    let found = false;
-    AppState.currentLayer.eachLayer((layer) => {
-        const layerZip = layer.feature.properties.ZCTA5CE10;
-        if (layerZip === zip) {
-            found = true;
-            
-            // Zoom to the feature
-            AppState.map.fitBounds(layer.getBounds(), { padding: [100, 100], maxZoom: 12 });
-            
-            // Highlight it
-            layer.setStyle({
-                weight: 3,
-                color: '#fbbf24',
-                fillOpacity: 1
-            });
-            layer.bringToFront();
-
-            // Show info
-            const data = AppState.zhviData[zip];
-            if (data) {
-                const price = parseFloat(data[AppState.currentYear]) || 0;
-                Elements.searchError.textContent = `Found! ${formatCurrency(price)} in ${AppState.currentYear}`;
-                Elements.searchError.className = 'search-error success';
-            } else {
-                Elements.searchError.textContent = 'ZIP found but no price data available';
-                Elements.searchError.className = 'search-error';
-            }
+        const dollarYear = parseInt(params.get('real')) || null;
+        if (Boolean(dollarYear) !== AppState.realDollars || (dollarYear && dollarYear !== AppState.dollarYear)) {
+            await setRealDollars(Boolean(dollarYear), dollarYear || AppState.dollarYear);
+        }
 
-            // Reset highlight after 3 seconds
-            setTimeout(() => {
-                if (AppState.currentLayer) {
-                    AppState.currentLayer.resetStyle(layer);
-                }
-            }, 3000);
+        const scheme = params.get('classify') || 'equal';
+        const classCount = parseInt(params.get('classes')) || 11;
+        const breaks = parseCustomBreaks(params.get('breaks') || '');
+        if (scheme !== AppState.classScheme || classCount !== AppState.classCount ||
+            breaks.join(',') !== (AppState.customBreaks[AppState.metric] || []).join(',')) {
+            setClassification({ scheme, classes: classCount, customBreaks: breaks });
+        }
+
+        const scale = params.get('scale') === 'national' ? 'national' : 'state';
+        if (scale !== AppState.scaleMode) {
+            setScaleMode(scale);
+        }
+
+        const year = parseInt(params.get('year')) || 2000;
+        if (year !== AppState.currentYear && year >= 2000 && year <= 2025) {
+            updateYear(year);
+        }
+
+        const adjustWages = params.get('wages') !== '0';
+        if (adjustWages !== AppState.adjustIncomeForWages) {
+            AppState.adjustIncomeForWages = adjustWages;
+            Elements.wageToggle.checked = adjustWages;
+        }
+
+        const historical = params.get('hist') === '1';
+        if (historical !== AppState.historicalAffordability) {
+            setHistoricalAffordability(historical);
+        }
+
+        // Income drives the affordability threshold through the input handler
+        const income = parseInt(params.get('income')) || 0;
+        const currentIncome = getEnteredIncome();
+        if (income !== currentIncome) {
+            Elements.incomeInput.value = income > 0 ? income : '';
+            Elements.incomeInput.dispatchEvent(new Event('input'));
+        }
+
+        const jumps = parseFloat(params.get('jumps'));
+        if (jumps > 0 !== AppState.flagJumps || (jumps > 0 && jumps !== AppState.jumpThreshold)) {
+            setJumpFlags(jumps > 0, jumps);
+        }
+
+        const fillGaps = params.get('fill') === '1';
+        if (fillGaps !== AppState.fillGaps) {
+            await setGapFilling(fillGaps);
+        }
+
+        const nationwide = params.get('nationwide') === '1';
+        if (nationwide !== AppState.nationwide) {
+            await setNationwideView(nationwide);
+        }
+
+        // Sync the loaded states with the link
+        const states = (params.get('states') || '').split(',').filter(abbr => STATES[abbr]);
+        Object.keys(AppState.stateLayers)
+            .filter(abbr => !states.includes(abbr))
+            .forEach(removeState);
+
+        const zip = params.get('zip');
+        for (let i = 0; i < states.length; i++) {
+            const isLast = i === states.length - 1;
+            await renderState(states[i], { fly: isLast && !zip });
         }
-    });
 
-    if (!found) {
-        Elements.searchError.textContent = 'ZIP code boundary not found in map data';
-        Elements.searchError.className = 'search-error';
+        const affordability = params.get('afford') === '1';
+        if (affordability !== AppState.affordabilityMode && (!affordability || income > 0)) {
+            toggleAffordabilityMode();
+        }
+
+        const compareZips = (params.get('compare') || '').split(',').filter(z => zipPattern.test(z));
+        if (compareZips.join(',') !== AppState.compareZips.join(',')) {
+            clearCompare();
+            for (const compareZip of compareZips) {
+                await addToCompare(compareZip);
+            }
+        }
+
+        if (zip && zipPattern.test(zip)) {
+            Elements.zipSearch.value = zip;
+            await findZips([zip]);
+        } else if (AppState.pinnedZip) {
+            unpinZip();
+        }
+    } finally {
+        AppState.isRestoringURL = false;
     }
 }
 
@@ -639,7 +1822,17 @@ async function searchZipCode(zip) {
 function setupEventListeners() {
     // State selection
     Elements.stateSelect.addEventListener('change', (e) => {
-        renderState(e.target.value);
+        const stateAbbr = e.target.value;
+        e.target.value = '';
+        renderState(stateAbbr);
+    });
+
+    // Remove a state via its chip
+    Elements.stateChips.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.state-chip-remove');
+        if (removeBtn) {
+            removeState(removeBtn.dataset.state);
+        }
     });
 
     // Year slider
@@ -652,45 +1845,218 @@ function setupEventListeners() {
     const yearNextBtn = document.getElementById('yearNext');
     
     if (yearPrevBtn) {
-        yearPrevBtn.addEventListener('click', () => {
-            const newYear = Math.max(2000, AppState.currentYear - 1);
-            Elements.yearSlider.value = newYear;
-            updateYear(newYear);
-        });
+        yearPrevBtn.addEventListener('click', () => stepYear(-1));
     }
     
     if (yearNextBtn) {
-        yearNextBtn.addEventListener('click', () => {
-            const newYear = Math.min(2025, AppState.currentYear + 1);
-            Elements.yearSlider.value = newYear;
-            updateYear(newYear);
-        });
+        yearNextBtn.addEventListener('click', () => stepYear(1));
     }
 
     // Play button
     Elements.playBtn.addEventListener('click', togglePlay);
 
+    // Playback settings
+    [Elements.playbackSpeed, Elements.playbackStart, Elements.playbackEnd,
+        Elements.playbackLoop, Elements.smoothToggle].forEach(input => {
+        input.addEventListener('change', updatePlaybackSettings);
+    });
+
+    // Timeline keyboard shortcuts
+    document.addEventListener('keydown', handleTimelineKeys);
+
+    // Auto-load states in view
+    Elements.autoLoadToggle.addEventListener('change', (e) => {
+        setAutoLoad(e.target.checked);
+    });
+    AppState.map.on('moveend', scheduleAutoLoad);
+    AppState.map.on('zoomend', refreshGeometryLevels);
+
+    // Nationwide view
+    Elements.nationwideToggle.addEventListener('change', (e) => {
+        setNationwideView(e.target.checked);
+    });
+
+    // Detail panel close
+    Elements.detailClose.addEventListener('click', unpinZip);
+
+    // Comparison tray
+    Elements.detailCompare.addEventListener('click', () => {
+        if (AppState.pinnedZip) {
+            addToCompare(AppState.pinnedZip);
+        }
+    });
+
+    Elements.compareClear.addEventListener('click', clearCompare);
+
+    Elements.compareTable.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.compare-remove');
+        const zipBtn = e.target.closest('.compare-zip');
+        if (removeBtn) {
+            removeFromCompare(removeBtn.dataset.zip);
+        } else if (zipBtn) {
+            pinZip(zipBtn.dataset.zip);
+        }
+    });
+
     // Scale toggle
     Elements.scaleState.addEventListener('click', () => setScaleMode('state'));
     Elements.scaleNational.addEventListener('click', () => setScaleMode('national'));
 
-    // ZIP search - input validation
-    Elements.zipSearch.addEventListener('input', (e) => {
-        e.target.value = e.target.value.replace(/\D/g, '').slice(0, 5);
+    // Color scale classification
+    Elements.classScheme.addEventListener('change', (e) => setClassification({ scheme: e.target.value }));
+    Elements.classCount.addEventListener('change', (e) => setClassification({ classes: e.target.value }));
+    Elements.customBreaks.addEventListener('change', (e) => {
+        setClassification({ customBreaks: parseCustomBreaks(e.target.value) });
+    });
+
+    // Metric switcher
+    Elements.metricSelect.addEventListener('change', (e) => setMetric(e.target.value));
+
+    // Your data: drop a CSV anywhere on the page, or choose one
+    document.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        Elements.userDataDrop.classList.add('dragging');
+    });
+    document.addEventListener('dragleave', (e) => {
+        if (!e.relatedTarget) {
+            Elements.userDataDrop.classList.remove('dragging');
+        }
+    });
+    document.addEventListener('drop', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        Elements.userDataDrop.classList.remove('dragging');
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            readUserFile(file);
+        }
+    });
+    Elements.userDataFile.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            readUserFile(file);
+        }
+    });
+    Elements.userDataValue.addEventListener('change', renderUserDataName);
+    Elements.userDataValues.addEventListener('click', () => setUserDataMode('upload'));
+    Elements.userDataRatio.addEventListener('click', () => setUserDataMode('ratio'));
+    Elements.userDataApply.addEventListener('click', applyUserData);
+    Elements.userDataRemove.addEventListener('click', removeUserData);
+    Elements.metricBaseYear.addEventListener('change', (e) => setMetricBaseYear(e.target.value));
+
+    // Nominal or real dollars
+    Elements.dollarsNominal.addEventListener('click', () => setRealDollars(false));
+    Elements.dollarsReal.addEventListener('click', () => setRealDollars(true));
+    Elements.dollarYear.addEventListener('change', (e) => setRealDollars(true, e.target.value));
+
+    // Appearance
+    Elements.paletteSequential.addEventListener('change', (e) => setPalette({ sequential: e.target.value }));
+    Elements.paletteDiverging.addEventListener('change', (e) => setPalette({ diverging: e.target.value }));
+    Elements.paletteReverse.addEventListener('change', (e) => setPalette({ reverse: e.target.checked }));
+    Elements.basemapSelect.addEventListener('change', (e) => setBasemap(e.target.value));
+    Elements.themeDark.addEventListener('click', () => setTheme('dark'));
+    Elements.themeLight.addEventListener('click', () => setTheme('light'));
+
+    // ZIP search - typeahead
+    Elements.zipSearch.addEventListener('input', () => {
         Elements.searchError.textContent = '';
+        updateSearchSuggestions();
+    });
+    Elements.zipSearch.addEventListener('keydown', handleSearchKeys);
+    Elements.zipSearch.addEventListener('blur', hideSearchSuggestions);
+
+    // Pick on mousedown, before the search box loses focus and hides the list
+    Elements.searchSuggestions.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('.search-suggestion');
+        if (item) {
+            e.preventDefault();
+            pickSearchSuggestion(AppState.searchSuggestions[item.dataset.index]);
+        }
     });
 
     // ZIP search - button click
     Elements.searchBtn.addEventListener('click', () => {
-        searchZipCode(Elements.zipSearch.value);
+        runSearch();
     });
 
-    // ZIP search - Enter key
-    Elements.zipSearch.addEventListener('keypress', (e) => {
+    Elements.searchClear.addEventListener('click', () => {
+        Elements.zipSearch.value = '';
+        clearSearch();
+    });
+
+    // Regions
+    Elements.regionTools.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-draw]');
+        if (button) {
+            setDrawMode(button.dataset.draw);
+        }
+    });
+    Elements.regionClear.addEventListener('click', clearRegion);
+    Elements.regionSave.addEventListener('click', () => saveRegion(Elements.regionName.value));
+    Elements.regionName.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
-            searchZipCode(Elements.zipSearch.value);
+            saveRegion(Elements.regionName.value);
+        }
+    });
+    Elements.regionList.addEventListener('click', (e) => {
+        const show = e.target.closest('.region-show');
+        const remove = e.target.closest('.region-delete');
+        if (show) {
+            showSavedRegion(parseInt(show.dataset.region));
+        } else if (remove) {
+            deleteSavedRegion(parseInt(remove.dataset.region));
+        }
+    });
+    Elements.regionImport.addEventListener('click', () => Elements.regionImportFile.click());
+    Elements.regionImportFile.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            importRegions(file);
         }
     });
+    Elements.regionExport.addEventListener('click', exportRegions);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && AppState.drawMode) {
+            setDrawMode(null);
+        }
+    });
+
+    // Export menu
+    Elements.exportMenu.addEventListener('click', (e) => {
+        const exportBtn = e.target.closest('[data-export]');
+        if (exportBtn) {
+            runExport(exportBtn.dataset.export);
+        }
+    });
+
+    // Timeline recording
+    Elements.recordBtn.addEventListener('click', recordTimeline);
+
+    // Offline use
+    Elements.offlineDownload.addEventListener('click', downloadAllStates);
+    Elements.offlineClear.addEventListener('click', clearOfflineData);
+
+    // Data diagnostics
+    Elements.diagnosticsRun.addEventListener('click', runDiagnostics);
+    Elements.diagnosticsReport.addEventListener('click', (e) => {
+        const button = e.target.closest('.diagnostics-download');
+        if (button) {
+            exportDiagnosticsList(button.dataset.list);
+        }
+    });
+
+    // Data quality
+    Elements.fillGapsToggle.addEventListener('change', (e) => {
+        setGapFilling(e.target.checked);
+    });
+    Elements.flagJumpsToggle.addEventListener('change', (e) => {
+        setJumpFlags(e.target.checked);
+    });
+    Elements.jumpThreshold.addEventListener('change', (e) => {
+        setJumpFlags(AppState.flagJumps, parseFloat(e.target.value));
+    });
 
     // Mobile panel toggle
     Elements.mobileToggle.addEventListener('click', () => {
@@ -708,7 +2074,7 @@ function setupEventListeners() {
 
     // Auto-collapse on mobile after ZIP search
     Elements.searchBtn.addEventListener('click', () => {
-        if (window.innerWidth <= 768 && Elements.zipSearch.value.length === 5) {
+        if (window.innerWidth <= 768 && Elements.zipSearch.value.trim()) {
             setTimeout(() => {
                 Elements.controlPanel.classList.add('collapsed');
             }, 500);
@@ -724,14 +2090,27 @@ function setupEventListeners() {
         e.target.value = value;
         
         // Update max affordable price
-        const income = parseInt(value.replace(/,/g, '')) || 0;
-        AppState.maxAffordablePrice = income > 0 ? income * AppState.AFFORDABILITY_MULTIPLIER : null;
-        
-        // If affordability mode is active, update display
-        if (AppState.affordabilityMode && AppState.currentLayer) {
-            updateAffordabilityDisplay();
-            AppState.currentLayer.setStyle(styleFeature);
-        }
+        refreshAffordability();
+    });
+
+    // Mortgage calculator inputs
+    Elements.mortgageCalculator.addEventListener('input', (e) => {
+        const term = e.target.dataset.term;
+        const value = parseFloat(e.target.value);
+        if (!term || isNaN(value) || value < 0) return;
+
+        AppState.mortgageTerms[term] = value;
+        refreshAffordability();
+    });
+
+    // Historical affordability
+    Elements.historicalToggle.addEventListener('change', (e) => {
+        setHistoricalAffordability(e.target.checked);
+    });
+
+    Elements.wageToggle.addEventListener('change', (e) => {
+        AppState.adjustIncomeForWages = e.target.checked;
+        refreshAffordability();
     });
 
     // Affordability toggle button
@@ -870,7 +2249,7 @@ function setupEventListeners() {
  * Toggle affordability mode on/off
  */
 function toggleAffordabilityMode() {
-    const income = parseInt(Elements.incomeInput.value.replace(/,/g, '')) || 0;
+    const income = getEnteredIncome();
     
     if (income <= 0) {
         Elements.affordabilityInfo.textContent = 'Enter your annual income first';
@@ -883,52 +2262,142 @@ function toggleAffordabilityMode() {
     }
     
     AppState.affordabilityMode = !AppState.affordabilityMode;
-    AppState.maxAffordablePrice = income * AppState.AFFORDABILITY_MULTIPLIER;
+    updateMaxAffordablePrice();
     
     // Update toggle button
     Elements.affordabilityToggle.classList.toggle('active', AppState.affordabilityMode);
+    syncURL();
     
-    if (AppState.affordabilityMode) {
-        updateAffordabilityDisplay();
-    } else {
+    if (!AppState.affordabilityMode) {
         Elements.affordabilityInfo.innerHTML = '';
     }
     
-    // Re-style the map
-    if (AppState.currentLayer) {
-        AppState.currentLayer.setStyle(styleFeature);
+    // Re-style the map (the info line updates with the new frame)
+    refreshMapColors();
+}
+
+/**
+ * Get the annual income typed into the affordability input
+ * @returns {number} Income, or 0 if none entered
+ */
+function getEnteredIncome() {
+    return parseInt(Elements.incomeInput.value.replace(/,/g, '')) || 0;
+}
+
+/**
+ * Recalculate the max affordable price from income and mortgage terms
+ */
+function updateMaxAffordablePrice() {
+    const income = getEnteredIncome();
+
+    if (income <= 0) {
+        AppState.maxAffordablePrice = null;
+        AppState.affordabilityDetails = null;
+        return;
+    }
+
+    let yearIncome = income;
+    let terms = AppState.mortgageTerms;
+
+    // Historical mode restates buying power for the year on the slider
+    if (AppState.historicalAffordability) {
+        terms = getHistoricalTerms(terms, AppState.currentYear);
+        if (AppState.adjustIncomeForWages) {
+            yearIncome = restateIncome(income, AppState.currentYear);
+        }
+    }
+
+    // Compared with prices in the dollars the map shows
+    const result = calculateMaxPurchasePrice(yearIncome, terms);
+    const priceYear = AppState.historicalAffordability ? AppState.currentYear : 2025;
+    AppState.maxAffordablePrice = toDisplayDollars(result.maxPrice, priceYear);
+    AppState.affordabilityDetails = {
+        maxPayment: result.maxPayment,
+        limitedBy: result.limitedBy,
+        income: yearIncome,
+        rate: terms.rate
+    };
+}
+
+/**
+ * Turn historical affordability on or off
+ * @param {boolean} enabled - Whether to use year-appropriate rates and incomes
+ */
+function setHistoricalAffordability(enabled) {
+    AppState.historicalAffordability = enabled;
+    Elements.historicalToggle.checked = enabled;
+    Elements.wageToggle.disabled = !enabled;
+    refreshAffordability();
+}
+
+/**
+ * Apply a change in income or mortgage terms everywhere affordability is shown
+ */
+function refreshAffordability() {
+    updateMaxAffordablePrice();
+    renderMortgageSummary();
+
+    // If affordability mode is active, update the map and display
+    if (AppState.affordabilityMode) {
+        refreshMapColors();
+    }
+
+    // Comparison tray shows affordability under the entered income
+    renderCompareTray();
+    syncURL();
+}
+
+/**
+ * Show the payment behind the max price in the mortgage calculator
+ */
+function renderMortgageSummary() {
+    const details = AppState.affordabilityDetails;
+
+    if (!details) {
+        Elements.mortgageSummary.textContent = 'Enter your income to calculate';
+        return;
     }
+
+    const historical = AppState.historicalAffordability
+        ? `<br>In ${AppState.currentYear}: ${details.rate.toFixed(2)}% rate, ${formatCurrency(details.income)} income`
+        : '';
+
+    Elements.mortgageSummary.innerHTML = `
+        Max payment <strong>$${Math.round(details.maxPayment).toLocaleString()}/mo</strong>
+        (${details.limitedBy} DTI) · Max price
+        <strong>${AppState.maxAffordablePrice > 0 ? formatCurrency(AppState.maxAffordablePrice) : '$0'}</strong>
+        ${AppState.realDollars ? `in ${getDollarLabel()}` : ''}
+        ${historical}
+    `;
+}
+
+/**
+ * Fill the mortgage calculator inputs from the current terms
+ */
+function populateMortgageCalculator() {
+    Elements.mortgageCalculator.querySelectorAll('[data-term]').forEach(input => {
+        input.value = AppState.mortgageTerms[input.dataset.term];
+    });
+    renderMortgageSummary();
 }
 
 /**
- * Update the affordability info display
+ * Update the affordability info display from the last applied frame's counts
  */
 function updateAffordabilityDisplay() {
-    if (!AppState.currentGeoJSON || !AppState.affordabilityMode) return;
+    if (!hasMapZips() || !AppState.affordabilityMode || !AppState.affordabilityCounts) return;
     
     const maxPrice = AppState.maxAffordablePrice;
-    let affordableCount = 0;
-    let totalWithData = 0;
-    
-    AppState.currentGeoJSON.features.forEach(feature => {
-        const zip = feature.properties.ZCTA5CE10;
-        const data = AppState.zhviData[zip];
-        if (data && data[AppState.currentYear]) {
-            const price = parseFloat(data[AppState.currentYear]);
-            if (price > 0) {
-                totalWithData++;
-                if (price <= maxPrice) {
-                    affordableCount++;
-                }
-            }
-        }
-    });
+    const affordableCount = AppState.affordabilityCounts.count;
+    const totalWithData = AppState.affordabilityCounts.total;
     
     const percentage = totalWithData > 0 ? Math.round((affordableCount / totalWithData) * 100) : 0;
     
+    const yearNote = AppState.historicalAffordability ? ` in ${AppState.currentYear}` : '';
+
     Elements.affordabilityInfo.innerHTML = `
-        <span class="affordable-count">${affordableCount} ZIP codes</span> affordable 
-        (${percentage}%) · Max: <span class="max-price">${formatCurrency(maxPrice)}</span>
+        <span class="affordable-count">${affordableCount} ZIP codes</span> affordable${yearNote} 
+        (${percentage}%) · Max: <span class="max-price">${maxPrice > 0 ? formatCurrency(maxPrice) : '$0'}</span>
     `;
 }
 
@@ -938,21 +2407,44 @@ function updateAffordabilityDisplay() {
 async function init() {
     // Cache DOM elements
     cacheElements();
+
+    // Saved palette, basemap and theme, and saved regions
+    loadAppearance();
+    loadSavedRegions();
     
     // Initialize map
     initMap();
     
-    // Populate dropdown
+    // Populate dropdowns
     populateStateDropdown();
+    populateMetricBaseYears();
+    populateDollarYears();
+    populateClassification();
+    populateAppearance();
+    populateYearRanges();
+    populateMortgageCalculator();
     
-    // Load CSV data (required for all operations)
+    // Load price data (required for all operations)
     showLoading(true, 'Loading price data...');
     await loadZHVIData();
     showLoading(false);
 
+    // National overview until a state is picked (loads in the background)
+    initOverview();
+
+    // Service worker and offline status
+    initOffline();
+
+    // Region draw tools
+    initRegions();
+
     // Set up event listeners
     setupEventListeners();
 
+    // Restore the view from a shared link, and keep back/forward working
+    await applyURLState();
+    window.addEventListener('popstate', applyURLState);
+
     console.log('ZHVI Map initialized successfully!');
     console.log('Architecture: Lazy loading - GeoJSON only loaded on state selection');
 }
@@ -0,0 +1,160 @@
+/**
+ * Appearance: color ramps, basemap and UI theme
+ * The choices are kept in localStorage (like the welcome modal's zhvi_welcome_seen)
+ * rather than the URL, since they're a viewer's preference, not part of the view.
+ * The light theme overrides the CSS variables at the top of css/styles.css.
+ */
+
+// localStorage key for the saved choices
+const APPEARANCE_STORAGE_KEY = 'zhvi_appearance';
+
+// UI themes, see html[data-theme] in css/styles.css
+const THEMES = ['dark', 'light'];
+
+/**
+ * Read the saved choices into AppState, falling back to the defaults for anything
+ * missing or no longer offered, and apply the theme
+ */
+function loadAppearance() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(APPEARANCE_STORAGE_KEY)) || {};
+    } catch (err) {
+        console.warn('Ignoring saved appearance:', err);
+    }
+
+    if (PALETTES.sequential[saved.sequential]) AppState.sequentialPalette = saved.sequential;
+    if (PALETTES.diverging[saved.diverging]) AppState.divergingPalette = saved.diverging;
+    AppState.reversePalette = saved.reverse === true;
+    if (BASEMAPS[saved.basemap]) AppState.basemap = saved.basemap;
+    if (THEMES.includes(saved.theme)) AppState.theme = saved.theme;
+
+    document.documentElement.dataset.theme = AppState.theme;
+}
+
+/**
+ * Save the current choices
+ * If storage is full or blocked they still apply, just for this visit
+ */
+function saveAppearance() {
+    try {
+        localStorage.setItem(APPEARANCE_STORAGE_KEY, JSON.stringify({
+            sequential: AppState.sequentialPalette,
+            diverging: AppState.divergingPalette,
+            reverse: AppState.reversePalette,
+            basemap: AppState.basemap,
+            theme: AppState.theme
+        }));
+    } catch (err) {
+        console.warn('Could not save appearance:', err);
+    }
+}
+
+/**
+ * Fill the palette and basemap dropdowns
+ */
+function populateAppearance() {
+    const addOptions = (select, entries) => {
+        Object.keys(entries).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = entries[key].colorblindSafe
+                ? `${entries[key].label} (colorblind-safe)`
+                : entries[key].label;
+            select.appendChild(option);
+        });
+    };
+
+    addOptions(Elements.paletteSequential, PALETTES.sequential);
+    addOptions(Elements.paletteDiverging, PALETTES.diverging);
+    addOptions(Elements.basemapSelect, BASEMAPS);
+
+    renderAppearanceControls();
+}
+
+/**
+ * Show the current choices in the Appearance controls
+ */
+function renderAppearanceControls() {
+    Elements.paletteSequential.value = AppState.sequentialPalette;
+    Elements.paletteDiverging.value = AppState.divergingPalette;
+    Elements.paletteReverse.checked = AppState.reversePalette;
+    Elements.basemapSelect.value = AppState.basemap;
+    Elements.themeDark.classList.toggle('active', AppState.theme === 'dark');
+    Elements.themeLight.classList.toggle('active', AppState.theme === 'light');
+}
+
+/**
+ * Get the colors of the chosen ramp for a kind of metric
+ * @param {boolean} diverging - Diverging (centered on zero) rather than sequential
+ * @returns {Array<string>} Hex colors, low to high, before any reversal
+ */
+function getChosenPalette(diverging) {
+    return diverging
+        ? PALETTES.diverging[AppState.divergingPalette].colors
+        : PALETTES.sequential[AppState.sequentialPalette].colors;
+}
+
+/**
+ * Change the color ramps or their order, and re-color the map
+ * @param {Object} changes - Any of { sequential, diverging, reverse }
+ */
+function setPalette({ sequential = AppState.sequentialPalette, diverging = AppState.divergingPalette, reverse = AppState.reversePalette } = {}) {
+    AppState.sequentialPalette = PALETTES.sequential[sequential] ? sequential : AppState.sequentialPalette;
+    AppState.divergingPalette = PALETTES.diverging[diverging] ? diverging : AppState.divergingPalette;
+    AppState.reversePalette = Boolean(reverse);
+
+    saveAppearance();
+    renderAppearanceControls();
+    // Both re-render the legend with the new colors
+    refreshOverview();
+    refreshMapColors();
+}
+
+/**
+ * Swap the basemap tiles
+ * @param {string} key - Key of BASEMAPS
+ */
+function setBasemap(key) {
+    AppState.basemap = BASEMAPS[key] ? key : AppState.basemap;
+
+    if (AppState.basemapLayer) {
+        AppState.map.removeLayer(AppState.basemapLayer);
+        AppState.basemapLayer = null;
+    }
+
+    const basemap = BASEMAPS[AppState.basemap];
+    if (basemap.url) {
+        AppState.basemapLayer = L.tileLayer(basemap.url, {
+            attribution: BASEMAP_ATTRIBUTION,
+            subdomains: 'abcd',
+            maxZoom: 19,
+            crossOrigin: true  // Lets PNG export read the tiles back from a canvas
+        }).addTo(AppState.map);
+        AppState.basemapLayer.bringToBack();
+    }
+
+    saveAppearance();
+    renderAppearanceControls();
+}
+
+/**
+ * Switch the UI between the dark and light themes
+ * @param {string} theme - One of THEMES
+ */
+function setTheme(theme) {
+    AppState.theme = THEMES.includes(theme) ? theme : AppState.theme;
+    document.documentElement.dataset.theme = AppState.theme;
+
+    saveAppearance();
+    renderAppearanceControls();
+}
+
+/**
+ * Read a color from the active theme, for drawing on canvases
+ * @param {string} name - CSS variable, e.g. '--text-muted'
+ * @returns {string} CSS color
+ */
+function getThemeColor(name) {
+    return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+}
@@ -0,0 +1,139 @@
+/**
+ * Automatic loading of the states in view
+ * When enabled and zoomed in far enough, panning loads every state whose bounding
+ * box (STATE_BOUNDS) intersects the viewport, nearest center first. Auto-loaded
+ * states that drift out of view are unloaded, farthest first, once the loaded
+ * geometry passes a vertex budget; their GeoJSON stays in the LRU cache.
+ */
+
+// Only auto-load at or above this zoom - below it the national overview is enough
+const AUTO_LOAD_MIN_ZOOM = 8;
+
+// Max vertices of ZIP geometry kept on the map before unloading out-of-view states
+const AUTO_LOAD_VERTEX_BUDGET = 250000;
+
+// Wait for the map to settle before loading
+const AUTO_LOAD_DELAY = 300;
+
+/**
+ * Find the states whose bounding boxes intersect the given bounds
+ * @param {Object} bounds - Leaflet LatLngBounds
+ * @returns {Array<string>} State abbreviations, nearest center first
+ */
+function getStatesInView(bounds) {
+    const center = bounds.getCenter();
+
+    return Object.keys(STATES)
+        .filter(abbr => STATE_BOUNDS[abbr] && bounds.intersects(STATE_BOUNDS[abbr]))
+        .sort((a, b) => center.distanceTo(STATES[a].center) - center.distanceTo(STATES[b].center));
+}
+
+/**
+ * Check whether the current view should auto-load states
+ * @returns {boolean} True if auto-load is on, the map is zoomed in far enough and
+ *     the nationwide view (which already shows every ZIP) is off
+ */
+function shouldAutoLoad() {
+    return AppState.autoLoad && !AppState.nationwide && AppState.map.getZoom() >= AUTO_LOAD_MIN_ZOOM;
+}
+
+/**
+ * Unload auto-loaded states outside the view, farthest first, until under budget
+ * States the user added themselves are never unloaded
+ * @param {Array<string>} visible - States currently in view
+ */
+function unloadDistantStates(visible) {
+    const center = AppState.map.getCenter();
+    let total = 0;
+    Object.values(AppState.stateLayers).forEach(entry => {
+        total += entry.vertices;
+    });
+
+    const candidates = Object.keys(AppState.stateLayers)
+        .filter(abbr => AppState.stateLayers[abbr].auto && !visible.includes(abbr))
+        .sort((a, b) => center.distanceTo(STATES[b].center) - center.distanceTo(STATES[a].center));
+
+    for (const abbr of candidates) {
+        if (total <= AUTO_LOAD_VERTEX_BUDGET) break;
+        total -= AppState.stateLayers[abbr].vertices;
+        removeState(abbr, { auto: true });
+    }
+}
+
+/**
+ * Load the states in view and unload far-away ones over budget
+ * Runs one pass at a time; moves during a pass trigger another pass when it ends
+ */
+async function autoLoadStatesInView() {
+    if (!shouldAutoLoad()) return;
+
+    if (AppState.isAutoLoading) {
+        AppState.autoLoadPending = true;
+        return;
+    }
+
+    AppState.isAutoLoading = true;
+
+    try {
+        do {
+            AppState.autoLoadPending = false;
+            const visible = getStatesInView(AppState.map.getBounds());
+
+            for (const abbr of visible) {
+                if (AppState.autoLoadPending || !shouldAutoLoad()) break;  // View changed - start over
+                if (AppState.stateLayers[abbr]) continue;
+
+                Elements.autoLoadStatus.textContent = `Loading ${STATES[abbr].name}...`;
+                await renderState(abbr, { fly: false, auto: true });
+            }
+
+            // Unload after loading so the states in view are taken from the
+            // cache before unloaded ones push them out
+            unloadDistantStates(visible);
+        } while (AppState.autoLoadPending && shouldAutoLoad());
+    } finally {
+        AppState.isAutoLoading = false;
+        renderAutoLoadStatus();
+    }
+}
+
+/**
+ * Debounce auto-loading after the map moves
+ */
+function scheduleAutoLoad() {
+    if (!AppState.autoLoad) return;
+
+    renderAutoLoadStatus();
+    clearTimeout(AppState.autoLoadTimer);
+    AppState.autoLoadTimer = setTimeout(autoLoadStatesInView, AUTO_LOAD_DELAY);
+}
+
+/**
+ * Show whether auto-load is waiting for the user to zoom in
+ */
+function renderAutoLoadStatus() {
+    if (AppState.isAutoLoading) return;
+
+    if (!AppState.autoLoad || shouldAutoLoad()) {
+        Elements.autoLoadStatus.textContent = '';
+    } else {
+        Elements.autoLoadStatus.textContent = AppState.nationwide
+            ? 'Paused while every ZIP code is shown'
+            : 'Zoom in to load the states in view';
+    }
+}
+
+/**
+ * Turn auto-loading of the states in view on or off
+ * Turning it off leaves the loaded states on the map
+ * @param {boolean} enabled - Whether to auto-load
+ */
+function setAutoLoad(enabled) {
+    AppState.autoLoad = enabled;
+    Elements.autoLoadToggle.checked = enabled;
+    renderAutoLoadStatus();
+
+    if (enabled) {
+        autoLoadStatesInView();
+    }
+}
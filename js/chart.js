@@ -0,0 +1,94 @@
+/**
+ * Lightweight SVG line chart for price histories
+ * No charting library needed - the chart is rebuilt as an SVG string on each render
+ */
+
+/**
+ * Render one or more year series as a line chart
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array<{color: string, history: Array}>} series - Histories from getPriceHistory;
+ *     points with estimated: true are marked with a hollow circle
+ * @param {Object} options - Chart options
+ * @param {number} [options.highlightYear] - Year to mark with a vertical line
+ * @param {Function} [options.formatValue] - Formatter for axis labels
+ * @param {number} [options.width] - SVG width in px
+ * @param {number} [options.height] - SVG height in px
+ */
+function renderLineChart(container, series, options = {}) {
+    const width = options.width || 300;
+    const height = options.height || 140;
+    const formatValue = options.formatValue || (v => String(Math.round(v)));
+    const pad = { top: 10, right: 10, bottom: 20, left: 44 };
+
+    const values = series.flatMap(s => s.history.map(p => p.value)).filter(v => v !== null);
+    if (values.length === 0) {
+        container.innerHTML = '<div class="chart-empty">No price history available</div>';
+        return;
+    }
+
+    const years = series[0].history.map(p => p.year);
+    const firstYear = years[0];
+    const lastYear = years[years.length - 1];
+
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+        min *= 0.9;
+        max *= 1.1;
+    }
+    const margin = (max - min) * 0.05;
+    min -= margin;
+    max += margin;
+
+    const x = year => pad.left + (year - firstYear) / (lastYear - firstYear) * (width - pad.left - pad.right);
+    const y = value => pad.top + (1 - (value - min) / (max - min)) * (height - pad.top - pad.bottom);
+
+    const parts = [];
+
+    // Horizontal grid lines with value labels
+    for (let i = 0; i <= 3; i++) {
+        const value = min + (max - min) * i / 3;
+        parts.push(`<line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}"/>`);
+        parts.push(`<text class="chart-label" x="${pad.left - 6}" y="${y(value) + 3}" text-anchor="end">${formatValue(value)}</text>`);
+    }
+
+    // Year labels every 5 years
+    for (let year = firstYear; year <= lastYear; year += 5) {
+        parts.push(`<text class="chart-label" x="${x(year)}" y="${height - 5}" text-anchor="middle">${year}</text>`);
+    }
+
+    // Current year marker
+    const highlightYear = options.highlightYear;
+    if (highlightYear >= firstYear && highlightYear <= lastYear) {
+        parts.push(`<line class="chart-marker" x1="${x(highlightYear)}" x2="${x(highlightYear)}" y1="${pad.top}" y2="${height - pad.bottom}"/>`);
+    }
+
+    series.forEach(s => {
+        // Break the line wherever a year is missing
+        let d = '';
+        let penDown = false;
+        s.history.forEach(p => {
+            if (p.value === null) {
+                penDown = false;
+                return;
+            }
+            d += `${penDown ? 'L' : 'M'}${x(p.year).toFixed(1)},${y(p.value).toFixed(1)}`;
+            penDown = true;
+        });
+        parts.push(`<path class="chart-line" d="${d}" stroke="${s.color}"/>`);
+
+        // Hollow points for estimated years
+        s.history.forEach(p => {
+            if (p.estimated && p.value !== null) {
+                parts.push(`<circle class="chart-estimate" cx="${x(p.year).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="2.5" stroke="${s.color}"/>`);
+            }
+        });
+
+        const point = s.history.find(p => p.year === highlightYear);
+        if (point && point.value !== null) {
+            parts.push(`<circle class="chart-dot" cx="${x(point.year)}" cy="${y(point.value)}" r="3.5" fill="${s.color}"/>`);
+        }
+    });
+
+    container.innerHTML = `<svg class="line-chart" viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+}
@@ -0,0 +1,290 @@
+/**
+ * Color scale classification
+ * Splits a metric's values into classes, one palette color each. Shared by the page
+ * (legend and overview areas) and js/data-worker.js (ZIP colors and class counts).
+ *
+ * Breaks are the class boundaries from the lowest value to the highest, so a
+ * classification with n classes has n + 1 breaks.
+ *
+ * Needs palette.js (NO_DATA_COLOR, blendPaletteColor).
+ */
+
+// Classification methods the color scale can use
+const CLASSIFICATION_SCHEMES = {
+    equal: { label: 'Equal interval' },
+    quantile: { label: 'Quantile' },
+    jenks: { label: 'Natural breaks (Jenks)' },
+    log: { label: 'Logarithmic' },
+    stddev: { label: 'Standard deviation' },
+    custom: { label: 'Custom breaks' }
+};
+
+// Class counts offered for the scale; the palettes have 11 colors
+const CLASS_COUNTS = [5, 7, 9, 11];
+
+// Jenks runs on at most this many evenly spaced values, since it's quadratic
+const JENKS_SAMPLE_SIZE = 500;
+
+// Width of each standard deviation class, in standard deviations
+// Classes beyond the lowest or highest value are dropped, so skewed data gets fewer
+const STDDEV_CLASS_WIDTH = 0.5;
+
+/**
+ * Get the palette colors for a number of classes, spread evenly across the palette
+ * @param {Array<string>} palette - Hex colors, low to high
+ * @param {number} count - Number of classes
+ * @returns {Array<string>} One color per class
+ */
+function getClassPalette(palette, count) {
+    if (count === palette.length) return palette;
+    if (count <= 1) return [palette[Math.floor(palette.length / 2)]];
+
+    const colors = [];
+    for (let i = 0; i < count; i++) {
+        colors.push(palette[Math.round(i * (palette.length - 1) / (count - 1))]);
+    }
+    return colors;
+}
+
+/**
+ * Find natural breaks with the Fisher-Jenks algorithm
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} count - Number of classes
+ * @returns {Array<number>} Interior breaks, ascending - up to count - 1, fewer when the
+ *     values have too few distinct values or tie at a break
+ */
+function getJenksBreaks(sorted, count) {
+    // Evenly spaced sample that keeps the lowest and highest values
+    const size = Math.min(sorted.length, JENKS_SAMPLE_SIZE);
+    const data = [];
+    for (let i = 0; i < size; i++) {
+        data.push(sorted[Math.round(i * (sorted.length - 1) / Math.max(size - 1, 1))]);
+    }
+
+    const n = data.length;
+    let distinct = n > 0 ? 1 : 0;
+    for (let i = 1; i < n; i++) {
+        if (data[i] !== data[i - 1]) distinct++;
+    }
+    const k = Math.min(count, distinct);
+    if (k < 2) return [];
+
+    // lower[i][j]: first index of the last class when splitting data[0..i] into j classes
+    // variance[i][j]: total within-class variance of that split
+    const lower = [];
+    const variance = [];
+    for (let i = 0; i <= n; i++) {
+        lower.push(new Array(k + 1).fill(0));
+        variance.push(new Array(k + 1).fill(Infinity));
+    }
+    // One value makes one class; more classes than values stay unreachable (Infinity)
+    lower[1][1] = 1;
+    variance[1][1] = 0;
+
+    for (let i = 2; i <= n; i++) {
+        let sum = 0;
+        let sumSquares = 0;
+
+        // Grow the last class backwards from data[i - 1]
+        for (let m = 1; m <= i; m++) {
+            const start = i - m + 1;
+            const value = data[start - 1];
+            sum += value;
+            sumSquares += value * value;
+            const classVariance = sumSquares - sum * sum / m;
+
+            if (start > 1) {
+                for (let j = 2; j <= k; j++) {
+                    const total = classVariance + variance[start - 1][j - 1];
+                    if (total <= variance[i][j]) {
+                        lower[i][j] = start;
+                        variance[i][j] = total;
+                    }
+                }
+            }
+        }
+
+        lower[i][1] = 1;
+        variance[i][1] = sumSquares - sum * sum / i;
+    }
+
+    const splits = [];
+    let end = n;
+    for (let j = k; j >= 2; j--) {
+        const start = lower[end][j];
+        splits.unshift(data[start - 1]);
+        end = start - 1;
+    }
+
+    // Tied values can split at the same value, or at the lowest or highest one, which
+    // would leave empty classes - those classes are merged, as for quantiles
+    const breaks = [];
+    splits.forEach(value => {
+        if (value > data[0] && value < data[n - 1] && value !== breaks[breaks.length - 1]) breaks.push(value);
+    });
+    return breaks;
+}
+
+/**
+ * Evenly spaced breaks between two values
+ * @param {number} min - Lowest boundary
+ * @param {number} max - Highest boundary
+ * @param {number} count - Number of classes
+ * @returns {Array<number>} Interior breaks (count - 1)
+ */
+function getEqualBreaks(min, max, count) {
+    const breaks = [];
+    for (let i = 1; i < count; i++) {
+        breaks.push(min + (max - min) * i / count);
+    }
+    return breaks;
+}
+
+/**
+ * Classify a metric's values
+ * Equal interval keeps the color range from summarizeValues (5th to 95th percentile,
+ * centered on zero for diverging metrics), so outliers fall in the end classes
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {{min: number, max: number}} range - Color range from summarizeValues
+ * @param {Object} options - { scheme, classes, customBreaks }
+ * @param {string} options.scheme - Key of CLASSIFICATION_SCHEMES
+ * @param {number} options.classes - Number of classes (custom breaks set their own,
+ *     quantile merges classes with the same break and standard deviation drops
+ *     classes outside the values)
+ * @param {Array<number>} [options.customBreaks] - Interior breaks for the custom scheme
+ * @returns {Object} { scheme, breaks } - the scheme actually used (equal interval when
+ *     the chosen one doesn't apply to these values) and count + 1 breaks
+ */
+function getClassBreaks(sorted, range, { scheme, classes, customBreaks }) {
+    const lowest = sorted[0];
+    const highest = sorted[sorted.length - 1];
+    let used = scheme;
+    let interior = null;
+
+    if (scheme === 'quantile') {
+        // Tied or skewed values repeat breaks, so only distinct breaks inside the
+        // values are kept and those classes are merged
+        interior = [];
+        for (let i = 1; i < classes; i++) {
+            const value = sorted[Math.floor(sorted.length * i / classes)];
+            if (value > lowest && value < highest && value !== interior[interior.length - 1]) interior.push(value);
+        }
+        if (interior.length === 0) interior = null;
+    } else if (scheme === 'jenks') {
+        interior = getJenksBreaks(sorted, classes);
+        if (interior.length === 0) interior = null;
+    } else if (scheme === 'log' && lowest > 0) {
+        const logLow = Math.log(lowest);
+        const logHigh = Math.log(highest);
+        interior = getEqualBreaks(logLow, logHigh, classes).map(Math.exp);
+    } else if (scheme === 'stddev') {
+        const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+        const deviation = Math.sqrt(sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length);
+        interior = [];
+        for (let i = 1; i < classes; i++) {
+            const value = mean + (i - classes / 2) * deviation * STDDEV_CLASS_WIDTH;
+            if (value > lowest && value < highest) interior.push(value);
+        }
+        if (interior.length === 0) interior = null;
+    } else if (scheme === 'custom' && customBreaks && customBreaks.length > 0) {
+        interior = customBreaks.slice();
+    }
+
+    if (!interior || !interior.every(Number.isFinite)) {
+        used = 'equal';
+        interior = getEqualBreaks(range.min, range.max, classes);
+    }
+
+    // The outer classes reach the lowest and highest values
+    return {
+        scheme: used,
+        breaks: [Math.min(lowest, interior[0]), ...interior, Math.max(highest, interior[interior.length - 1])]
+    };
+}
+
+/**
+ * Blend two classifications' breaks, for fractional years in smooth playback
+ * @param {Object} from - Classification for the earlier year
+ * @param {Object} to - Classification for the later year
+ * @param {number} t - 0 (from) to 1 (to)
+ * @returns {Object} Blended classification
+ */
+function blendClassBreaks(from, to, t) {
+    if (!to || to.breaks.length !== from.breaks.length) return from;
+
+    return {
+        scheme: from.scheme,
+        breaks: from.breaks.map((value, i) => value + (to.breaks[i] - value) * t)
+    };
+}
+
+/**
+ * Find the class a value falls in
+ * @param {number} value - Metric value
+ * @param {Array<number>} breaks - Class boundaries from getClassBreaks
+ * @returns {number} Class index, 0 for the lowest
+ */
+function getClassIndex(value, breaks) {
+    let index = 0;
+    while (index < breaks.length - 2 && value >= breaks[index + 1]) {
+        index++;
+    }
+    return index;
+}
+
+/**
+ * Get the color of a value's class
+ * @param {number|null} value - Metric value
+ * @param {Array<number>} breaks - Class boundaries from getClassBreaks
+ * @param {Array<string>} palette - Hex colors, low to high
+ * @param {boolean} smooth - Blend toward the neighboring classes instead of stepping
+ * @returns {string} Hex color code
+ */
+function getClassColor(value, breaks, palette, smooth) {
+    if (value === null || value === undefined) return NO_DATA_COLOR;
+
+    const count = breaks.length - 1;
+    const colors = getClassPalette(palette, count);
+    const index = getClassIndex(value, breaks);
+
+    // Smooth playback: the class color at the middle of each class, blended in between
+    if (smooth && count > 1) {
+        const width = breaks[index + 1] - breaks[index];
+        const within = width > 0 ? Math.min(Math.max((value - breaks[index]) / width, 0), 1) : 0.5;
+        return blendPaletteColor(colors, (index + within - 0.5) / (count - 1));
+    }
+
+    return colors[index];
+}
+
+/**
+ * Count the values in each class
+ * @param {Array<number|null>} values - Metric values (nulls are skipped)
+ * @param {Array<number>} breaks - Class boundaries from getClassBreaks
+ * @returns {Array<number>} Count per class
+ */
+function countClassValues(values, breaks) {
+    const counts = new Array(breaks.length - 1).fill(0);
+    values.forEach(value => {
+        if (value !== null) counts[getClassIndex(value, breaks)]++;
+    });
+    return counts;
+}
+
+/**
+ * Read user-entered breaks, e.g. "200k, 350k, 1.2m" or "-10, 0, 25"
+ * @param {string} text - Comma or space separated numbers, with optional k/m suffixes
+ * @returns {Array<number>} Distinct breaks in ascending order
+ */
+function parseCustomBreaks(text) {
+    const multipliers = { k: 1e3, m: 1e6 };
+    const breaks = String(text)
+        .split(/[\s,;]+/)
+        .map(part => {
+            const match = part.trim().toLowerCase().replace(/[$%]/g, '').match(/^(-?\d+(?:\.\d+)?)([km]?)$/);
+            return match ? parseFloat(match[1]) * (multipliers[match[2]] || 1) : NaN;
+        })
+        .filter(value => !isNaN(value));
+
+    return Array.from(new Set(breaks)).sort((a, b) => a - b);
+}
@@ -3,6 +3,16 @@
  * Contains static state information and ZIP code mappings
  */
 
+// Version of the data files (price data, GeoJSON and tiles) - bump when they change so
+// copies saved for offline use are replaced
+const DATA_VERSION = '2025.4';
+
+// Price data, built from ZHVI_WI.csv by scripts/build-price-data.js
+const PRICE_DATA_FILE = 'ZHVI_WI.bin';
+
+// ZIP-to-place and county crosswalk for search, built by scripts/build-places.js
+const ZIP_PLACES_FILE = 'geojsons/zip-places.json';
+
 // State configuration with GeoJSON file paths and map settings
 const STATES = {
     'AL': { name: 'Alabama', file: 'al_alabama_zip_codes_geo.min.json', center: [32.7, -86.7], zoom: 7 },
@@ -58,21 +68,239 @@ const STATES = {
     'WY': { name: 'Wyoming', file: 'wy_wyoming_zip_codes_geo.min.json', center: [43.0, -107.5], zoom: 7 }
 };
 
-// Color palette for price ranges (low to high)
-const COLORS = [
-    '#1e3a5f', // Very low
-    '#1e5a7e', 
-    '#22839e', 
-    '#3ab0a1', 
-    '#7dd3c0',
-    '#a8e6cf',
-    '#fff3b0',
-    '#ffce54',
-    '#fc9f5b',
-    '#f76c5e',
-    '#d62839'  // Very high
+// Bounding box of each state's ZIP boundaries: [[south, west], [north, east]]
+// Used to find the states in view without loading their GeoJSON
+// (Alaska's box stops at the antimeridian)
+const STATE_BOUNDS = {
+    'AL': [[30.19, -88.48], [35.01, -84.92]],
+    'AK': [[51.8, -176.69], [71.35, -129.98]],
+    'AZ': [[31.33, -114.82], [37.01, -109.04]],
+    'AR': [[33.0, -94.62], [36.5, -89.64]],
+    'CA': [[32.53, -124.41], [42.01, -114.13]],
+    'CO': [[36.99, -109.07], [41.01, -102.04]],
+    'CT': [[40.97, -73.73], [42.06, -71.78]],
+    'DE': [[38.45, -75.79], [39.84, -75.04]],
+    'DC': [[38.8, -77.12], [39.0, -76.9]],
+    'FL': [[24.51, -87.62], [31.01, -80.02]],
+    'GA': [[30.35, -85.61], [35.01, -80.84]],
+    'HI': [[18.9, -160.26], [22.24, -154.8]],
+    'ID': [[41.99, -117.25], [49.01, -111.04]],
+    'IL': [[36.98, -91.52], [42.51, -87.49]],
+    'IN': [[37.77, -88.1], [41.77, -84.78]],
+    'IA': [[40.38, -96.64], [43.51, -90.14]],
+    'KS': [[36.99, -102.06], [40.01, -94.58]],
+    'KY': [[36.49, -89.58], [39.15, -81.96]],
+    'LA': [[28.91, -94.05], [33.02, -88.99]],
+    'ME': [[43.05, -71.09], [47.46, -66.92]],
+    'MD': [[37.92, -79.49], [39.73, -75.04]],
+    'MA': [[41.23, -73.51], [42.89, -69.92]],
+    'MI': [[41.69, -90.42], [47.49, -82.41]],
+    'MN': [[43.49, -97.24], [49.39, -89.5]],
+    'MS': [[30.18, -91.66], [35.0, -88.09]],
+    'MO': [[35.99, -95.78], [40.62, -89.09]],
+    'MT': [[44.35, -116.06], [49.01, -104.03]],
+    'NE': [[39.99, -104.06], [43.01, -95.3]],
+    'NV': [[35.0, -120.01], [42.0, -114.04]],
+    'NH': [[42.69, -72.56], [45.31, -70.7]],
+    'NJ': [[38.92, -75.56], [41.36, -73.89]],
+    'NM': [[31.33, -109.06], [37.01, -103.0]],
+    'NY': [[40.49, -79.77], [45.02, -71.84]],
+    'NC': [[33.84, -84.33], [36.59, -75.46]],
+    'ND': [[45.93, -104.05], [49.01, -96.55]],
+    'OH': [[38.4, -84.83], [41.99, -80.51]],
+    'OK': [[33.62, -103.01], [37.01, -94.43]],
+    'OR': [[41.99, -124.56], [46.24, -116.46]],
+    'PA': [[39.71, -80.52], [42.28, -74.68]],
+    'RI': [[41.14, -71.9], [42.02, -71.11]],
+    'SC': [[32.03, -83.36], [35.22, -78.54]],
+    'SD': [[42.48, -104.06], [45.95, -96.43]],
+    'TN': [[34.98, -90.31], [36.67, -81.64]],
+    'TX': [[25.83, -106.65], [36.51, -93.5]],
+    'UT': [[36.99, -114.06], [42.01, -109.04]],
+    'VT': [[42.72, -73.44], [45.02, -71.46]],
+    'VA': [[36.54, -83.68], [39.47, -75.24]],
+    'WA': [[45.54, -124.74], [49.01, -116.91]],
+    'WV': [[37.2, -82.65], [40.64, -77.72]],
+    'WI': [[42.49, -92.89], [47.08, -86.8]],
+    'WY': [[40.99, -111.06], [45.01, -104.05]]
+};
+
+// Levels of detail of the ZIP boundaries, coarse to fine, built into geojsons/topo
+// by scripts/build-geometry.js. Each level is used from its minZoom up.
+const GEOMETRY_LEVELS = [
+    { name: 'low', minZoom: 0 },
+    { name: 'medium', minZoom: 7 },
+    { name: 'high', minZoom: 10 }
 ];
 
+/**
+ * Get the geometry level to show at a zoom
+ * @param {number} zoom - Map zoom
+ * @returns {string} Level name
+ */
+function getGeometryLevel(zoom) {
+    return GEOMETRY_LEVELS.filter(level => zoom >= level.minZoom).pop().name;
+}
+
+/**
+ * Get the path of a state's ZIP boundaries at a level of detail
+ * @param {string} stateAbbr - State abbreviation
+ * @param {string} level - Level name from GEOMETRY_LEVELS
+ * @returns {string} TopoJSON path, e.g. "geojsons/topo/ri_rhode_island_zip_codes.low.json"
+ */
+function getStateGeometryPath(stateAbbr, level) {
+    return `geojsons/topo/${STATES[stateAbbr].file.replace('_geo.min.json', '')}.${level}.json`;
+}
+
+/**
+ * Get the path of a state's full-resolution source GeoJSON (what the TopoJSON is built from)
+ * @param {string} stateAbbr - State abbreviation
+ * @returns {string} GeoJSON path, e.g. "geojsons/ri_rhode_island_zip_codes_geo.min.json"
+ */
+function getStateSourcePath(stateAbbr) {
+    return `geojsons/${STATES[stateAbbr].file}`;
+}
+
+// Vector tiles of every ZIP for the nationwide view, built by scripts/build-tiles.js
+// (zooms must match TILE_MIN_ZOOM and TILE_MAX_ZOOM there; deeper zooms scale the last level)
+const ZIP_TILES = {
+    url: 'geojsons/tiles/{z}/{x}/{y}.pbf',
+    minZoom: 3,
+    maxZoom: 9
+};
+
+// Color ramps the map can use, 11 colors each (low to high)
+// Sequential ramps color prices and other one-sided metrics; diverging ramps color
+// metrics centered on zero (negative to positive)
+const PALETTES = {
+    sequential: {
+        classic: {
+            label: 'Classic',
+            colorblindSafe: false,
+            colors: [
+                '#1e3a5f', // Very low
+                '#1e5a7e',
+                '#22839e',
+                '#3ab0a1',
+                '#7dd3c0',
+                '#a8e6cf',
+                '#fff3b0',
+                '#ffce54',
+                '#fc9f5b',
+                '#f76c5e',
+                '#d62839'  // Very high
+            ]
+        },
+        viridis: {
+            label: 'Viridis',
+            colorblindSafe: true,
+            colors: ['#440154', '#482475', '#414487', '#355f8d', '#2a788e', '#21918c', '#22a884', '#44bf70', '#7ad151', '#bddf26', '#fde725']
+        },
+        magma: {
+            label: 'Magma',
+            colorblindSafe: true,
+            colors: ['#000004', '#140e36', '#3b0f70', '#641a80', '#8c2981', '#b73779', '#de4968', '#f7705c', '#fe9f6d', '#fecf92', '#fcfdbf']
+        },
+        cividis: {
+            label: 'Cividis',
+            colorblindSafe: true,
+            colors: ['#00204d', '#00306f', '#2a406c', '#48526b', '#5e626e', '#727374', '#878479', '#9e9677', '#b6a971', '#d0be67', '#ffea46']
+        }
+    },
+    diverging: {
+        classic: {
+            label: 'Classic',
+            colorblindSafe: false,
+            colors: [
+                '#b2182b', // Strong decline
+                '#d6604d',
+                '#f4a582',
+                '#fddbc7',
+                '#f1e6de',
+                '#e8e8e8', // No change
+                '#d8e6ef',
+                '#d1e5f0',
+                '#92c5de',
+                '#4393c3',
+                '#2166ac'  // Strong growth
+            ]
+        },
+        rdbu: {
+            label: 'Red–Blue',
+            colorblindSafe: true,
+            colors: ['#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac', '#053061']
+        },
+        puor: {
+            label: 'Orange–Purple',
+            colorblindSafe: true,
+            colors: ['#7f3b08', '#b35806', '#e08214', '#fdb863', '#fee0b6', '#f7f7f7', '#d8daeb', '#b2abd2', '#8073ac', '#542788', '#2d004b']
+        },
+        brbg: {
+            label: 'Brown–Teal',
+            colorblindSafe: true,
+            colors: ['#543005', '#8c510a', '#bf812d', '#dfc27d', '#f6e8c3', '#f5f5f5', '#c7eae5', '#80cdc1', '#35978f', '#01665e', '#003c30']
+        }
+    }
+};
+
+// Basemaps under the ZIP layers; "none" shows the theme's map background
+const BASEMAP_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>';
+const BASEMAPS = {
+    dark: { label: 'Dark', url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png' },
+    light: { label: 'Light', url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png' },
+    none: { label: 'None', url: null }
+};
+
+// Line and outline colors for ZIPs in the comparison tray
+const COMPARE_COLORS = [
+    '#818cf8',
+    '#f472b6',
+    '#34d399',
+    '#fbbf24',
+    '#38bdf8',
+    '#f87171'
+];
+
+// Outline of the ZIP under the cursor
+const HIGHLIGHT_STYLE = {
+    weight: 2.5,
+    color: '#ffffff',
+    fillOpacity: 1,
+    lineCap: 'round',
+    lineJoin: 'round'
+};
+
+// Annual average 30-year fixed mortgage rates (%), Freddie Mac PMMS
+// 2025 is a partial-year average
+const MORTGAGE_RATES_30Y = {
+    2000: 8.05, 2001: 6.97, 2002: 6.54, 2003: 5.83, 2004: 5.84, 2005: 5.87,
+    2006: 6.41, 2007: 6.34, 2008: 6.03, 2009: 5.04, 2010: 4.69, 2011: 4.45,
+    2012: 3.66, 2013: 3.98, 2014: 4.17, 2015: 3.85, 2016: 3.65, 2017: 3.99,
+    2018: 4.54, 2019: 3.94, 2020: 3.11, 2021: 2.96, 2022: 5.34, 2023: 6.81,
+    2024: 6.72, 2025: 6.60
+};
+
+// SSA National Average Wage Index, used to restate today's income for past years
+// 2024-2025 are projections (~4% annual growth) until SSA publishes them
+const WAGE_INDEX = {
+    2000: 32154.82, 2001: 32921.92, 2002: 33252.09, 2003: 34064.95, 2004: 35648.55,
+    2005: 36952.94, 2006: 38651.41, 2007: 40405.48, 2008: 41334.97, 2009: 40711.61,
+    2010: 41673.83, 2011: 42979.61, 2012: 44321.67, 2013: 44888.16, 2014: 46481.52,
+    2015: 48098.63, 2016: 48642.15, 2017: 50321.89, 2018: 52145.80, 2019: 54099.99,
+    2020: 55628.60, 2021: 60575.07, 2022: 63795.13, 2023: 66621.80, 2024: 69487.00,
+    2025: 72266.00
+};
+
+// BLS CPI-U annual averages (1982-84 = 100), used to restate prices in constant dollars
+// 2025 is a partial-year average
+const CPI_U = {
+    2000: 172.2, 2001: 177.1, 2002: 179.9, 2003: 184.0, 2004: 188.9, 2005: 195.3,
+    2006: 201.6, 2007: 207.342, 2008: 215.303, 2009: 214.537, 2010: 218.056,
+    2011: 224.939, 2012: 229.594, 2013: 232.957, 2014: 236.736, 2015: 237.017,
+    2016: 240.007, 2017: 245.120, 2018: 251.107, 2019: 255.657, 2020: 258.811,
+    2021: 270.970, 2022: 292.655, 2023: 304.702, 2024: 313.689, 2025: 321.06
+};
+
 // ZIP code prefix to state mapping (first 3 digits)
 const ZIP_STATE_MAP = {
     '005': 'NY', '006': 'PR', '007': 'PR', '008': 'PR', '009': 'PR',
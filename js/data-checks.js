@@ -0,0 +1,257 @@
+/**
+ * Data integrity checks: how well the price data joins the ZIP boundaries
+ * Pure functions shared by the data worker (the diagnostics panel) and
+ * scripts/check-data.js, so both report the same numbers.
+ *
+ * Needs config.js (STATES, getStateFromZip) and metrics.js (parseYearValue).
+ */
+
+// Columns of each exportable list, in order
+const DATA_CHECK_LISTS = {
+    coverage: {
+        label: 'Join coverage by state',
+        columns: ['State', 'ZCTAs', 'With_Prices', 'Without_Prices', 'Coverage_Pct', 'CSV_Rows', 'CSV_Without_Polygon']
+    },
+    polygonsWithoutPrices: {
+        label: 'ZCTAs without a CSV row',
+        columns: ['ZIP', 'State_File']
+    },
+    pricesWithoutPolygons: {
+        label: 'CSV ZIPs without a polygon',
+        columns: ['ZIP', 'CSV_State', 'Prefix_State']
+    },
+    yearGaps: {
+        label: 'ZIPs with missing years',
+        columns: ['ZIP', 'CSV_State', 'First_Year', 'Last_Year', 'Missing_Years', 'Gaps', 'Kind']
+    },
+    stateConflicts: {
+        label: 'State mapping conflicts',
+        columns: ['ZIP', 'CSV_State', 'Prefix_State', 'State_File', 'Issue']
+    },
+    prefixIssues: {
+        label: 'ZIP prefix mapping issues',
+        columns: ['Prefix', 'Prefix_State', 'CSV_ZIPs', 'ZCTAs', 'Issue']
+    }
+};
+
+/**
+ * Describe the missing years in a ZIP row
+ * @param {Float32Array|Array<number>} row - ZIP row, see parseYearValue
+ * @returns {Object|null} { firstYear, lastYear, missing, gaps, kind }, or null when every year has a value
+ */
+function describeYearGaps(row) {
+    const missingYears = [];
+    for (let year = 2000; year <= 2025; year++) {
+        if (parseYearValue(row, year) === null) missingYears.push(year);
+    }
+    if (missingYears.length === 0) return null;
+
+    const present = [];
+    for (let year = 2000; year <= 2025; year++) {
+        if (!missingYears.includes(year)) present.push(year);
+    }
+
+    // Collapse consecutive years into ranges, e.g. "2000-2003; 2010"
+    const ranges = [];
+    missingYears.forEach(year => {
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === year - 1) {
+            last[1] = year;
+        } else {
+            ranges.push([year, year]);
+        }
+    });
+
+    const firstYear = present.length > 0 ? present[0] : null;
+    const lastYear = present.length > 0 ? present[present.length - 1] : null;
+    const kinds = [];
+    if (present.length === 0) {
+        kinds.push('no data');
+    } else {
+        if (firstYear > 2000) kinds.push('starts late');
+        if (lastYear < 2025) kinds.push('ends early');
+        if (missingYears.some(year => year > firstYear && year < lastYear)) kinds.push('interior gap');
+    }
+
+    return {
+        firstYear,
+        lastYear,
+        missing: missingYears.length,
+        gaps: ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join('; '),
+        kind: kinds.join(', ')
+    };
+}
+
+/**
+ * List what disagrees about a ZIP's state
+ * @param {string} csvState - CSV State column ('' when the ZIP has no CSV row)
+ * @param {string} prefixState - State from ZIP_STATE_MAP ('' when the prefix isn't mapped)
+ * @param {Array<string>} fileStates - State files holding the ZIP's polygon
+ * @returns {Array<string>} Issues (empty when consistent)
+ */
+function findStateIssues(csvState, prefixState, fileStates) {
+    const issues = [];
+
+    if (!prefixState) {
+        issues.push('ZIP prefix is not in ZIP_STATE_MAP');
+    } else if (!STATES[prefixState]) {
+        issues.push(`ZIP prefix maps to ${prefixState}, which has no state file`);
+    }
+    if (csvState && !STATES[csvState]) {
+        issues.push(`CSV state ${csvState} has no state file`);
+    }
+    if (csvState && prefixState && csvState !== prefixState) {
+        issues.push('CSV state differs from ZIP prefix');
+    }
+    if (fileStates.length > 1) {
+        issues.push('polygon is in more than one state file');
+    } else if (fileStates.length === 1) {
+        if (csvState && fileStates[0] !== csvState) issues.push('CSV state differs from state file');
+        if (prefixState && fileStates[0] !== prefixState) issues.push('state file differs from ZIP prefix');
+    }
+
+    return issues;
+}
+
+/**
+ * Find ZIP_STATE_MAP prefixes that point to a state without a state file (e.g. PR),
+ * and prefixes used by the data that aren't mapped at all
+ * @param {Array<string>} csvZips - ZIP codes in the price data
+ * @param {Array<string>} polygonZips - ZIP codes in the state files
+ * @returns {Array<Object>} Prefix issues, by prefix
+ */
+function findPrefixIssues(csvZips, polygonZips) {
+    const counts = {};
+    const count = (zip, field) => {
+        const prefix = zip.substring(0, 3);
+        counts[prefix] = counts[prefix] || { CSV_ZIPs: 0, ZCTAs: 0 };
+        counts[prefix][field]++;
+    };
+    csvZips.forEach(zip => count(zip, 'CSV_ZIPs'));
+    polygonZips.forEach(zip => count(zip, 'ZCTAs'));
+
+    const prefixes = new Set([...Object.keys(ZIP_STATE_MAP), ...Object.keys(counts)]);
+    const issues = [];
+
+    Array.from(prefixes).sort().forEach(prefix => {
+        const state = ZIP_STATE_MAP[prefix];
+        const used = counts[prefix] || { CSV_ZIPs: 0, ZCTAs: 0 };
+        let issue = null;
+
+        if (!state) {
+            issue = 'used by the data but not in ZIP_STATE_MAP';
+        } else if (!STATES[state]) {
+            issue = `maps to ${state}, which has no state file`;
+        }
+
+        if (issue) {
+            issues.push({ Prefix: prefix, Prefix_State: state || '', ...used, Issue: issue });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Check the price data against the ZIP boundaries
+ * @param {Object} prices - { zips, states, rows }: ZIP codes, their CSV State column and rows
+ * @param {Object<string, Array<string>>} polygons - ZCTA codes in each state file, by state
+ * @returns {Object} { totals, coverage, polygonsWithoutPrices, pricesWithoutPolygons,
+ *     yearGaps, stateConflicts, prefixIssues } - the lists use the columns in DATA_CHECK_LISTS
+ */
+function checkDataJoin(prices, polygons) {
+    const priceIndex = new Map(prices.zips.map((zip, i) => [zip, i]));
+    const polygonStates = new Map();  // ZIP -> state files holding it
+
+    Object.keys(polygons).forEach(state => {
+        polygons[state].forEach(zip => {
+            if (!polygonStates.has(zip)) polygonStates.set(zip, []);
+            polygonStates.get(zip).push(state);
+        });
+    });
+
+    const polygonsWithoutPrices = [];
+    const coverage = Object.keys(polygons).sort().map(state => {
+        const zips = polygons[state];
+        const missing = zips.filter(zip => !priceIndex.has(zip));
+        missing.forEach(zip => polygonsWithoutPrices.push({ ZIP: zip, State_File: state }));
+
+        const csvZips = prices.zips.filter((zip, i) => prices.states[i] === state);
+        const matched = zips.length - missing.length;
+
+        return {
+            State: state,
+            ZCTAs: zips.length,
+            With_Prices: matched,
+            Without_Prices: missing.length,
+            Coverage_Pct: zips.length > 0 ? Math.round(matched / zips.length * 1000) / 10 : 0,
+            CSV_Rows: csvZips.length,
+            CSV_Without_Polygon: csvZips.filter(zip => !polygonStates.has(zip)).length
+        };
+    });
+
+    const pricesWithoutPolygons = [];
+    const yearGaps = [];
+    prices.zips.forEach((zip, i) => {
+        const csvState = prices.states[i];
+
+        if (!polygonStates.has(zip)) {
+            pricesWithoutPolygons.push({ ZIP: zip, CSV_State: csvState, Prefix_State: getStateFromZip(zip) || '' });
+        }
+
+        const gaps = describeYearGaps(prices.rows[i]);
+        if (gaps) {
+            yearGaps.push({
+                ZIP: zip,
+                CSV_State: csvState,
+                First_Year: gaps.firstYear === null ? '' : gaps.firstYear,
+                Last_Year: gaps.lastYear === null ? '' : gaps.lastYear,
+                Missing_Years: gaps.missing,
+                Gaps: gaps.gaps,
+                Kind: gaps.kind
+            });
+        }
+    });
+
+    const stateConflicts = [];
+    const allZips = new Set([...prices.zips, ...polygonStates.keys()]);
+    Array.from(allZips).sort().forEach(zip => {
+        const index = priceIndex.get(zip);
+        const csvState = index === undefined ? '' : prices.states[index];
+        const prefixState = getStateFromZip(zip) || '';
+        const fileStates = polygonStates.get(zip) || [];
+        const issues = findStateIssues(csvState, prefixState, fileStates);
+
+        if (issues.length > 0) {
+            stateConflicts.push({
+                ZIP: zip,
+                CSV_State: csvState,
+                Prefix_State: prefixState,
+                State_File: fileStates.join('/'),
+                Issue: issues.join('; ')
+            });
+        }
+    });
+
+    const polygonCount = coverage.reduce((sum, entry) => sum + entry.ZCTAs, 0);
+    const prefixIssues = findPrefixIssues(prices.zips, Array.from(polygonStates.keys()));
+
+    return {
+        totals: {
+            csvZips: prices.zips.length,
+            polygons: polygonCount,
+            joined: polygonCount - polygonsWithoutPrices.length,
+            polygonsWithoutPrices: polygonsWithoutPrices.length,
+            pricesWithoutPolygons: pricesWithoutPolygons.length,
+            yearGaps: yearGaps.length,
+            stateConflicts: stateConflicts.length,
+            prefixIssues: prefixIssues.length
+        },
+        coverage,
+        polygonsWithoutPrices,
+        pricesWithoutPolygons,
+        yearGaps,
+        stateConflicts,
+        prefixIssues
+    };
+}
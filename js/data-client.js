@@ -0,0 +1,137 @@
+/**
+ * Client for the data worker (js/data-worker.js)
+ * The worker loads the price data and computes ranges, stats, colors and medians;
+ * the page only applies the results.
+ *
+ * Frame and overview requests keep just the latest: while one is being computed,
+ * a newer request replaces the queued one and the replaced request resolves with
+ * null, so slider drags and playback never pile up stale work.
+ */
+
+const DataWorker = {
+    worker: null,
+    nextId: 1,
+    pending: new Map(),  // Request id -> { resolve, reject }
+    channels: {},        // Latest-only queues: name -> { busy, queued }
+    selection: { id: 0, zips: [] }  // ZIPs of the loaded states' features, in feature order
+};
+
+/**
+ * Start the worker (once)
+ * @returns {Worker} Data worker
+ */
+function getDataWorker() {
+    if (DataWorker.worker) return DataWorker.worker;
+
+    const worker = new Worker('js/data-worker.js');
+
+    worker.addEventListener('message', (e) => {
+        const { id, result, error } = e.data;
+        const request = DataWorker.pending.get(id);
+        if (!request) return;
+
+        DataWorker.pending.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    });
+
+    // A worker that fails to start can't answer anything that was sent
+    worker.addEventListener('error', (e) => {
+        console.error('Data worker failed:', e.message);
+        DataWorker.pending.forEach(request => request.reject(new Error(e.message || 'Data worker failed')));
+        DataWorker.pending.clear();
+    });
+
+    DataWorker.worker = worker;
+    return worker;
+}
+
+/**
+ * Send a request to the worker
+ * @param {string} type - Request type (load, select, frame, medians, diagnostics, gaps, dollars or userData)
+ * @param {Object} options - Request options
+ * @returns {Promise<*>} Worker's result
+ */
+function requestData(type, options = {}) {
+    const worker = getDataWorker();
+    const id = DataWorker.nextId++;
+
+    return new Promise((resolve, reject) => {
+        DataWorker.pending.set(id, { resolve, reject });
+        worker.postMessage({ id, type, ...options });
+    });
+}
+
+/**
+ * Send a request on a latest-only channel
+ * @param {string} channel - Channel name
+ * @param {string} type - Request type
+ * @param {Object} options - Request options
+ * @returns {Promise<*|null>} Worker's result, or null if a newer request replaced this one
+ */
+function requestLatestData(channel, type, options) {
+    const queue = DataWorker.channels[channel] || (DataWorker.channels[channel] = { busy: false, queued: null });
+
+    if (queue.queued) {
+        queue.queued.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+        queue.queued = { type, options, resolve, reject };
+        if (!queue.busy) runDataChannel(queue);
+    });
+}
+
+/**
+ * Send a channel's queued requests one at a time until it's empty
+ * @param {Object} queue - Channel queue
+ */
+async function runDataChannel(queue) {
+    queue.busy = true;
+
+    while (queue.queued) {
+        const { type, options, resolve, reject } = queue.queued;
+        queue.queued = null;
+
+        try {
+            resolve(await requestData(type, options));
+        } catch (err) {
+            reject(err);
+        }
+    }
+
+    queue.busy = false;
+}
+
+/**
+ * Tell the worker which ZIPs are on the map
+ * Frames computed for an older selection are dropped by requestFrameStats
+ * @param {Array<string>} zips - ZIP of each loaded feature, in feature order
+ * @returns {Promise} Resolves once the worker has the selection
+ */
+function selectDataZips(zips) {
+    DataWorker.selection = { id: DataWorker.selection.id + 1, zips };
+    return requestData('select', { selectionId: DataWorker.selection.id, zips });
+}
+
+/**
+ * Get the colors and stats for the loaded features in one year
+ * @param {Object} options - Frame options, see computeFrame in js/data-worker.js
+ * @param {Object} [settings] - Request settings
+ * @param {boolean} [settings.latest=true] - Drop this request if a newer one is made first
+ * @returns {Promise<Object|null>} Frame with a zips array matching its colors, or null if
+ *     replaced by a newer request or computed for ZIPs no longer on the map
+ */
+async function requestFrameStats(options, { latest = true } = {}) {
+    const frame = latest
+        ? await requestLatestData('frame', 'frame', options)
+        : await requestData('frame', options);
+
+    if (!frame || frame.selectionId !== DataWorker.selection.id) return null;
+
+    frame.zips = DataWorker.selection.zips;
+    return frame;
+}
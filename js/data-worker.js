@@ -0,0 +1,536 @@
+/**
+ * Data worker
+ * Loads the price data off the main thread and answers every question that scans
+ * many ZIP codes: national ranges, the loaded states' percentile range and stats,
+ * the color scale's classes (js/classify.js), each loaded ZIP's color, affordability
+ * counts, overview medians and the data integrity checks.
+ *
+ * Prices live in one Float32Array (YEAR_COUNT values per ZIP, NaN when missing)
+ * with a row view per ZIP, so metrics.js reads them directly. With gap filling on,
+ * the rows are swapped for a filled copy (see js/gap-fill.js), and in real dollar
+ * mode for a copy restated in one year's dollars. Uploaded metrics read their own
+ * rows: a user's values (see js/user-data.js), or the prices divided by them.
+ *
+ * Started by js/data-client.js. Requests are { id, type, ...options } and each
+ * gets one reply: { id, result } or { id, error }.
+ */
+
+importScripts('config.js', 'metrics.js', 'palette.js', 'classify.js', 'data-checks.js', 'gap-fill.js');
+
+// Binary price data header, see scripts/build-price-data.js
+const PRICE_DATA_MAGIC = 'ZHVI';
+const PRICE_DATA_VERSION = 1;
+const PRICE_DATA_HEADER_BYTES = 16;
+
+// Range used when no ZIP has a value
+const EMPTY_STATS = { min: 0, max: 1000000, median: null, lowest: null, highest: null, count: 0 };
+
+const Data = {
+    zips: [],           // ZIP codes in row order
+    states: [],         // State abbreviation per ZIP, from the price data
+    rows: [],           // Row view per ZIP used for every metric, see useRows
+    actualRows: [],     // Row view per ZIP into the price matrix as loaded
+    fillGaps: false,    // Use the gap-filled rows
+    filled: null,       // Gap-filled matrix and estimate mask, built on first use
+    filledRows: [],     // Row view per ZIP into the filled matrix
+    dollarYear: null,   // Restate prices in this year's dollars, null for nominal
+    zipIndex: new Map(), // ZIP -> row index
+    userData: null,     // Uploaded values: { zips, rows } with YEAR_COUNT values per ZIP
+    userRows: {},       // Rows per uploaded metric: { zips, rows, zipIndex }, see useUserRows
+    selection: { id: 0, zips: [], rows: [] },  // The loaded states' features: ZIPs, and price rows (null when no data)
+    nationalRanges: {}, // Cache: "metric|base" -> ranges and sorted values per year
+    nationalClasses: {}, // Cache: "metric|base|year|classification" -> classes
+    groups: {},         // Cache: rows grouped by state and ZIP prefix per row set, for the overview
+    medians: {}         // Cache: "level|metric|base|year" -> medians
+};
+
+/**
+ * Decode the binary price data (built by scripts/build-price-data.js)
+ * Year columns are transposed into one row of YEAR_COUNT values per ZIP
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} { zips, states, values } - values is NaN when missing
+ */
+function decodePriceData(buffer) {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+
+    if (magic !== PRICE_DATA_MAGIC || view.getUint16(4, true) !== PRICE_DATA_VERSION) {
+        throw new Error('Price data is not in a supported format - rebuild it with scripts/build-price-data.js');
+    }
+    if (view.getUint16(6, true) !== 2000 || view.getUint16(8, true) !== YEAR_COUNT) {
+        throw new Error('Price data does not cover 2000-2025');
+    }
+
+    const count = view.getUint32(12, true);
+    const zipCodes = new Uint32Array(buffer, PRICE_DATA_HEADER_BYTES, count);
+    const columns = new Uint32Array(buffer, PRICE_DATA_HEADER_BYTES + count * 4, count * YEAR_COUNT);
+    const stateBytes = new Uint8Array(buffer, PRICE_DATA_HEADER_BYTES + count * 4 * (YEAR_COUNT + 1), count * 2);
+
+    const values = new Float32Array(count * YEAR_COUNT);
+    for (let y = 0; y < YEAR_COUNT; y++) {
+        for (let i = 0; i < count; i++) {
+            const value = columns[y * count + i];
+            values[i * YEAR_COUNT + y] = value > 0 ? value : NaN;
+        }
+    }
+
+    const zips = [];
+    const states = [];
+    for (let i = 0; i < count; i++) {
+        zips.push(String(zipCodes[i]).padStart(5, '0'));
+        states.push(String.fromCharCode(stateBytes[i * 2], stateBytes[i * 2 + 1]).trim());
+    }
+
+    return { zips, states, values };
+}
+
+/**
+ * Download the binary price data into the price matrix
+ * @param {Object} options - { url } of the price data
+ * @returns {Promise<Object>} { zips, states, values } - a copy of the matrix for the page
+ */
+async function loadPrices({ url }) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load price data (${response.status})`);
+    }
+
+    const { zips, states, values } = decodePriceData(await response.arrayBuffer());
+
+    Data.zips = zips;
+    Data.states = states;
+    Data.actualRows = splitYearRows(values);
+    Data.rows = Data.actualRows;
+    Data.zipIndex = new Map(zips.map((zip, i) => [zip, i]));
+
+    return { zips, states, values: values.slice() };
+}
+
+/**
+ * Set the ZIPs of the loaded states' features, in feature order
+ * @param {Object} options - { selectionId, zips }
+ * @returns {number} Selection id
+ */
+function selectZips({ selectionId, zips }) {
+    Data.selection = {
+        id: selectionId,
+        zips,
+        rows: zips.map(zip => {
+            const index = Data.zipIndex.get(zip);
+            return index === undefined ? null : Data.rows[index];
+        })
+    };
+    return selectionId;
+}
+
+/**
+ * Get the rows a metric reads, with their ZIPs
+ * @param {string} metric - Key of METRICS
+ * @returns {Object} { zips, rows } - price rows, or the uploaded metric's rows (empty
+ *     when nothing is uploaded)
+ */
+function getMetricRows(metric) {
+    if (!METRICS[metric].uploaded) return { zips: Data.zips, rows: Data.rows };
+    return Data.userRows[metric] || { zips: [], rows: [], zipIndex: new Map() };
+}
+
+/**
+ * Get the rows a metric reads for the loaded states' features, in feature order
+ * @param {string} metric - Key of METRICS
+ * @returns {Array<Float32Array|null>} Row per feature, null when the ZIP has no data
+ */
+function getSelectionRows(metric) {
+    if (!METRICS[metric].uploaded) return Data.selection.rows;
+
+    const { rows, zipIndex } = getMetricRows(metric);
+    return Data.selection.zips.map(zip => {
+        const index = zipIndex.get(zip);
+        return index === undefined ? null : rows[index];
+    });
+}
+
+/**
+ * Get the national range of a metric for every year (cached)
+ * @param {string} metric - Key of METRICS
+ * @param {number} baseYear - Base year for change and growth metrics
+ * @returns {Object<number, {min: number, max: number, values: Float32Array}>} Ranges by year,
+ *     with every ZIP's value in ascending order for classifying
+ */
+function getNationalRanges(metric, baseYear) {
+    const key = `${metric}|${METRICS[metric].usesBaseYear ? baseYear : ''}`;
+    if (Data.nationalRanges[key]) return Data.nationalRanges[key];
+
+    const ranges = {};
+    for (let year = 2000; year <= 2025; year++) {
+        // Year-independent metrics have the same range every year
+        if (METRICS[metric].yearIndependent && year > 2000) {
+            ranges[year] = ranges[2000];
+            continue;
+        }
+
+        const values = [];
+        getMetricRows(metric).rows.forEach(row => {
+            const value = getMetricValue(metric, row, year, baseYear);
+            if (value !== null) {
+                values.push(value);
+            }
+        });
+
+        const range = summarizeValues(values, METRICS[metric].diverging);
+        ranges[year] = range
+            ? { min: range.min, max: range.max, values: Float32Array.from(values) }
+            : { min: 50000, max: 1000000, values: Float32Array.of(50000, 1000000) };
+    }
+
+    Data.nationalRanges[key] = ranges;
+    return ranges;
+}
+
+/**
+ * Get the national range for a year, blending neighboring years for fractional ones
+ * @param {string} metric - Key of METRICS
+ * @param {number} baseYear - Base year for change and growth metrics
+ * @param {number} year - Year, possibly fractional
+ * @returns {{min: number, max: number}} National range
+ */
+function getNationalRange(metric, baseYear, year) {
+    const ranges = getNationalRanges(metric, baseYear);
+    const fromYear = Math.floor(year);
+    const from = ranges[fromYear];
+    const to = ranges[fromYear + 1];
+    const t = year - fromYear;
+
+    if (t === 0 || !to) return { min: from.min, max: from.max };
+
+    return {
+        min: from.min + (to.min - from.min) * t,
+        max: from.max + (to.max - from.max) * t
+    };
+}
+
+/**
+ * Classify a whole year's values nationally (cached)
+ * @param {string} metric - Key of METRICS
+ * @param {number} baseYear - Base year for change and growth metrics
+ * @param {number} year - Year
+ * @param {Object} classification - Options for getClassBreaks
+ * @returns {Object} { scheme, breaks }
+ */
+function getYearNationalClasses(metric, baseYear, year, classification) {
+    const key = [
+        metric,
+        METRICS[metric].usesBaseYear ? baseYear : '',
+        METRICS[metric].yearIndependent ? '' : year,
+        JSON.stringify(classification)
+    ].join('|');
+
+    if (!Data.nationalClasses[key]) {
+        const range = getNationalRanges(metric, baseYear)[year];
+        Data.nationalClasses[key] = getClassBreaks(range.values, range, classification);
+    }
+    return Data.nationalClasses[key];
+}
+
+/**
+ * Classify values nationally, blending whole years' breaks for fractional ones
+ * @param {string} metric - Key of METRICS
+ * @param {number} baseYear - Base year for change and growth metrics
+ * @param {number} year - Year, possibly fractional
+ * @param {Object} classification - Options for getClassBreaks
+ * @returns {Object} { scheme, breaks }
+ */
+function getNationalClasses(metric, baseYear, year, classification) {
+    const fromYear = Math.floor(year);
+    const from = getYearNationalClasses(metric, baseYear, fromYear, classification);
+    if (year === fromYear || fromYear >= 2025) return from;
+
+    const to = getYearNationalClasses(metric, baseYear, fromYear + 1, classification);
+    return blendClassBreaks(from, to, year - fromYear);
+}
+
+/**
+ * Compute everything needed to draw the loaded states for a year
+ * @param {Object} options - Frame options
+ * @param {number} options.year - Year, possibly fractional during smooth playback
+ * @param {string} options.metric - Key of METRICS
+ * @param {number} options.baseYear - Base year for change and growth metrics
+ * @param {string} options.scaleMode - 'state' or 'national'
+ * @param {Array<string>} options.palette - Hex colors, low to high
+ * @param {Object} options.classification - { scheme, classes, customBreaks }, see getClassBreaks
+ * @param {boolean} options.smooth - Blend between palette steps
+ * @param {number|null} options.maxPrice - Affordability threshold, or null when off
+ * @param {number} options.priceYear - Whole year the threshold is compared in
+ * @returns {Object} { selectionId, stats, national, classes, colors, affordability } - classes
+ *     holds the scheme used, the class breaks and the loaded ZIPs' count per class (and,
+ *     for recovery, the count not yet recovered)
+ */
+function computeFrame({ year, metric, baseYear, scaleMode, palette, classification, smooth, maxPrice, priceYear }) {
+    const rows = Data.selection.rows;
+    const metricRows = getSelectionRows(metric);
+    const featureValues = metricRows.map(row => getInterpolatedMetricValue(metric, row, year, baseYear));
+    const values = featureValues.filter(value => value !== null);
+
+    // ZIPs that never regained their peak have no recovery value, but get their own
+    // color and legend row instead of looking like missing data
+    const unrecovered = metric === 'recovery'
+        ? metricRows.map(row => Boolean(row) && getStaticMetrics(row).unrecovered)
+        : null;
+
+    // summarizeValues sorts the values, ready for classifying
+    const stats = summarizeValues(values, METRICS[metric].diverging) || EMPTY_STATS;
+    const national = getNationalRange(metric, baseYear, year);
+    const classes = scaleMode === 'national'
+        ? getNationalClasses(metric, baseYear, year, classification)
+        : getClassBreaks(values.length > 0 ? values : [stats.min, stats.max], stats, classification);
+
+    let affordability = null;
+    if (maxPrice !== null) {
+        // 0 = no data, 1 = affordable, 2 = not affordable
+        const flags = new Uint8Array(rows.length);
+        let count = 0;
+        let total = 0;
+
+        rows.forEach((row, i) => {
+            const price = parseYearValue(row, priceYear);
+            if (price === null) return;
+            total++;
+            if (price <= maxPrice) {
+                count++;
+                flags[i] = 1;
+            } else {
+                flags[i] = 2;
+            }
+        });
+
+        affordability = { flags, count, total };
+    }
+
+    const frameClasses = { ...classes, counts: countClassValues(featureValues, classes.breaks) };
+    if (unrecovered) {
+        frameClasses.unrecovered = unrecovered.filter(Boolean).length;
+    }
+
+    return {
+        selectionId: Data.selection.id,
+        stats,
+        national,
+        classes: frameClasses,
+        colors: featureValues.map((value, i) => (unrecovered && unrecovered[i]
+            ? UNRECOVERED_COLOR
+            : getClassColor(value, classes.breaks, palette, smooth))),
+        affordability
+    };
+}
+
+/**
+ * Group rows by state and by 3-digit ZIP prefix using ZIP_STATE_MAP
+ * @param {Object} set - { zips, rows } from getMetricRows
+ * @returns {Object} { states: { abbr: rows }, zip3: { prefix: rows } }
+ */
+function buildOverviewGroups({ zips, rows }) {
+    const groups = { states: {}, zip3: {} };
+
+    zips.forEach((zip, i) => {
+        const prefix = zip.substring(0, 3);
+        const state = ZIP_STATE_MAP[prefix];
+        if (!state) return;
+
+        (groups.states[state] = groups.states[state] || []).push(rows[i]);
+        (groups.zip3[prefix] = groups.zip3[prefix] || []).push(rows[i]);
+    });
+
+    return groups;
+}
+
+/**
+ * Get a metric's medians per overview area for a whole year (cached)
+ * @param {string} level - 'states' or 'zip3'
+ * @param {string} metric - Key of METRICS
+ * @param {number} baseYear - Base year for change and growth metrics
+ * @param {number} year - Year
+ * @returns {Object} Medians keyed by area, see calculateGroupMedians
+ */
+function getYearMedians(level, metric, baseYear, year) {
+    const cacheKey = [
+        level,
+        metric,
+        METRICS[metric].usesBaseYear ? baseYear : '',
+        METRICS[metric].yearIndependent ? '' : year
+    ].join('|');
+
+    if (!Data.medians[cacheKey]) {
+        const setKey = METRICS[metric].uploaded ? metric : 'price';
+        Data.groups[setKey] = Data.groups[setKey] || buildOverviewGroups(getMetricRows(metric));
+        Data.medians[cacheKey] = calculateGroupMedians(Data.groups[setKey][level], metric, year, baseYear);
+    }
+    return Data.medians[cacheKey];
+}
+
+/**
+ * Get a metric's medians per overview area, blending whole years for fractional ones
+ * @param {Object} options - { level, metric, baseYear, year, classification }
+ * @returns {Object} { medians, national, classes } - medians keyed by area, the national
+ *     range and the national classes they're colored by
+ */
+function computeMedians({ level, metric, baseYear, year, classification }) {
+    const national = getNationalRange(metric, baseYear, year);
+    const classes = getNationalClasses(metric, baseYear, year, classification);
+    const fromYear = Math.floor(year);
+    const t = year - fromYear;
+    const from = getYearMedians(level, metric, baseYear, fromYear);
+    if (t === 0 || fromYear >= 2025) return { medians: from, national, classes };
+
+    const to = getYearMedians(level, metric, baseYear, fromYear + 1);
+    const medians = {};
+
+    Object.keys(from).forEach(key => {
+        const a = from[key];
+        const b = to[key];
+        if (!a || !b) {
+            medians[key] = t < 0.5 ? a : b;
+            return;
+        }
+        medians[key] = { median: a.median + (b.median - a.median) * t, count: a.count };
+    });
+
+    return { medians, national, classes };
+}
+
+/**
+ * Run the data integrity checks against every state's ZIP boundaries
+ * Only the ZCTA codes are read from the boundary files, so the coarsest level is used
+ * @param {Object} options - { polygonUrls }: boundary file URL by state abbreviation
+ * @returns {Promise<Object>} Report, see checkDataJoin in js/data-checks.js
+ */
+async function checkData({ polygonUrls }) {
+    const polygons = {};
+
+    for (const state of Object.keys(polygonUrls)) {
+        const response = await fetch(polygonUrls[state]);
+        if (!response.ok) {
+            throw new Error(`Could not load ${STATES[state].name} boundaries (${response.status})`);
+        }
+        const topology = await response.json();
+        polygons[state] = topology.objects.zips.geometries.map(geometry => geometry.properties.ZCTA5CE10);
+    }
+
+    return checkDataJoin({ zips: Data.zips, states: Data.states, rows: Data.actualRows }, polygons);
+}
+
+/**
+ * Pick the rows every metric reads: actual or gap-filled, nominal or real dollars
+ * The page selects its ZIPs again afterwards, since selections hold rows
+ */
+function useRows() {
+    const rows = Data.fillGaps ? Data.filledRows : Data.actualRows;
+    Data.rows = Data.dollarYear ? deflateRows(rows, Data.dollarYear) : rows;
+    useUserRows();
+}
+
+/**
+ * Build the uploaded metrics' rows: the uploaded values, and the prices divided by them
+ * Ratios divide nominal prices (filled when gap filling is on), since uploaded values
+ * aren't restated in real dollars
+ */
+function useUserRows() {
+    Data.userRows = {};
+
+    if (Data.userData) {
+        const { zips, rows } = Data.userData;
+        const zipIndex = new Map(zips.map((zip, i) => [zip, i]));
+        const prices = Data.fillGaps ? Data.filledRows : Data.actualRows;
+
+        Data.userRows.upload = { zips, rows, zipIndex };
+        Data.userRows.ratio = {
+            zips,
+            zipIndex,
+            rows: zips.map((zip, i) => {
+                const index = Data.zipIndex.get(zip);
+                return divideYearRows(index === undefined ? null : prices[index], rows[i]);
+            })
+        };
+    }
+
+    // Ranges and medians were computed from the other rows
+    Data.nationalRanges = {};
+    Data.nationalClasses = {};
+    Data.groups = {};
+    Data.medians = {};
+}
+
+/**
+ * Switch every metric between the loaded prices and the gap-filled ones
+ * @param {Object} options - { enabled, returnValues }
+ * @returns {Object|null} { values, estimated } - copies of the filled matrix and estimate
+ *     mask when returnValues is set, otherwise null
+ */
+function setGapFilling({ enabled, returnValues }) {
+    if (enabled && !Data.filled) {
+        Data.filled = fillPriceGaps(Data.zips, Data.states, Data.actualRows);
+        Data.filledRows = splitYearRows(Data.filled.values);
+    }
+
+    Data.fillGaps = enabled;
+    useRows();
+
+    return enabled && returnValues
+        ? { values: Data.filled.values.slice(), estimated: Data.filled.estimated.slice() }
+        : null;
+}
+
+/**
+ * Switch every metric between nominal and constant dollars
+ * @param {Object} options - { dollarYear }: year whose dollars to use, null for nominal
+ * @returns {number|null} The dollar year
+ */
+function setDollarYear({ dollarYear }) {
+    Data.dollarYear = CPI_U[dollarYear] ? dollarYear : null;
+    useRows();
+    return Data.dollarYear;
+}
+
+/**
+ * Set or remove the uploaded values
+ * @param {Object} options - { zips, values, diverging, yearIndependent }: ZIP codes and
+ *     YEAR_COUNT values per ZIP (NaN when missing), or no zips to remove them, and the
+ *     upload metric's flags (see METRICS)
+ * @returns {number} Number of ZIPs with uploaded values
+ */
+function setUserData({ zips, values, diverging, yearIndependent }) {
+    Data.userData = zips ? { zips, rows: splitYearRows(values) } : null;
+    METRICS.upload.diverging = Boolean(diverging);
+    METRICS.upload.yearIndependent = Boolean(yearIndependent);
+
+    useUserRows();
+    return zips ? zips.length : 0;
+}
+
+// Request handlers by type
+const handlers = {
+    load: loadPrices,
+    select: selectZips,
+    frame: computeFrame,
+    medians: computeMedians,
+    diagnostics: checkData,
+    gaps: setGapFilling,
+    dollars: setDollarYear,
+    userData: setUserData
+};
+
+self.addEventListener('message', async (e) => {
+    const { id, type, ...options } = e.data;
+
+    try {
+        const result = await handlers[type](options);
+
+        // Hand large arrays over instead of copying them
+        const transfer = [];
+        if (result && result.values) transfer.push(result.values.buffer);
+        if (result && result.estimated) transfer.push(result.estimated.buffer);
+        if (result && result.affordability) transfer.push(result.affordability.flags.buffer);
+
+        self.postMessage({ id, result }, transfer);
+    } catch (err) {
+        self.postMessage({ id, error: err.message || String(err) });
+    }
+});
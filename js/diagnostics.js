@@ -0,0 +1,104 @@
+/**
+ * Data Diagnostics panel
+ * Runs the data integrity checks (js/data-checks.js) in the data worker against
+ * every state's ZIP boundaries and shows the join coverage by state. Each list can
+ * be downloaded as CSV; scripts/check-data.js prints the same report.
+ */
+
+/**
+ * Run the checks and show the report
+ */
+async function runDiagnostics() {
+    if (AppState.isCheckingData) return;
+
+    AppState.isCheckingData = true;
+    Elements.diagnosticsRun.disabled = true;
+    Elements.diagnosticsSummary.textContent = 'Checking every state\'s ZIP boundaries...';
+
+    // The worker resolves URLs against its own folder, so send absolute ones
+    const polygonUrls = {};
+    Object.keys(STATES).forEach(abbr => {
+        polygonUrls[abbr] = new URL(getStateGeometryPath(abbr, GEOMETRY_LEVELS[0].name), location.href).href;
+    });
+
+    try {
+        AppState.diagnostics = await requestData('diagnostics', { polygonUrls });
+        renderDiagnostics();
+    } catch (err) {
+        console.error('Data check failed:', err);
+        Elements.diagnosticsSummary.textContent = `Check failed: ${err.message}`;
+    } finally {
+        AppState.isCheckingData = false;
+        Elements.diagnosticsRun.disabled = false;
+    }
+}
+
+/**
+ * Show the last report: totals, a download per list and coverage by state
+ */
+function renderDiagnostics() {
+    const report = AppState.diagnostics;
+    const totals = report.totals;
+    const percent = totals.polygons > 0 ? (totals.joined / totals.polygons * 100).toFixed(1) : '0';
+
+    Elements.diagnosticsSummary.innerHTML =
+        `<strong>${totals.joined.toLocaleString()}</strong> of ${totals.polygons.toLocaleString()} ZCTAs have prices (${percent}%) · ` +
+        `${totals.csvZips.toLocaleString()} CSV ZIPs`;
+
+    const lists = Object.keys(DATA_CHECK_LISTS).filter(key => key !== 'coverage').map(key => `
+        <div class="diagnostics-list">
+            <span>${DATA_CHECK_LISTS[key].label}</span>
+            <strong>${report[key].length.toLocaleString()}</strong>
+            <button class="diagnostics-download" data-list="${key}" ${report[key].length === 0 ? 'disabled' : ''}>CSV</button>
+        </div>
+    `).join('');
+
+    // Lowest coverage first, where the join needs the most attention
+    const rows = report.coverage
+        .slice()
+        .sort((a, b) => a.Coverage_Pct - b.Coverage_Pct)
+        .map(entry => `
+            <tr>
+                <td>${entry.State}</td>
+                <td>${entry.With_Prices.toLocaleString()} / ${entry.ZCTAs.toLocaleString()}</td>
+                <td class="${entry.Coverage_Pct < 75 ? 'diagnostics-low' : ''}">${entry.Coverage_Pct}%</td>
+                <td>${entry.CSV_Without_Polygon || ''}</td>
+            </tr>
+        `).join('');
+
+    Elements.diagnosticsReport.innerHTML = `
+        ${lists}
+        <div class="diagnostics-list">
+            <span>${DATA_CHECK_LISTS.coverage.label}</span>
+            <strong>${report.coverage.length}</strong>
+            <button class="diagnostics-download" data-list="coverage">CSV</button>
+        </div>
+        <div class="diagnostics-table-wrap">
+            <table class="compare-table diagnostics-table">
+                <thead>
+                    <tr>
+                        <th>State</th>
+                        <th>ZCTAs with prices</th>
+                        <th>Coverage</th>
+                        <th title="CSV ZIPs with no polygon">No polygon</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Download one of the report's lists as CSV
+ * @param {string} key - Key of DATA_CHECK_LISTS
+ */
+function exportDiagnosticsList(key) {
+    const { columns } = DATA_CHECK_LISTS[key];
+    const csv = Papa.unparse({
+        fields: columns,
+        data: AppState.diagnostics[key].map(record => columns.map(column => record[column]))
+    });
+    const name = key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `zhvi_check_${name}.csv`);
+}
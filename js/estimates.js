@@ -0,0 +1,235 @@
+/**
+ * Data quality: gap filling and jump flags
+ * With gap filling on, missing years are estimated (js/gap-fill.js) and the map,
+ * detail panel and exports use the filled prices; estimated values are drawn with
+ * a hatched fill. Separately, ZIPs whose price moved more than a threshold from
+ * the year before get a dashed amber outline, since such jumps are often data errors.
+ */
+
+// Hatched fills by color; cleared when it grows past this many colors
+const HATCH_CACHE_LIMIT = 512;
+const hatchPatterns = new Map();
+
+// SVG <pattern> ids of the hatched fills for SVG-drawn layers (the nationwide tiles),
+// by color, and the hidden <svg> holding them
+const svgHatchFills = new Map();
+let svgHatchDefs = null;
+
+// Outline for ZIPs with a suspicious year-over-year jump
+const JUMP_OUTLINE = { color: '#f59e0b', weight: 2, opacity: 1, dashArray: '4 3' };
+
+/**
+ * Turn gap filling on or off
+ * The worker fills every ZIP once; the page swaps its price rows for the filled ones
+ * @param {boolean} enabled - Estimate missing years
+ * @returns {Promise} Resolves once the map is re-colored
+ */
+async function setGapFilling(enabled) {
+    AppState.fillGaps = enabled;
+    Elements.fillGapsToggle.checked = enabled;
+
+    const needsValues = enabled && !AppState.filledData;
+    const filled = await requestData('gaps', { enabled, returnValues: needsValues });
+
+    if (filled) {
+        const rows = splitYearRows(filled.values);
+        AppState.filledData = {};
+        AppState.estimatedYears = {};
+        AppState.priceZips.forEach((zip, i) => {
+            AppState.filledData[zip] = rows[i];
+            AppState.estimatedYears[zip] = filled.estimated.subarray(i * YEAR_COUNT, (i + 1) * YEAR_COUNT);
+        });
+    }
+
+    // Turned off again while the worker was filling
+    if (AppState.fillGaps !== enabled) return;
+
+    applyPriceRows();
+
+    syncURL();
+    renderDetailPanel();
+    renderCompareTray();
+    await refreshLoadedStates();
+}
+
+/**
+ * Turn the year-over-year jump flags on or off, or change their threshold
+ * @param {boolean} enabled - Outline ZIPs with a suspicious jump
+ * @param {number} [threshold] - Largest unflagged change in percent
+ */
+function setJumpFlags(enabled, threshold = AppState.jumpThreshold) {
+    AppState.flagJumps = enabled;
+    AppState.jumpThreshold = threshold > 0 ? threshold : AppState.jumpThreshold;
+    Elements.flagJumpsToggle.checked = enabled;
+    Elements.jumpThreshold.value = AppState.jumpThreshold;
+
+    syncURL();
+    restyleZipLayers();
+    renderDataQualityStatus();
+}
+
+/**
+ * Check whether the value a ZIP is colored by uses an estimated year
+ * @param {string} zip - 5-digit ZIP code
+ * @returns {boolean} True when gap filling is on and the current metric reads an estimate
+ */
+function isEstimatedValue(zip) {
+    if (!AppState.fillGaps) return false;
+
+    const estimated = AppState.estimatedYears && AppState.estimatedYears[zip];
+    if (!estimated) return false;
+
+    // Uploaded values are the user's own, so never estimated. Ratios divide the year's
+    // (possibly estimated) price, so they fall through to the price check below
+    if (AppState.metric === 'upload') return false;
+
+    const metric = METRICS[AppState.metric];
+    if (metric.yearIndependent) return estimated.includes(1);
+
+    const isYearEstimated = year => estimated[year - 2000] === 1;
+    return isYearEstimated(AppState.currentYear) ||
+        Boolean(metric.usesBaseYear && isYearEstimated(AppState.metricBaseYear));
+}
+
+/**
+ * Get a ZIP's change from the year before, if it's beyond the jump threshold
+ * Only actual prices are compared, never estimates
+ * @param {string} zip - 5-digit ZIP code
+ * @returns {number|null} Change as a fraction, or null when flags are off or it's not a jump
+ */
+function getYearJump(zip) {
+    if (!AppState.flagJumps) return null;
+
+    const row = AppState.actualData[zip];
+    return row ? findYearJump(row, AppState.currentYear, AppState.jumpThreshold / 100) : null;
+}
+
+/**
+ * Get a diagonal-striped fill for estimated values
+ * @param {string} color - Fill color
+ * @returns {CanvasPattern|string} Pattern, or the color where patterns aren't supported
+ */
+function getHatchPattern(color) {
+    if (hatchPatterns.has(color)) return hatchPatterns.get(color);
+    if (hatchPatterns.size >= HATCH_CACHE_LIMIT) hatchPatterns.clear();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 8;
+    canvas.height = 8;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return color;
+
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, 8, 8);
+    ctx.strokeStyle = 'rgba(15, 23, 42, 0.75)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(-2, 2);
+    ctx.lineTo(2, -2);
+    ctx.moveTo(0, 8);
+    ctx.lineTo(8, 0);
+    ctx.moveTo(6, 10);
+    ctx.lineTo(10, 6);
+    ctx.stroke();
+
+    const pattern = ctx.createPattern(canvas, 'repeat') || color;
+    hatchPatterns.set(color, pattern);
+    return pattern;
+}
+
+/**
+ * Get a diagonal-striped fill for estimated values drawn as SVG, where a CanvasPattern
+ * can't be used: a reference to a shared <pattern>, falling back to the plain color
+ * @param {string} color - Fill color
+ * @returns {string} SVG paint, e.g. "url(#zip-hatch-3) #fde68a"
+ */
+function getSvgHatchFill(color) {
+    if (!svgHatchDefs) {
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('aria-hidden', 'true');
+        svg.style.cssText = 'position:absolute;width:0;height:0';
+        svgHatchDefs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+        svg.appendChild(svgHatchDefs);
+        document.body.appendChild(svg);
+    }
+
+    if (!svgHatchFills.has(color)) {
+        // Layers are restyled every frame, so dropped patterns are recreated as needed
+        if (svgHatchFills.size >= HATCH_CACHE_LIMIT) {
+            svgHatchFills.clear();
+            svgHatchDefs.replaceChildren();
+        }
+
+        const id = `zip-hatch-${svgHatchDefs.childElementCount}`;
+        svgHatchDefs.insertAdjacentHTML('beforeend', `
+            <pattern xmlns="http://www.w3.org/2000/svg" id="${id}" patternUnits="userSpaceOnUse" width="8" height="8">
+                <rect width="8" height="8" fill="${color}"/>
+                <path d="M-2 2L2-2M0 8L8 0M6 10L10 6" stroke="rgba(15, 23, 42, 0.75)" stroke-width="2"/>
+            </pattern>
+        `);
+        svgHatchFills.set(color, id);
+    }
+
+    return `url(#${svgHatchFills.get(color)}) ${color}`;
+}
+
+/**
+ * Hatch estimated values and outline suspicious jumps
+ * @param {string} zip - 5-digit ZIP code
+ * @param {Object} style - Leaflet style object
+ * @param {Object} [options] - { svg } - the layer draws as SVG, so the hatch is an SVG pattern
+ * @returns {Object} Style with the data quality marks applied
+ */
+function applyDataQualityStyle(zip, style, { svg = false } = {}) {
+    if (isEstimatedValue(zip)) {
+        style.fillColor = svg ? getSvgHatchFill(style.fillColor) : getHatchPattern(style.fillColor);
+    }
+    if (getYearJump(zip) !== null) {
+        Object.assign(style, JUMP_OUTLINE);
+    }
+    return style;
+}
+
+/**
+ * Describe a ZIP's estimates and jump for the info panel
+ * @param {string} zip - 5-digit ZIP code
+ * @returns {string} Note, or '' when there's nothing to say
+ */
+function describeDataQuality(zip) {
+    const notes = [];
+
+    if (isEstimatedValue(zip)) {
+        notes.push(METRICS[AppState.metric].yearIndependent
+            ? 'Estimated: uses filled-in years'
+            : 'Estimated: no reported value for this year');
+    }
+
+    const jump = getYearJump(zip);
+    if (jump !== null) {
+        notes.push(`Suspicious jump: ${formatPercent(jump * 100)} from ${AppState.currentYear - 1}`);
+    }
+
+    return notes.join(' · ');
+}
+
+/**
+ * Count the estimated and flagged ZIPs on the map
+ */
+function renderDataQualityStatus() {
+    if (!AppState.fillGaps && !AppState.flagJumps) {
+        Elements.dataQualityStatus.textContent = '';
+        return;
+    }
+
+    let estimated = 0;
+    let jumps = 0;
+    getMapZips().forEach(zip => {
+        if (isEstimatedValue(zip)) estimated++;
+        if (getYearJump(zip) !== null) jumps++;
+    });
+
+    const parts = [];
+    if (AppState.fillGaps) parts.push(`${estimated.toLocaleString()} estimated (hatched)`);
+    if (AppState.flagJumps) parts.push(`${jumps.toLocaleString()} with a jump over ${AppState.jumpThreshold}% in ${AppState.currentYear}`);
+    Elements.dataQualityStatus.textContent = parts.join(' · ');
+}
@@ -0,0 +1,578 @@
+/**
+ * Export the current view as CSV, GeoJSON, PNG or an animated timeline
+ * Everything is built client-side from the loaded states - no server needed
+ */
+
+/**
+ * Trigger a browser download for a blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Base file name describing the current view
+ * @returns {string} e.g. "zhvi_CA-NV_2012"
+ */
+function getExportFileName() {
+    const states = Object.keys(AppState.stateLayers).join('-') || 'none';
+    return `zhvi_${states}_${AppState.currentYear}`;
+}
+
+/**
+ * Round a value for export, keeping nulls empty
+ * @param {number|null} value - Value to round
+ * @param {number} digits - Decimal places
+ * @returns {number|string} Rounded value or '' if missing
+ */
+function roundForExport(value, digits = 2) {
+    if (value === null || value === undefined || isNaN(value)) return '';
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Build one export record per loaded ZIP with the active year's value and derived metrics
+ * @returns {Array<Object>} Records keyed by column name
+ */
+function buildExportRows() {
+    const year = AppState.currentYear;
+    const maxPrice = AppState.maxAffordablePrice;
+
+    return AppState.currentGeoJSON.features.map(feature => {
+        const zip = feature.properties.ZCTA5CE10;
+        const row = AppState.zhviData[zip];
+        const history = getPriceHistory(row);
+        const price = getHistoryValue(history, year);
+        const base = getHistoryValue(history, 2000);
+        const cagr = calculateCAGR(history, 2000, year);
+        const staticMetrics = row ? getStaticMetrics(row) : { drawdown: null, recovery: null };
+
+        const record = {
+            ZIP: zip,
+            State: AppState.zipStates[zip] || getStateFromZip(zip) || '',
+            Year: year,
+            ZHVI: roundForExport(price, 0),
+            Change_Since_2000_Pct: roundForExport(price && base ? (price - base) / base * 100 : null),
+            CAGR_Since_2000_Pct: roundForExport(cagr ? cagr.rate : null),
+            Crash_Drawdown_Pct: roundForExport(staticMetrics.drawdown),
+            Recovery_Years: roundForExport(staticMetrics.recovery, 0)
+        };
+
+        if (AppState.metric !== 'price') {
+            record.Metric = getMetricLabel();
+            record.Metric_Value = roundForExport(getFeatureValue(zip));
+        }
+
+        if (maxPrice !== null) {
+            record.Affordable = price ? (price <= maxPrice ? 'yes' : 'no') : '';
+        }
+
+        if (AppState.realDollars) {
+            record.Dollars = getDollarLabel();
+        }
+
+        if (AppState.fillGaps) {
+            record.Estimated = isEstimatedValue(zip) ? 'yes' : 'no';
+        }
+
+        return record;
+    });
+}
+
+/**
+ * Download the loaded ZIP rows as CSV
+ */
+function exportCSV() {
+    const rows = buildExportRows();
+    const csv = Papa.unparse(rows);
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${getExportFileName()}.csv`);
+}
+
+/**
+ * Download the loaded states' ZIP boundaries with every year's ZHVI joined onto each feature
+ * The map draws simplified TopoJSON, so the full-resolution source GeoJSON (with all
+ * of its Census properties) is fetched for each loaded state instead
+ */
+async function exportGeoJSON() {
+    const states = Object.keys(AppState.stateLayers);
+    Elements.exportMessage.classList.add('progress');
+
+    try {
+        const features = [];
+
+        for (const stateAbbr of states) {
+            Elements.exportMessage.textContent = `Loading ${STATES[stateAbbr].name} boundaries...`;
+            const response = await fetch(getStateSourcePath(stateAbbr));
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            const source = await response.json();
+
+            source.features.forEach(feature => {
+                const zip = feature.properties.ZCTA5CE10;
+                const history = getPriceHistory(AppState.zhviData[zip]);
+                const properties = { ...feature.properties };
+
+                history.forEach(point => {
+                    properties[`ZHVI_${point.year}`] = point.value;
+                });
+
+                if (AppState.metric !== 'price') {
+                    properties.metric = AppState.metric;
+                    properties.metric_value = getFeatureValue(zip);
+                }
+
+                features.push({ type: 'Feature', geometry: feature.geometry, properties });
+            });
+        }
+
+        const geojson = JSON.stringify({ type: 'FeatureCollection', features });
+        downloadBlob(new Blob([geojson], { type: 'application/geo+json' }), `${getExportFileName()}.geojson`);
+        Elements.exportMessage.textContent = '';
+    } catch (err) {
+        console.error('GeoJSON export failed:', err);
+        Elements.exportMessage.textContent = 'GeoJSON export failed';
+    } finally {
+        Elements.exportMessage.classList.remove('progress');
+    }
+}
+
+/**
+ * Draw GeoJSON features onto a canvas using the map's styling
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Array} features - GeoJSON features
+ * @param {Function} project - Maps [lat, lng] to a point with x and y
+ */
+function drawFeatures(ctx, features, project) {
+    const traceRing = (ring) => {
+        ring.forEach(([lng, lat], i) => {
+            const point = project([lat, lng]);
+            if (i === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.closePath();
+    };
+
+    features.forEach(feature => {
+        const geometry = feature.geometry;
+        if (!geometry) return;
+
+        const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+        const style = styleFeature(feature);
+
+        ctx.beginPath();
+        polygons.forEach(polygon => polygon.forEach(traceRing));
+
+        ctx.globalAlpha = style.fillOpacity;
+        ctx.fillStyle = style.fillColor;
+        ctx.fill('evenodd');
+
+        ctx.globalAlpha = style.opacity;
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.weight;
+        ctx.lineJoin = 'round';
+        ctx.setLineDash(style.dashArray ? style.dashArray.split(' ').map(Number) : []);
+        ctx.stroke();
+    });
+
+    ctx.globalAlpha = 1;
+    ctx.setLineDash([]);
+}
+
+/**
+ * Draw the loaded basemap tiles onto a canvas
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ */
+function drawBasemapTiles(ctx) {
+    const container = AppState.map.getContainer().getBoundingClientRect();
+
+    AppState.map.getPane('tilePane').querySelectorAll('img.leaflet-tile-loaded').forEach(img => {
+        const rect = img.getBoundingClientRect();
+        ctx.drawImage(img, rect.left - container.left, rect.top - container.top, rect.width, rect.height);
+    });
+}
+
+/**
+ * Draw the title and year in the top-left corner
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {number} year - Year shown
+ */
+function drawMapTitle(ctx, year) {
+    const states = Object.keys(AppState.stateLayers).map(abbr => STATES[abbr].name).join(', ');
+    const title = AppState.affordabilityMode ? 'Affordable ZIP Codes' : getMetricLabel();
+
+    ctx.font = '600 18px Inter, sans-serif';
+    const titleWidth = ctx.measureText(title).width;
+    ctx.font = '400 13px Inter, sans-serif';
+    const statesWidth = ctx.measureText(states).width;
+
+    ctx.fillStyle = getThemeColor('--overlay-bg');
+    ctx.fillRect(16, 16, Math.max(titleWidth, statesWidth) + 24, 76);
+
+    ctx.fillStyle = getThemeColor('--text-strong');
+    ctx.font = '600 18px Inter, sans-serif';
+    ctx.fillText(title, 28, 42);
+
+    ctx.fillStyle = getThemeColor('--text-muted');
+    ctx.font = '400 13px Inter, sans-serif';
+    ctx.fillText(states, 28, 62);
+
+    ctx.fillStyle = getThemeColor('--accent-text');
+    ctx.font = '700 16px Inter, sans-serif';
+    ctx.fillText(String(year), 28, 82);
+}
+
+/**
+ * Draw the color legend in the bottom-left corner
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {number} height - Canvas height in CSS pixels
+ */
+function drawMapLegend(ctx, height) {
+    const x = 16;
+    const y = height - 76;
+    const width = 232;
+
+    ctx.fillStyle = getThemeColor('--overlay-bg');
+    ctx.fillRect(x, y, width, 60);
+
+    ctx.fillStyle = getThemeColor('--text-faint');
+    ctx.font = '500 11px Inter, sans-serif';
+
+    if (AppState.affordabilityMode && AppState.maxAffordablePrice !== null) {
+        ctx.fillText('AFFORDABILITY', x + 16, y + 20);
+        ctx.fillStyle = '#10b981';
+        ctx.fillRect(x + 16, y + 30, 14, 14);
+        ctx.fillStyle = getThemeColor('--text-muted');
+        ctx.font = '400 12px Inter, sans-serif';
+        ctx.fillText(`Affordable (≤ ${formatCurrency(AppState.maxAffordablePrice)})`, x + 38, y + 42);
+        return;
+    }
+
+    ctx.fillText(getMetricLabel().toUpperCase(), x + 16, y + 20);
+    if (!AppState.classes) return;
+
+    // One step per class, labelled with the lowest and highest boundaries
+    const breaks = AppState.classes.breaks;
+    const colors = getClassPalette(getMetricPalette(), breaks.length - 1);
+    const barWidth = (width - 32) / colors.length;
+    colors.forEach((color, i) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(x + 16 + i * barWidth, y + 28, barWidth + 0.5, 10);
+    });
+
+    ctx.fillStyle = getThemeColor('--text-muted');
+    ctx.font = '400 11px Inter, sans-serif';
+    ctx.fillText(formatMetricValue(breaks[0]), x + 16, y + 52);
+    const maxLabel = formatMetricValue(breaks[breaks.length - 1]);
+    ctx.fillText(maxLabel, x + width - 16 - ctx.measureText(maxLabel).width, y + 52);
+}
+
+/**
+ * Render the current map view (basemap, ZIP layer, title and legend) to a canvas
+ * @param {boolean} includeBasemap - Whether to draw the basemap tiles
+ * @param {number} ratio - Canvas pixels per CSS pixel
+ * @returns {HTMLCanvasElement} Rendered canvas
+ */
+function renderMapCanvas(includeBasemap, ratio = window.devicePixelRatio || 1) {
+    const map = AppState.map;
+    const size = map.getSize();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(size.x * ratio);
+    canvas.height = Math.round(size.y * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.fillStyle = getThemeColor('--map-bg');
+    ctx.fillRect(0, 0, size.x, size.y);
+
+    if (includeBasemap) {
+        drawBasemapTiles(ctx);
+    }
+
+    drawFeatures(ctx, AppState.currentGeoJSON.features, latlng => map.latLngToContainerPoint(latlng));
+    drawMapTitle(ctx, AppState.currentYear);
+    drawMapLegend(ctx, size.y);
+
+    return canvas;
+}
+
+/**
+ * Download the current map view as a PNG
+ * Falls back to a plain background if the basemap tiles can't be read back
+ */
+function exportPNG() {
+    const save = (canvas) => new Promise((resolve, reject) => {
+        try {
+            canvas.toBlob(blob => {
+                downloadBlob(blob, `${getExportFileName()}.png`);
+                resolve();
+            }, 'image/png');
+        } catch (err) {
+            reject(err);
+        }
+    });
+
+    return save(renderMapCanvas(true)).catch(err => {
+        console.warn('Basemap tiles could not be exported, exporting without them:', err);
+        return save(renderMapCanvas(false));
+    });
+}
+
+/**
+ * Run a function with the year (and historical affordability threshold) swapped in
+ * @param {number} year - Year to swap in
+ * @param {Function} run - Called while the year is swapped in
+ * @returns {*} Result of run
+ */
+function withYear(year, run) {
+    const savedYear = AppState.currentYear;
+
+    AppState.currentYear = year;
+    if (AppState.historicalAffordability) updateMaxAffordablePrice();
+
+    try {
+        return run();
+    } finally {
+        AppState.currentYear = savedYear;
+        if (AppState.historicalAffordability) updateMaxAffordablePrice();
+    }
+}
+
+/**
+ * Render the current view as it looks in another year, without touching the on-screen map
+ * The year's colors come from the data worker and are swapped in just for the drawing
+ * @param {number} year - Year to render
+ * @param {boolean} includeBasemap - Whether to draw the basemap tiles
+ * @param {number} ratio - Canvas pixels per CSS pixel
+ * @returns {Promise<HTMLCanvasElement>} Rendered frame
+ */
+async function renderYearFrame(year, includeBasemap, ratio) {
+    const frame = await requestFrameStats(withYear(year, () => getFrameOptions(year)), { latest: false });
+    if (!frame) {
+        throw new Error('The loaded states changed while rendering');
+    }
+
+    const saved = {
+        classes: AppState.classes,
+        featureColors: AppState.featureColors,
+        affordableZips: AppState.affordableZips,
+        affordabilityCounts: AppState.affordabilityCounts
+    };
+
+    setFrameStyles(frame);
+
+    try {
+        return withYear(year, () => renderMapCanvas(includeBasemap, ratio));
+    } finally {
+        Object.assign(AppState, saved);
+    }
+}
+
+/**
+ * Check whether a canvas's pixels can be read back (cross-origin tiles taint it)
+ * @param {HTMLCanvasElement} canvas - Canvas to check
+ * @returns {boolean} True if readable
+ */
+function isCanvasReadable(canvas) {
+    try {
+        canvas.getContext('2d').getImageData(0, 0, 1, 1);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Wait before the next step so the page stays responsive while recording
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise} Resolves after the delay
+ */
+function waitFor(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Encode timeline frames as an animated GIF
+ * @param {Array<number>} years - Years to render, in order
+ * @param {Function} renderFrame - Renders a year to a canvas (async)
+ * @param {number} delayMs - Delay between frames
+ * @returns {Promise<Blob>} GIF file
+ */
+async function encodeTimelineGIF(years, renderFrame, delayMs) {
+    let encoder = null;
+
+    for (const year of years) {
+        Elements.exportMessage.textContent = `Encoding ${year}...`;
+        await waitFor(0);
+
+        const frame = await renderFrame(year);
+        if (!encoder) encoder = createGIFEncoder(frame.width, frame.height, delayMs);
+        encoder.addFrame(frame.getContext('2d').getImageData(0, 0, frame.width, frame.height));
+    }
+
+    return encoder.finish();
+}
+
+/**
+ * Record timeline frames as a WebM video with MediaRecorder
+ * Frames are drawn onto a captured canvas in real time, one every delayMs
+ * @param {Array<number>} years - Years to render, in order
+ * @param {Function} renderFrame - Renders a year to a canvas (async)
+ * @param {number} delayMs - Delay between frames
+ * @returns {Promise<Blob>} WebM file
+ */
+async function recordTimelineWebM(years, renderFrame, delayMs) {
+    const first = await renderFrame(years[0]);
+    const canvas = document.createElement('canvas');
+    canvas.width = first.width;
+    canvas.height = first.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(first, 0, 0);
+
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => {
+        recorder.onstop = resolve;
+    });
+
+    recorder.start();
+
+    for (let i = 0; i < years.length; i++) {
+        Elements.exportMessage.textContent = `Recording ${years[i]}...`;
+        if (i > 0) ctx.drawImage(await renderFrame(years[i]), 0, 0);
+        if (track.requestFrame) track.requestFrame();
+        await waitFor(delayMs);
+    }
+
+    recorder.stop();
+    await stopped;
+    stream.getTracks().forEach(t => t.stop());
+
+    return new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * Export the timeline for the chosen year range as an animated GIF or WebM
+ * Each year is rendered off-screen with its own color range, year label and legend
+ */
+async function recordTimeline() {
+    if (AppState.isRecording) return;
+
+    if (!AppState.currentGeoJSON) {
+        Elements.exportMessage.textContent = 'Add a state to record its timeline';
+        return;
+    }
+
+    if (AppState.nationwide) {
+        Elements.exportMessage.textContent = 'Turn off the nationwide view to record a timeline';
+        return;
+    }
+
+    const format = Elements.recordFormat.value;
+    const startYear = parseInt(Elements.recordStart.value);
+    const endYear = parseInt(Elements.recordEnd.value);
+    const delayMs = Math.max(20, parseInt(Elements.recordDelay.value) || 800);
+
+    if (startYear > endYear) {
+        Elements.exportMessage.textContent = 'Start year is after end year';
+        return;
+    }
+
+    if (format === 'webm' && (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream)) {
+        Elements.exportMessage.textContent = 'This browser cannot record WebM - try GIF instead';
+        return;
+    }
+
+    if (AppState.isPlaying) togglePlay();
+
+    const years = [];
+    for (let year = startYear; year <= endYear; year++) years.push(year);
+
+    // GIFs are encoded pixel by pixel, so keep frames a manageable size
+    const size = AppState.map.getSize();
+    const ratio = format === 'gif' ? Math.min(1, 960 / size.x) : (window.devicePixelRatio || 1);
+
+    // Cross-origin tiles would block reading the frames back
+    AppState.isRecording = true;
+    Elements.recordBtn.disabled = true;
+    Elements.exportMessage.classList.add('progress');
+
+    try {
+        const includeBasemap = isCanvasReadable(await renderYearFrame(startYear, true, ratio));
+        const renderFrame = (year) => renderYearFrame(year, includeBasemap, ratio);
+
+        const blob = format === 'gif'
+            ? await encodeTimelineGIF(years, renderFrame, delayMs)
+            : await recordTimelineWebM(years, renderFrame, delayMs);
+
+        const states = Object.keys(AppState.stateLayers).join('-');
+        downloadBlob(blob, `zhvi_${states}_${startYear}-${endYear}.${format}`);
+        Elements.exportMessage.textContent = '';
+    } catch (err) {
+        console.error('Timeline export failed:', err);
+        Elements.exportMessage.textContent = 'Timeline export failed';
+    } finally {
+        AppState.isRecording = false;
+        Elements.recordBtn.disabled = AppState.nationwide;
+        Elements.exportMessage.classList.remove('progress');
+    }
+}
+
+/**
+ * Turn the image exports (PNG and timeline recording) off in the nationwide view
+ * They draw the loaded states' GeoJSON, which doesn't cover the ZIPs the tiles show
+ */
+function updateImageExports() {
+    const png = Elements.exportMenu.querySelector('[data-export="png"]');
+    png.disabled = AppState.nationwide;
+    png.title = AppState.nationwide ? 'Turn off the nationwide view to export a PNG' : '';
+
+    Elements.recordBtn.disabled = AppState.nationwide || AppState.isRecording;
+    Elements.recordBtn.title = AppState.nationwide ? 'Turn off the nationwide view to record a timeline' : '';
+}
+
+/**
+ * Run an export from the Export menu
+ * @param {string} format - 'csv', 'geojson' or 'png'
+ */
+function runExport(format) {
+    if (!AppState.currentGeoJSON) {
+        Elements.exportMessage.textContent = 'Add a state to export its data';
+        return;
+    }
+
+    if (format === 'png' && AppState.nationwide) {
+        Elements.exportMessage.textContent = 'Turn off the nationwide view to export a PNG';
+        return;
+    }
+
+    Elements.exportMessage.textContent = '';
+
+    if (format === 'csv') {
+        exportCSV();
+    } else if (format === 'geojson') {
+        exportGeoJSON();
+    } else if (format === 'png') {
+        exportPNG();
+    }
+}
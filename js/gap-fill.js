@@ -0,0 +1,148 @@
+/**
+ * Gap filling and jump detection for sparse ZIP histories
+ * Pure functions shared by the data worker (which fills every ZIP once) and the
+ * page (which flags year-over-year jumps for the ZIPs it shows).
+ *
+ * - Interior gaps are interpolated linearly between the nearest known years
+ * - Leading gaps are backcast from the median year-over-year trend of the ZIP's
+ *   3-digit prefix, falling back to its state and then the whole country
+ * - Trailing gaps and ZIPs without any value are left missing
+ *
+ * Needs metrics.js (YEAR_COUNT, parseYearValue).
+ */
+
+// A trend needs this many ZIPs with values in both years to be trusted
+const GAP_TREND_MIN_ZIPS = 5;
+
+/**
+ * Get the median year-over-year ratio of a group of ZIP rows
+ * @param {Array<Float32Array>} rows - ZIP rows with actual (unfilled) values
+ * @returns {Array<number|null>} Ratio from each year to the next (index 0 = 2000 to 2001),
+ *     null where fewer than GAP_TREND_MIN_ZIPS ZIPs have both years
+ */
+function getMedianTrend(rows) {
+    const trend = [];
+
+    for (let year = 2000; year < 2025; year++) {
+        const ratios = [];
+        rows.forEach(row => {
+            const from = parseYearValue(row, year);
+            const to = parseYearValue(row, year + 1);
+            if (from !== null && to !== null) ratios.push(to / from);
+        });
+
+        if (ratios.length < GAP_TREND_MIN_ZIPS) {
+            trend.push(null);
+            continue;
+        }
+
+        ratios.sort((a, b) => a - b);
+        const mid = Math.floor(ratios.length / 2);
+        trend.push(ratios.length % 2 ? ratios[mid] : (ratios[mid - 1] + ratios[mid]) / 2);
+    }
+
+    return trend;
+}
+
+/**
+ * Fill a ZIP row's interior and leading gaps
+ * @param {Float32Array} row - ZIP row with actual values (NaN when missing)
+ * @param {Array<Array<number|null>>} trends - Trends from getMedianTrend, most specific first
+ * @param {Float32Array} filled - Receives the filled row (NaN where still missing)
+ * @param {Uint8Array} estimated - Receives 1 for each estimated year
+ */
+function fillRowGaps(row, trends, filled, estimated) {
+    const known = [];
+    for (let i = 0; i < YEAR_COUNT; i++) {
+        filled[i] = row[i];
+        estimated[i] = 0;
+        if (parseYearValue(row, 2000 + i) !== null) known.push(i);
+    }
+    if (known.length === 0) return;
+
+    // Interior gaps: straight line between the known years on either side
+    for (let k = 1; k < known.length; k++) {
+        const from = known[k - 1];
+        const to = known[k];
+        for (let i = from + 1; i < to; i++) {
+            const t = (i - from) / (to - from);
+            filled[i] = row[from] + (row[to] - row[from]) * t;
+            estimated[i] = 1;
+        }
+    }
+
+    // Leading gaps: walk back from the first known year along the local trend
+    for (let i = known[0] - 1; i >= 0; i--) {
+        const trend = trends.find(candidate => candidate && candidate[i] !== null);
+        if (!trend) break;
+        filled[i] = filled[i + 1] / trend[i];
+        estimated[i] = 1;
+    }
+}
+
+/**
+ * Fill every ZIP's gaps, using prefix, state and national trends for backcasting
+ * @param {Array<string>} zips - ZIP codes in row order
+ * @param {Array<string>} states - State of each ZIP
+ * @param {Array<Float32Array>} rows - ZIP rows with actual values
+ * @returns {Object} { values, estimated } - filled matrix (YEAR_COUNT values per ZIP)
+ *     and a matching mask with 1 for each estimated value
+ */
+function fillPriceGaps(zips, states, rows) {
+    const groupRows = (getKey) => {
+        const groups = {};
+        rows.forEach((row, i) => {
+            const key = getKey(i);
+            (groups[key] = groups[key] || []).push(row);
+        });
+        return groups;
+    };
+
+    const prefixTrends = {};
+    const prefixGroups = groupRows(i => zips[i].substring(0, 3));
+    Object.keys(prefixGroups).forEach(key => {
+        prefixTrends[key] = getMedianTrend(prefixGroups[key]);
+    });
+
+    const stateTrends = {};
+    const stateGroups = groupRows(i => states[i]);
+    Object.keys(stateGroups).forEach(key => {
+        stateTrends[key] = getMedianTrend(stateGroups[key]);
+    });
+
+    const nationalTrend = getMedianTrend(rows);
+
+    const values = new Float32Array(rows.length * YEAR_COUNT);
+    const estimated = new Uint8Array(rows.length * YEAR_COUNT);
+
+    rows.forEach((row, i) => {
+        const offset = i * YEAR_COUNT;
+        fillRowGaps(
+            row,
+            [prefixTrends[zips[i].substring(0, 3)], stateTrends[states[i]], nationalTrend],
+            values.subarray(offset, offset + YEAR_COUNT),
+            estimated.subarray(offset, offset + YEAR_COUNT)
+        );
+    });
+
+    return { values, estimated };
+}
+
+/**
+ * Check a year's change from the year before against a threshold
+ * Only actual values are compared, never estimates
+ * @param {Float32Array} row - ZIP row with actual values
+ * @param {number} year - Year
+ * @param {number} threshold - Largest unflagged change, as a fraction (0.5 = 50%)
+ * @returns {number|null} The change as a fraction if it exceeds the threshold, otherwise null
+ */
+function findYearJump(row, year, threshold) {
+    if (year <= 2000) return null;
+
+    const previous = parseYearValue(row, year - 1);
+    const current = parseYearValue(row, year);
+    if (previous === null || current === null) return null;
+
+    const change = current / previous - 1;
+    return Math.abs(change) > threshold ? change : null;
+}
@@ -0,0 +1,165 @@
+/**
+ * Minimal animated GIF encoder
+ * Frames are quantized to a fixed 6x7x6 RGB cube (252 colors) and LZW-compressed
+ * one at a time, so a long timeline never holds more than one frame in memory
+ */
+
+// Levels per channel in the fixed palette (6 * 7 * 6 = 252 colors)
+const GIF_LEVELS = { r: 6, g: 7, b: 6 };
+
+/**
+ * Build the fixed 256-entry global color table
+ * @returns {Uint8Array} RGB triplets
+ */
+function buildGIFPalette() {
+    const palette = new Uint8Array(256 * 3);
+    let i = 0;
+    for (let r = 0; r < GIF_LEVELS.r; r++) {
+        for (let g = 0; g < GIF_LEVELS.g; g++) {
+            for (let b = 0; b < GIF_LEVELS.b; b++) {
+                palette[i++] = Math.round(r * 255 / (GIF_LEVELS.r - 1));
+                palette[i++] = Math.round(g * 255 / (GIF_LEVELS.g - 1));
+                palette[i++] = Math.round(b * 255 / (GIF_LEVELS.b - 1));
+            }
+        }
+    }
+    return palette;
+}
+
+/**
+ * Map RGBA pixels to palette indices
+ * @param {Uint8ClampedArray} data - ImageData pixels
+ * @returns {Uint8Array} One palette index per pixel
+ */
+function quantizeGIFFrame(data) {
+    const indices = new Uint8Array(data.length / 4);
+    const rMax = GIF_LEVELS.r - 1;
+    const gMax = GIF_LEVELS.g - 1;
+    const bMax = GIF_LEVELS.b - 1;
+
+    for (let p = 0, i = 0; i < indices.length; i++, p += 4) {
+        const r = Math.round(data[p] * rMax / 255);
+        const g = Math.round(data[p + 1] * gMax / 255);
+        const b = Math.round(data[p + 2] * bMax / 255);
+        indices[i] = (r * GIF_LEVELS.g + g) * GIF_LEVELS.b + b;
+    }
+    return indices;
+}
+
+/**
+ * LZW-compress palette indices into GIF image data sub-blocks
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} minCodeSize - LZW minimum code size (8 for a 256-color table)
+ * @returns {Uint8Array} Sub-blocks including the terminating zero-length block
+ */
+function lzwEncodeGIF(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    const bytes = [];
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = eoiCode + 1;
+    let table = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+
+        if (nextCode === 4096) {
+            // Table is full - start over
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = eoiCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+
+        prefix = k;
+    }
+
+    emit(prefix);
+    emit(eoiCode);
+    if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+    // Split into sub-blocks of at most 255 bytes
+    const blockCount = Math.ceil(bytes.length / 255);
+    const out = new Uint8Array(bytes.length + blockCount + 1);
+    let o = 0;
+    for (let i = 0; i < bytes.length; i += 255) {
+        const size = Math.min(255, bytes.length - i);
+        out[o++] = size;
+        for (let j = 0; j < size; j++) out[o++] = bytes[i + j];
+    }
+    out[o] = 0;
+    return out;
+}
+
+/**
+ * Create a looping animated GIF encoder
+ * @param {number} width - Frame width in px
+ * @param {number} height - Frame height in px
+ * @param {number} delayMs - Delay between frames
+ * @returns {{addFrame: Function, finish: Function}} Encoder - addFrame(imageData), finish() -> Blob
+ */
+function createGIFEncoder(width, height, delayMs) {
+    const parts = [];
+    const delay = Math.max(2, Math.round(delayMs / 10));  // GIF delays are in 1/100 s
+    const le16 = (n) => [n & 0xff, (n >> 8) & 0xff];
+
+    // Header, logical screen descriptor and global color table
+    parts.push(new Uint8Array([
+        0x47, 0x49, 0x46, 0x38, 0x39, 0x61,  // "GIF89a"
+        ...le16(width), ...le16(height),
+        0xf7, 0x00, 0x00                     // 256-color global table
+    ]));
+    parts.push(buildGIFPalette());
+
+    // NETSCAPE2.0 extension - loop forever
+    parts.push(new Uint8Array([
+        0x21, 0xff, 0x0b,
+        0x4e, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2e, 0x30,
+        0x03, 0x01, 0x00, 0x00, 0x00
+    ]));
+
+    return {
+        addFrame(imageData) {
+            parts.push(new Uint8Array([
+                0x21, 0xf9, 0x04, 0x04, ...le16(delay), 0x00, 0x00,    // Graphic control extension
+                0x2c, 0x00, 0x00, 0x00, 0x00,                          // Image descriptor
+                ...le16(width), ...le16(height), 0x00,
+                0x08                                                   // LZW minimum code size
+            ]));
+            parts.push(lzwEncodeGIF(quantizeGIFFrame(imageData.data), 8));
+        },
+
+        finish() {
+            parts.push(new Uint8Array([0x3b]));
+            return new Blob(parts, { type: 'image/gif' });
+        }
+    };
+}
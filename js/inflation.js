@@ -0,0 +1,87 @@
+/**
+ * Real dollar mode
+ * Restates every price in constant dollars of one year using the CPI_U table, so
+ * changes show real appreciation instead of inflation. The data worker restates
+ * its rows too, so colors, the legend, stats and national ranges all follow.
+ */
+
+/**
+ * Fill the real dollar year dropdown
+ */
+function populateDollarYears() {
+    for (let year = 2000; year <= 2025; year++) {
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = year;
+        Elements.dollarYear.appendChild(option);
+    }
+    Elements.dollarYear.value = AppState.dollarYear;
+}
+
+/**
+ * Set AppState.zhviData from the reported or gap-filled rows, in nominal or real dollars,
+ * and the uploaded values' ratios to them
+ */
+function applyPriceRows() {
+    const source = AppState.fillGaps ? AppState.filledData : AppState.actualData;
+    applyUserRatioRows();
+
+    if (!AppState.realDollars) {
+        AppState.zhviData = source;
+        return;
+    }
+
+    const rows = deflateRows(AppState.priceZips.map(zip => source[zip]), AppState.dollarYear);
+    AppState.zhviData = {};
+    AppState.priceZips.forEach((zip, i) => {
+        AppState.zhviData[zip] = rows[i];
+    });
+}
+
+/**
+ * Restate a nominal value from a year in the dollars the map shows
+ * @param {number} value - Value in the year's dollars
+ * @param {number} year - Year the value is in
+ * @returns {number} The value as-is in nominal mode, otherwise in AppState.dollarYear dollars
+ */
+function toDisplayDollars(value, year) {
+    return AppState.realDollars ? value * getInflationFactor(year, AppState.dollarYear) : value;
+}
+
+/**
+ * Describe the dollars the map shows
+ * @returns {string} e.g. "2025 dollars", or '' in nominal mode
+ */
+function getDollarLabel() {
+    return AppState.realDollars ? `${AppState.dollarYear} dollars` : '';
+}
+
+/**
+ * Switch between nominal and real dollars, or change the real dollar year
+ * @param {boolean} enabled - Restate prices in constant dollars
+ * @param {number} [dollarYear] - Year whose dollars to use
+ * @returns {Promise} Resolves once the map is re-colored
+ */
+async function setRealDollars(enabled, dollarYear = AppState.dollarYear) {
+    AppState.realDollars = enabled;
+    AppState.dollarYear = CPI_U[dollarYear] ? parseInt(dollarYear) : AppState.dollarYear;
+
+    Elements.dollarsNominal.classList.toggle('active', !enabled);
+    Elements.dollarsReal.classList.toggle('active', enabled);
+    Elements.dollarYearRow.style.display = enabled ? 'flex' : 'none';
+    Elements.dollarYear.value = AppState.dollarYear;
+
+    await requestData('dollars', { dollarYear: enabled ? AppState.dollarYear : null });
+
+    // Switched again while the worker was restating its rows
+    if (AppState.realDollars !== enabled) return;
+
+    applyPriceRows();
+    updateMaxAffordablePrice();
+    renderMortgageSummary();
+    renderLegend();
+    syncURL();
+    renderDetailPanel();
+    renderCompareTray();
+    await refreshLoadedStates();
+}
@@ -0,0 +1,387 @@
+/**
+ * Derived metrics for a single ZIP's price history
+ * Pure functions - they only read the ZIP row they are given
+ */
+
+// Housing crash window used for drawdown and recovery metrics
+const CRASH_WINDOW = { peakStart: 2006, peakEnd: 2007, troughEnd: 2012 };
+
+// Metrics the map can be colored by
+// Diverging metrics are centered on zero and use a PALETTES.diverging ramp
+// Uploaded metrics read a user's CSV (js/user-data.js), which sets their diverging and
+// yearIndependent flags to fit the values
+const METRICS = {
+    price: { label: 'Median Home Value', diverging: false },
+    change: { label: 'Change Since {base}', diverging: true, usesBaseYear: true },
+    cagr: { label: 'Annual Growth Since {base}', diverging: true, usesBaseYear: true },
+    drawdown: {
+        label: `Drawdown From ${CRASH_WINDOW.peakStart}–${CRASH_WINDOW.peakEnd} Peak`,
+        diverging: false,
+        reversed: true,  // Deeper drawdowns get the "hot" end of the palette
+        yearIndependent: true
+    },
+    recovery: { label: 'Years to Recover Pre-Crash Peak', diverging: false, yearIndependent: true },
+    upload: { label: '{upload}', diverging: false, uploaded: true },
+    ratio: { label: 'Home Value to {upload}', diverging: false, uploaded: true }
+};
+
+// Years in the data: a ZIP row holds one value per year from 2000 to 2025
+const YEAR_COUNT = 26;
+
+// Year-independent metrics per ZIP row, computed on first use
+const staticMetricCache = new WeakMap();
+
+/**
+ * Split a ZIP x year matrix into one row per ZIP
+ * The rows are views, so they share the matrix's memory
+ * @param {Float32Array} values - YEAR_COUNT values per ZIP, NaN when missing
+ * @returns {Array<Float32Array>} Rows in matrix order
+ */
+function splitYearRows(values) {
+    const rows = [];
+    for (let offset = 0; offset < values.length; offset += YEAR_COUNT) {
+        rows.push(values.subarray(offset, offset + YEAR_COUNT));
+    }
+    return rows;
+}
+
+/**
+ * Get the factor that restates a year's dollars in another year's dollars
+ * @param {number} year - Year the value is in
+ * @param {number} dollarYear - Year whose dollars to restate it in
+ * @returns {number} Multiplier from CPI_U
+ */
+function getInflationFactor(year, dollarYear) {
+    return CPI_U[dollarYear] / CPI_U[year];
+}
+
+/**
+ * Restate ZIP rows in constant dollars
+ * @param {Array<Float32Array>} rows - ZIP rows in nominal dollars
+ * @param {number} dollarYear - Year whose dollars to restate them in
+ * @returns {Array<Float32Array>} New rows, views into one new matrix
+ */
+function deflateRows(rows, dollarYear) {
+    const factors = [];
+    for (let i = 0; i < YEAR_COUNT; i++) {
+        factors.push(getInflationFactor(2000 + i, dollarYear));
+    }
+
+    const values = new Float32Array(rows.length * YEAR_COUNT);
+    rows.forEach((row, r) => {
+        for (let i = 0; i < YEAR_COUNT; i++) {
+            values[r * YEAR_COUNT + i] = row[i] * factors[i];  // NaN stays NaN
+        }
+    });
+
+    return splitYearRows(values);
+}
+
+/**
+ * Divide a ZIP's prices by its uploaded values, year by year
+ * @param {Float32Array|null} priceRow - ZIP row of prices, null when the ZIP has none
+ * @param {Float32Array} valueRow - ZIP row of uploaded values
+ * @returns {Float32Array} Ratios, NaN where the price is missing or the value isn't positive
+ */
+function divideYearRows(priceRow, valueRow) {
+    const ratios = new Float32Array(YEAR_COUNT).fill(NaN);
+    if (!priceRow) return ratios;
+
+    for (let i = 0; i < YEAR_COUNT; i++) {
+        if (priceRow[i] > 0 && valueRow[i] > 0) {
+            ratios[i] = priceRow[i] / valueRow[i];
+        }
+    }
+    return ratios;
+}
+
+/**
+ * Read a single year's value from a ZIP row
+ * @param {Float32Array} row - ZIP row from AppState.zhviData
+ * @param {number} year - Year
+ * @returns {number|null} Positive value or null if missing
+ */
+function parseYearValue(row, year) {
+    const value = row ? row[year - 2000] : NaN;
+    return value > 0 ? value : null;
+}
+
+/**
+ * Get a ZIP's price history for every year
+ * @param {Float32Array} row - ZIP row from AppState.zhviData
+ * @returns {Array<{year: number, value: number|null}>} One entry per year, null when missing
+ */
+function getPriceHistory(row) {
+    const history = [];
+    for (let year = 2000; year <= 2025; year++) {
+        history.push({ year, value: parseYearValue(row, year) });
+    }
+    return history;
+}
+
+/**
+ * Get the value recorded for a year
+ * @param {Array} history - Price history from getPriceHistory
+ * @param {number} year - Year to look up
+ * @returns {number|null} Value or null if missing
+ */
+function getHistoryValue(history, year) {
+    const point = history.find(p => p.year === year);
+    return point ? point.value : null;
+}
+
+/**
+ * Calculate the year-over-year change for a year
+ * @param {Array} history - Price history from getPriceHistory
+ * @param {number} year - Year to compare against the previous one
+ * @returns {number|null} Percent change or null if either year is missing
+ */
+function calculateYoYChange(history, year) {
+    const current = getHistoryValue(history, year);
+    const previous = getHistoryValue(history, year - 1);
+    if (!current || !previous) return null;
+    return (current - previous) / previous * 100;
+}
+
+/**
+ * Find the highest value in the history
+ * @param {Array} history - Price history from getPriceHistory
+ * @returns {{year: number, value: number}|null} Peak point or null if no data
+ */
+function calculatePeak(history) {
+    return history.reduce((peak, point) => {
+        if (point.value === null) return peak;
+        return !peak || point.value > peak.value ? point : peak;
+    }, null);
+}
+
+/**
+ * Calculate the peak-to-trough drawdown around the housing crash
+ * The peak is the highest value in the crash peak years; the trough is the
+ * lowest value after it, up to the end of the crash window
+ * @param {Array} history - Price history from getPriceHistory
+ * @returns {Object|null} { peakYear, peak, troughYear, trough, percent } or null if not enough data
+ */
+function calculateCrashDrawdown(history) {
+    const peak = calculatePeak(history.filter(p =>
+        p.year >= CRASH_WINDOW.peakStart && p.year <= CRASH_WINDOW.peakEnd
+    ));
+    if (!peak) return null;
+
+    const trough = history
+        .filter(p => p.year > peak.year && p.year <= CRASH_WINDOW.troughEnd && p.value !== null)
+        .reduce((low, point) => (!low || point.value < low.value ? point : low), null);
+    if (!trough) return null;
+
+    return {
+        peakYear: peak.year,
+        peak: peak.value,
+        troughYear: trough.year,
+        trough: trough.value,
+        percent: Math.min(0, (trough.value - peak.value) / peak.value * 100)
+    };
+}
+
+/**
+ * Calculate the compound annual growth rate between two years
+ * Defaults to the first and last years with data
+ * @param {Array} history - Price history from getPriceHistory
+ * @param {number} [startYear] - First year of the window
+ * @param {number} [endYear] - Last year of the window
+ * @returns {Object|null} { startYear, endYear, rate } with rate in percent, or null
+ */
+function calculateCAGR(history, startYear, endYear) {
+    const points = history.filter(p =>
+        p.value !== null &&
+        (startYear === undefined || p.year >= startYear) &&
+        (endYear === undefined || p.year <= endYear)
+    );
+    if (points.length < 2) return null;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const years = last.year - first.year;
+
+    return {
+        startYear: first.year,
+        endYear: last.year,
+        rate: (Math.pow(last.value / first.value, 1 / years) - 1) * 100
+    };
+}
+
+/**
+ * Calculate how many years after the pre-crash peak values first recovered to it
+ * @param {Array} history - Price history from getPriceHistory
+ * @returns {number|null} Years from peak to recovery, 0 if there was no drawdown,
+ *     null if the ZIP has not recovered or lacks data
+ */
+function calculateRecoveryYears(history) {
+    const drawdown = calculateCrashDrawdown(history);
+    if (!drawdown) return null;
+    if (drawdown.percent === 0) return 0;
+
+    const recovered = history.find(p =>
+        p.year > drawdown.troughYear && p.value !== null && p.value >= drawdown.peak
+    );
+    return recovered ? recovered.year - drawdown.peakYear : null;
+}
+
+/**
+ * Get the year-independent metrics for a ZIP row (cached)
+ * @param {Float32Array} row - ZIP row from AppState.zhviData
+ * @returns {{drawdown: number|null, recovery: number|null, unrecovered: boolean}} Drawdown
+ *     percent, recovery years, and whether the ZIP fell but hasn't regained its peak (its
+ *     recovery is null, like a ZIP without data)
+ */
+function getStaticMetrics(row) {
+    let cached = staticMetricCache.get(row);
+    if (!cached) {
+        const history = getPriceHistory(row);
+        const drawdown = calculateCrashDrawdown(history);
+        const recovery = calculateRecoveryYears(history);
+        cached = {
+            drawdown: drawdown ? drawdown.percent : null,
+            recovery,
+            unrecovered: Boolean(drawdown && drawdown.percent < 0 && recovery === null)
+        };
+        staticMetricCache.set(row, cached);
+    }
+    return cached;
+}
+
+/**
+ * Compute a metric's value for a row and year
+ * @param {string} metric - Key of METRICS
+ * @param {Float32Array} row - ZIP row from AppState.zhviData, or of the uploaded values
+ *     or ratios for uploaded metrics
+ * @param {number} year - Year being displayed
+ * @param {number} baseYear - Base year for change and growth metrics
+ * @returns {number|null} Metric value or null if it cannot be computed
+ */
+function getMetricValue(metric, row, year, baseYear) {
+    if (!row) return null;
+
+    switch (metric) {
+        case 'change': {
+            const base = parseYearValue(row, baseYear);
+            const current = parseYearValue(row, year);
+            if (!base || !current) return null;
+            return (current - base) / base * 100;
+        }
+        case 'cagr': {
+            if (year <= baseYear) return null;
+            const base = parseYearValue(row, baseYear);
+            const current = parseYearValue(row, year);
+            if (!base || !current) return null;
+            return (Math.pow(current / base, 1 / (year - baseYear)) - 1) * 100;
+        }
+        case 'drawdown':
+            return getStaticMetrics(row).drawdown;
+        case 'recovery':
+            return getStaticMetrics(row).recovery;
+        case 'upload':
+        case 'ratio': {
+            // Rows of uploaded values or price ratios, which may be zero or negative
+            const value = row[year - 2000];
+            return Number.isFinite(value) ? value : null;
+        }
+        default:
+            return parseYearValue(row, year);
+    }
+}
+
+/**
+ * Compute a metric's value at a fractional year by blending the years around it
+ * If only one of the two years has a value, the nearer year's value is used
+ * @param {string} metric - Key of METRICS
+ * @param {Float32Array} row - ZIP row from AppState.zhviData
+ * @param {number} year - Year being displayed, e.g. 2010.25
+ * @param {number} baseYear - Base year for change and growth metrics
+ * @returns {number|null} Metric value or null if it cannot be computed
+ */
+function getInterpolatedMetricValue(metric, row, year, baseYear) {
+    const fromYear = Math.floor(year);
+    const t = year - fromYear;
+    if (t === 0) return getMetricValue(metric, row, year, baseYear);
+
+    const from = getMetricValue(metric, row, fromYear, baseYear);
+    const to = getMetricValue(metric, row, fromYear + 1, baseYear);
+
+    if (from === null || to === null) {
+        return t < 0.5 ? from : to;
+    }
+    return from + (to - from) * t;
+}
+
+/**
+ * Summarize a set of metric values into a color range and stats
+ * The color range spans the 5th-95th percentile; diverging ranges are
+ * made symmetric around zero so the palette midpoint means "no change"
+ * @param {number[]} values - Metric values (sorted in place)
+ * @param {boolean} diverging - Whether the metric is diverging
+ * @returns {Object|null} { min, max, median, lowest, highest, count } or null if empty
+ */
+function summarizeValues(values, diverging) {
+    if (values.length === 0) return null;
+
+    values.sort((a, b) => a - b);
+
+    let min = values[Math.floor(values.length * 0.05)];
+    let max = values[Math.floor(values.length * 0.95)];
+
+    if (diverging) {
+        const extent = Math.max(Math.abs(min), Math.abs(max)) || 1;
+        min = -extent;
+        max = extent;
+    } else if (min === max) {
+        max = min + 1;
+    }
+
+    return {
+        min,
+        max,
+        median: values[Math.floor(values.length * 0.5)],
+        lowest: values[0],
+        highest: values[values.length - 1],
+        count: values.length
+    };
+}
+
+/**
+ * Calculate the median of a metric for each group of rows, e.g. every ZIP in a state
+ * @param {Object<string, Array>} groups - ZIP rows keyed by group
+ * @param {string} metric - Key of METRICS
+ * @param {number} year - Year being displayed
+ * @param {number} baseYear - Base year for change and growth metrics
+ * @returns {Object<string, {median: number, count: number}|null>} Median and ZIP count per group,
+ *     null if no ZIP in the group has a value
+ */
+function calculateGroupMedians(groups, metric, year, baseYear) {
+    const medians = {};
+
+    Object.entries(groups).forEach(([key, rows]) => {
+        const values = [];
+        rows.forEach(row => {
+            const value = getMetricValue(metric, row, year, baseYear);
+            if (value !== null) {
+                values.push(value);
+            }
+        });
+
+        const summary = summarizeValues(values, false);
+        medians[key] = summary ? { median: summary.median, count: summary.count } : null;
+    });
+
+    return medians;
+}
+
+/**
+ * Format a percentage with an explicit sign
+ * @param {number} value - Percent value
+ * @param {number} digits - Decimal places
+ * @returns {string} Formatted percentage
+ */
+function formatPercent(value, digits = 1) {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
+}
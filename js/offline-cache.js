@@ -0,0 +1,111 @@
+/**
+ * IndexedDB store for the data files (price data and GeoJSON)
+ * Shared by the page (to list what's saved) and sw.js (to save and serve files).
+ * Entries are keyed by data version and file path, so bumping DATA_VERSION
+ * makes every client fetch fresh copies.
+ */
+
+const OFFLINE_DB_NAME = 'zhvi-offline';
+const OFFLINE_STORE = 'files';
+
+/**
+ * Open the offline database, creating the store on first use
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openOfflineDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OFFLINE_STORE, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a request against the files store and resolve once its transaction completes
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - Receives the object store, may return an IDBRequest
+ * @returns {Promise<*>} Result of the returned request
+ */
+async function runOfflineTransaction(mode, run) {
+    const db = await openOfflineDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(OFFLINE_STORE, mode);
+        const request = run(tx.objectStore(OFFLINE_STORE));
+
+        tx.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        tx.onerror = tx.onabort = () => {
+            db.close();
+            reject(tx.error);
+        };
+    });
+}
+
+/**
+ * Build the store key for a file
+ * @param {string} path - File path relative to the app, e.g. "geojsons/ri_....json"
+ * @param {string} version - Data version
+ * @returns {string} Store key
+ */
+function getOfflineKey(path, version) {
+    return `${version}:${path}`;
+}
+
+/**
+ * Get a saved file
+ * @param {string} path - File path relative to the app
+ * @param {string} version - Data version
+ * @returns {Promise<Object|undefined>} { key, path, version, blob, size, savedAt } or undefined
+ */
+function getOfflineFile(path, version) {
+    return runOfflineTransaction('readonly', store => store.get(getOfflineKey(path, version)));
+}
+
+/**
+ * Save a file
+ * @param {string} path - File path relative to the app
+ * @param {string} version - Data version
+ * @param {Blob} blob - File contents
+ * @returns {Promise} Resolves once saved
+ */
+function putOfflineFile(path, version, blob) {
+    return runOfflineTransaction('readwrite', store => store.put({
+        key: getOfflineKey(path, version),
+        path,
+        version,
+        blob,
+        size: blob.size,
+        savedAt: Date.now()
+    }));
+}
+
+/**
+ * List the paths saved for a data version
+ * @param {string} version - Data version
+ * @returns {Promise<Array<string>>} File paths
+ */
+async function listOfflineFiles(version) {
+    const prefix = getOfflineKey('', version);
+    const keys = await runOfflineTransaction('readonly', store => store.getAllKeys());
+    return keys.filter(key => key.startsWith(prefix)).map(key => key.slice(prefix.length));
+}
+
+/**
+ * Delete saved files, optionally keeping one data version
+ * @param {string} [keepVersion] - Version to keep; omit to delete everything
+ * @returns {Promise} Resolves once deleted
+ */
+async function deleteOfflineFiles(keepVersion) {
+    const keys = await runOfflineTransaction('readonly', store => store.getAllKeys());
+    const keep = keepVersion === undefined ? null : getOfflineKey('', keepVersion);
+
+    return runOfflineTransaction('readwrite', store => {
+        keys.filter(key => !keep || !key.startsWith(keep)).forEach(key => store.delete(key));
+    });
+}
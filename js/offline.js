@@ -0,0 +1,131 @@
+/**
+ * Offline support
+ * Registers the service worker (sw.js) and shows which data files are saved
+ * for offline use, with a button to save every state at once
+ */
+
+/**
+ * Check whether this page can use a service worker
+ * @returns {boolean} True when served over http(s) in a browser that supports them
+ */
+function isOfflineSupported() {
+    return 'serviceWorker' in navigator && window.isSecureContext && location.protocol.startsWith('http');
+}
+
+/**
+ * Register the service worker and keep the offline status up to date
+ */
+function initOffline() {
+    if (!isOfflineSupported()) {
+        Elements.offlineStatus.textContent = 'Offline use needs the app to be served over http(s)';
+        Elements.offlineDownload.disabled = true;
+        Elements.offlineClear.disabled = true;
+        return;
+    }
+
+    navigator.serviceWorker.register(`sw.js?v=${encodeURIComponent(DATA_VERSION)}`).catch(err => {
+        console.warn('Service worker registration failed:', err);
+    });
+
+    // The worker reports each file it saves
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'offline-saved') {
+            clearTimeout(AppState.offlineStatusTimer);
+            AppState.offlineStatusTimer = setTimeout(renderOfflineStatus, 300);
+        }
+    });
+
+    renderOfflineStatus();
+}
+
+/**
+ * Get the states whose geometry is saved at every level of detail for the current data version
+ * @returns {Promise<Object>} { states: abbreviations, hasPriceData }
+ */
+async function getOfflineStates() {
+    const saved = new Set(await listOfflineFiles(DATA_VERSION));
+    return {
+        states: Object.keys(STATES).filter(abbr => GEOMETRY_LEVELS.every(level => {
+            return saved.has(getStateGeometryPath(abbr, level.name));
+        })),
+        hasPriceData: saved.has(PRICE_DATA_FILE)
+    };
+}
+
+/**
+ * Show the saved states in the status line and mark them in the state dropdown
+ */
+async function renderOfflineStatus() {
+    if (AppState.isDownloadingOffline) return;
+
+    let offline;
+    try {
+        offline = await getOfflineStates();
+    } catch (err) {
+        Elements.offlineStatus.textContent = 'Offline storage is unavailable in this browser';
+        return;
+    }
+
+    AppState.offlineStates = offline.states;
+
+    Array.from(Elements.stateSelect.options).forEach(option => {
+        if (option.value) {
+            const isSaved = offline.states.includes(option.value);
+            option.textContent = STATES[option.value].name + (isSaved ? ' ✓' : '');
+        }
+    });
+
+    const total = Object.keys(STATES).length;
+    Elements.offlineStatus.innerHTML = offline.hasPriceData
+        ? `Price data and <strong>${offline.states.length}</strong> of ${total} states saved for offline use (✓)`
+        : 'Nothing saved for offline use yet';
+    Elements.offlineDownload.disabled = offline.states.length === total;
+}
+
+/**
+ * Save every state's geometry, at every level of detail, for offline use
+ * Files are fetched through the service worker, which stores them as they arrive
+ */
+async function downloadAllStates() {
+    if (!navigator.serviceWorker.controller) {
+        Elements.offlineStatus.textContent = 'Offline support is still starting - try again in a moment';
+        return;
+    }
+
+    const missing = Object.keys(STATES).filter(abbr => !AppState.offlineStates.includes(abbr));
+    let failed = 0;
+
+    AppState.isDownloadingOffline = true;
+    Elements.offlineDownload.disabled = true;
+
+    try {
+        for (let i = 0; i < missing.length; i++) {
+            const state = STATES[missing[i]];
+            Elements.offlineStatus.textContent = `Saving ${state.name} (${i + 1} of ${missing.length})...`;
+            try {
+                for (const level of GEOMETRY_LEVELS) {
+                    const response = await fetch(getStateGeometryPath(missing[i], level.name));
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    await response.blob();  // Read to the end so the worker stores the whole file
+                }
+            } catch (err) {
+                console.warn(`Could not save ${state.name} for offline use:`, err);
+                failed++;
+            }
+        }
+    } finally {
+        AppState.isDownloadingOffline = false;
+        await renderOfflineStatus();
+        if (failed > 0) {
+            Elements.offlineStatus.textContent += ` - ${failed} failed, try again when online`;
+        }
+    }
+}
+
+/**
+ * Delete every saved data file (they will be saved again as they are used)
+ */
+async function clearOfflineData() {
+    await deleteOfflineFiles();
+    renderOfflineStatus();
+}
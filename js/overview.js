@@ -0,0 +1,198 @@
+/**
+ * National overview layer
+ * Colors each state - or each 3-digit ZIP prefix when zoomed in - by the median of
+ * its ZIP codes on the national scale, using the bundled boundaries in geojsons/overview
+ * (built by scripts/build-overview.js). Clicking an area loads that state's ZIP codes.
+ * The medians are computed by the data worker (js/data-worker.js).
+ */
+
+// Overview levels: bundled boundary file and the property holding each area's key
+const OVERVIEW_LEVELS = {
+    states: { file: 'geojsons/overview/states.min.json', key: 'STATE' },
+    zip3: { file: 'geojsons/overview/zip3.min.json', key: 'ZIP3' }
+};
+
+// Switch from state to ZIP prefix aggregates at this zoom
+const OVERVIEW_ZIP3_ZOOM = 6;
+
+// In-flight or finished boundary requests per level
+const overviewRequests = {};
+
+/**
+ * Get the state an overview area belongs to
+ * @param {string} level - 'states' or 'zip3'
+ * @param {string} key - State abbreviation or ZIP prefix
+ * @returns {string|undefined} State abbreviation
+ */
+function getOverviewState(level, key) {
+    return level === 'states' ? key : ZIP_STATE_MAP[key];
+}
+
+/**
+ * Style an overview area
+ * States with their ZIP codes loaded are hidden so the ZIP layer shows through
+ * @param {Object} feature - Overview GeoJSON feature
+ * @param {string} level - 'states' or 'zip3'
+ * @param {Object} medians - Medians keyed by area
+ * @param {Object} classes - National classes, see getClassBreaks
+ * @returns {Object} Leaflet style object
+ */
+function styleOverviewArea(feature, level, medians, classes) {
+    const key = feature.properties[OVERVIEW_LEVELS[level].key];
+    const state = getOverviewState(level, key);
+
+    if (AppState.stateLayers[state]) {
+        return { stroke: false, fill: false, interactive: false };
+    }
+
+    const entry = medians[key];
+
+    return {
+        fillColor: getColor(entry ? entry.median : null, classes),
+        fillOpacity: 0.55,
+        color: '#1a1a2e',
+        weight: level === 'states' ? 1 : 0.5,
+        opacity: 0.8,
+        stroke: true,
+        fill: true,
+        interactive: Boolean(STATES[state])
+    };
+}
+
+/**
+ * Build the tooltip for an overview area
+ * @param {string} level - 'states' or 'zip3'
+ * @param {Object} feature - Overview GeoJSON feature
+ * @returns {string} Tooltip HTML
+ */
+function getOverviewTooltip(level, feature) {
+    const key = feature.properties[OVERVIEW_LEVELS[level].key];
+    const state = STATES[getOverviewState(level, key)];
+    const applied = AppState.overviewMedians;
+    const entry = applied && applied.level === level ? applied.medians[key] : null;
+
+    const name = level === 'states' ? state.name : `ZIP ${key}xx, ${state.name}`;
+    const value = entry ? formatMetricValue(entry.median) : 'No data';
+    const count = entry ? `Median of ${entry.count} ZIPs · ` : '';
+
+    return `<strong>${name}</strong><br>${value}<br><span class="overview-tooltip-hint">${count}Click to load ZIP codes</span>`;
+}
+
+/**
+ * Fetch an overview level's boundaries and build its layer (once)
+ * @param {string} level - 'states' or 'zip3'
+ * @returns {Promise<Object|null>} Leaflet GeoJSON layer, or null if the boundaries failed to load
+ */
+function loadOverviewLayer(level) {
+    if (!overviewRequests[level]) {
+        overviewRequests[level] = fetch(OVERVIEW_LEVELS[level].file)
+            .then(response => response.json())
+            .then(geojson => {
+                const layer = L.geoJSON(geojson, {
+                    style: () => ({ stroke: false, fill: false }),  // Hidden until the medians arrive
+                    onEachFeature: (feature, areaLayer) => {
+                        areaLayer.bindTooltip(() => getOverviewTooltip(level, feature), {
+                            sticky: true,
+                            className: 'overview-tooltip'
+                        });
+                        areaLayer.on({
+                            mouseover: () => areaLayer.setStyle({ weight: 2, color: '#ffffff' }),
+                            mouseout: () => {
+                                const applied = AppState.overviewMedians;
+                                if (applied && applied.level === level) {
+                                    areaLayer.setStyle(styleOverviewArea(feature, level, applied.medians, applied.classes));
+                                }
+                            },
+                            click: () => {
+                                const key = feature.properties[OVERVIEW_LEVELS[level].key];
+                                renderState(getOverviewState(level, key));
+                            }
+                        });
+                    }
+                });
+                AppState.overviewLayers[level] = layer;
+                return layer;
+            })
+            .catch(err => {
+                console.error('Failed to load overview boundaries:', err);
+                delete overviewRequests[level];
+                return null;
+            });
+    }
+    return overviewRequests[level];
+}
+
+/**
+ * Show the overview level for the current zoom (state or ZIP prefix aggregates)
+ */
+async function updateOverviewLevel() {
+    if (AppState.nationwide) return;  // The vector tiles replace the overview
+
+    const level = AppState.map.getZoom() >= OVERVIEW_ZIP3_ZOOM ? 'zip3' : 'states';
+    if (level === AppState.overviewLevel) return;
+    AppState.overviewLevel = level;
+
+    const layer = await loadOverviewLayer(level);
+    if (!layer) {
+        // Try again on the next zoom
+        if (AppState.overviewLevel === level) AppState.overviewLevel = null;
+        return;
+    }
+    if (AppState.overviewLevel !== level || AppState.nationwide) return;  // Zoom or view changed while loading
+
+    Object.values(AppState.overviewLayers).forEach(other => {
+        if (other !== layer) {
+            AppState.map.removeLayer(other);
+        }
+    });
+
+    // Keep the overview under any loaded ZIP layers
+    layer.addTo(AppState.map);
+    layer.bringToBack();
+    refreshOverview();
+}
+
+/**
+ * Re-color the overview for the displayed year and metric
+ * With no states loaded, the legend shows the national classes the overview uses
+ * @returns {Promise} Resolves once re-colored, or skipped for a newer request
+ */
+async function refreshOverview() {
+    const level = AppState.overviewLevel;
+    const layer = AppState.overviewLayers[level];
+    if (!layer || !AppState.map.hasLayer(layer)) return;
+
+    let result;
+    try {
+        result = await requestLatestData('overview', 'medians', {
+            level,
+            metric: AppState.metric,
+            baseYear: AppState.metricBaseYear,
+            year: getDisplayYear(),
+            classification: getClassification()
+        });
+    } catch (err) {
+        console.error('Failed to color the overview:', err);
+        Elements.legendNote.textContent = `Could not color the overview: ${err.message}`;
+        return;
+    }
+    if (!result || AppState.overviewLevel !== level) return;  // Replaced, or zoom changed
+
+    const { medians, classes } = result;
+    AppState.overviewMedians = { level, medians, classes };
+
+    layer.setStyle(feature => styleOverviewArea(feature, level, medians, classes));
+
+    if (!AppState.currentGeoJSON) {
+        renderLegend(classes);
+    }
+}
+
+/**
+ * Set up the overview once the price data is loaded
+ * @returns {Promise} Resolves once the first level is shown
+ */
+function initOverview() {
+    AppState.map.on('zoomend', updateOverviewLevel);
+    return updateOverviewLevel();
+}
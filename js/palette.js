@@ -0,0 +1,32 @@
+/**
+ * Palette colors
+ * Shared by the page and js/data-worker.js; js/classify.js picks a value's color
+ */
+
+// Fill for areas without data
+const NO_DATA_COLOR = '#6b7280';
+
+// Fill for ZIPs that haven't regained their pre-crash peak (recovery metric)
+const UNRECOVERED_COLOR = '#7f1d1d';
+
+/**
+ * Get a color at any position along a palette, blending neighboring steps
+ * @param {Array<string>} palette - Hex colors, low to high
+ * @param {number} position - 0 to 1 (clamped)
+ * @returns {string} Hex color
+ */
+function blendPaletteColor(palette, position) {
+    const scaled = Math.min(Math.max(position, 0), 1) * (palette.length - 1);
+    const index = Math.min(Math.floor(scaled), palette.length - 2);
+    const t = scaled - index;
+
+    const from = parseInt(palette[index].slice(1), 16);
+    const to = parseInt(palette[index + 1].slice(1), 16);
+    const channel = (shift) => {
+        const a = (from >> shift) & 0xff;
+        const b = (to >> shift) & 0xff;
+        return Math.round(a + (b - a) * t);
+    };
+
+    return '#' + ((channel(16) << 16) | (channel(8) << 8) | channel(0)).toString(16).padStart(6, '0');
+}
@@ -0,0 +1,595 @@
+/**
+ * Custom regions
+ * Draw a rectangle, polygon or freehand lasso on the map, or click ZIPs one at a time,
+ * to select ZIPs in the loaded states. Regions shows the selection's median, lowest
+ * and highest value of the map metric and its median price in every year. Named
+ * regions are saved in localStorage and can be exported and imported as GeoJSON.
+ *
+ * A ZIP is in a drawn region when the center of its largest polygon is inside it.
+ */
+
+// localStorage key for the saved regions
+const REGIONS_STORAGE_KEY = 'zhvi_regions';
+
+// Draw tools, in the order of their buttons
+const REGION_DRAW_MODES = {
+    rectangle: 'Rectangle',
+    polygon: 'Polygon',
+    lasso: 'Lasso',
+    click: 'Click ZIPs'
+};
+
+// Outline of the ZIPs in the current region, and of the shape it was drawn with
+const REGION_OUTLINE = { color: '#22d3ee', weight: 2, opacity: 1 };
+const REGION_SHAPE_STYLE = { color: '#22d3ee', weight: 2, dashArray: '6 4', fill: false, interactive: false };
+
+/**
+ * Read the saved regions into AppState
+ */
+function loadSavedRegions() {
+    let saved = [];
+    try {
+        saved = JSON.parse(localStorage.getItem(REGIONS_STORAGE_KEY)) || [];
+    } catch (err) {
+        console.warn('Ignoring saved regions:', err);
+    }
+
+    AppState.savedRegions = Array.isArray(saved)
+        ? saved.filter(region => region && typeof region.name === 'string' && Array.isArray(region.zips))
+        : [];
+}
+
+/**
+ * Write the saved regions to localStorage
+ * When storage is full or blocked the regions are kept for this visit only, and the
+ * hint says so - call it after rendering the controls, which reset the hint
+ * @returns {boolean} True when the regions were stored
+ */
+function storeSavedRegions() {
+    try {
+        localStorage.setItem(REGIONS_STORAGE_KEY, JSON.stringify(AppState.savedRegions));
+        return true;
+    } catch (err) {
+        console.warn('Could not store saved regions:', err);
+        Elements.regionHint.textContent = 'Could not save regions in this browser (storage full or blocked) - they last until the page is closed';
+        return false;
+    }
+}
+
+/**
+ * Turn a draw tool on, or off when it's already on
+ * Rectangle and lasso draw by dragging, so map panning is off while they're active
+ * @param {string|null} mode - Key of REGION_DRAW_MODES, or null to stop drawing
+ */
+function setDrawMode(mode) {
+    cancelDrawing();
+
+    AppState.drawMode = mode && mode !== AppState.drawMode && REGION_DRAW_MODES[mode] ? mode : null;
+
+    const map = AppState.map;
+    const dragging = AppState.drawMode === 'rectangle' || AppState.drawMode === 'lasso';
+    if (dragging) map.dragging.disable();
+    else map.dragging.enable();
+    if (AppState.drawMode === 'polygon') map.doubleClickZoom.disable();
+    else map.doubleClickZoom.enable();
+    map.getContainer().classList.toggle('drawing-region', Boolean(AppState.drawMode));
+
+    // Clicking ZIPs starts a new region unless one is already being clicked together
+    if (AppState.drawMode === 'click' && (!AppState.region || AppState.region.geometry)) {
+        setRegion({ name: '', zips: [], geometry: null });
+    }
+
+    renderRegionControls();
+}
+
+/**
+ * Start a rectangle or lasso where the mouse is pressed
+ * @param {Object} e - Leaflet mouse event
+ */
+function handleDrawStart(e) {
+    const mode = AppState.drawMode;
+    if (mode !== 'rectangle' && mode !== 'lasso') return;
+
+    const layer = mode === 'rectangle'
+        ? L.rectangle(L.latLngBounds(e.latlng, e.latlng), REGION_SHAPE_STYLE)
+        : L.polygon([e.latlng], REGION_SHAPE_STYLE);
+    AppState.drawing = { start: e.latlng, points: [e.latlng], layer: layer.addTo(AppState.map) };
+}
+
+/**
+ * Grow the shape being drawn as the mouse moves
+ * @param {Object} e - Leaflet mouse event
+ */
+function handleDrawMove(e) {
+    const drawing = AppState.drawing;
+    if (!drawing) return;
+
+    if (AppState.drawMode === 'rectangle') {
+        drawing.layer.setBounds(L.latLngBounds(drawing.start, e.latlng));
+    } else if (AppState.drawMode === 'lasso') {
+        drawing.points.push(e.latlng);
+        drawing.layer.setLatLngs(drawing.points);
+    } else {
+        // Polygon: preview the edge to the mouse
+        drawing.layer.setLatLngs([...drawing.points, e.latlng]);
+    }
+}
+
+/**
+ * Finish a rectangle or lasso when the mouse is released
+ */
+function handleDrawEnd() {
+    const drawing = AppState.drawing;
+    if (!drawing || AppState.drawMode === 'polygon') return;
+
+    const points = AppState.drawMode === 'rectangle'
+        ? drawing.layer.getLatLngs()[0]
+        : drawing.points;
+    finishDrawing(points);
+}
+
+/**
+ * Add a polygon corner where the map is clicked
+ * @param {Object} e - Leaflet mouse event
+ */
+function handleDrawClick(e) {
+    if (AppState.drawMode !== 'polygon') return;
+
+    if (!AppState.drawing) {
+        AppState.drawing = { points: [], layer: L.polygon([], REGION_SHAPE_STYLE).addTo(AppState.map) };
+    }
+    AppState.drawing.points.push(e.latlng);
+    AppState.drawing.layer.setLatLngs(AppState.drawing.points);
+}
+
+/**
+ * Close the polygon on a double-click
+ */
+function handleDrawDoubleClick() {
+    if (AppState.drawMode !== 'polygon' || !AppState.drawing) return;
+
+    // A double-click also fires two clicks on the same spot
+    const points = AppState.drawing.points.filter((point, i, all) => i === 0 || !point.equals(all[i - 1]));
+    finishDrawing(points);
+}
+
+/**
+ * Turn a finished shape into the current region and stop drawing
+ * @param {Array<Object>} points - Leaflet LatLngs of the outline
+ */
+function finishDrawing(points) {
+    cancelDrawing();
+    setDrawMode(null);
+
+    // A click without a drag, or a polygon with fewer than three corners
+    if (points.length < 3) return;
+
+    const ring = points.map(point => [point.lng, point.lat]);
+    ring.push(ring[0]);
+    const geometry = { type: 'Polygon', coordinates: [ring] };
+
+    setRegion({ name: '', zips: selectZipsInGeometry(geometry), geometry });
+}
+
+/**
+ * Drop the shape being drawn, if any
+ */
+function cancelDrawing() {
+    if (AppState.drawing) {
+        AppState.map.removeLayer(AppState.drawing.layer);
+        AppState.drawing = null;
+    }
+}
+
+/**
+ * Get the center of a ZIP's largest polygon (area-weighted centroid of its outer ring)
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Array<number>|null} [lng, lat], or null without geometry
+ */
+function getFeatureCenter(feature) {
+    const geometry = feature.geometry;
+    if (!geometry) return null;
+
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    let best = null;
+
+    polygons.forEach(polygon => {
+        const ring = polygon[0];
+        let area = 0;
+        let x = 0;
+        let y = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+            area += cross;
+            x += (ring[j][0] + ring[i][0]) * cross;
+            y += (ring[j][1] + ring[i][1]) * cross;
+        }
+        if (area !== 0 && (!best || Math.abs(area) > best.area)) {
+            best = { area: Math.abs(area), center: [x / (3 * area), y / (3 * area)] };
+        }
+    });
+
+    return best ? best.center : null;
+}
+
+/**
+ * Check whether a point is inside a ring (ray casting)
+ * @param {Array<number>} point - [lng, lat]
+ * @param {Array<Array<number>>} ring - [lng, lat] positions
+ * @returns {boolean} True when inside
+ */
+function isPointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point[1]) !== (yj > point[1]) &&
+            point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Check whether a point is inside a Polygon or MultiPolygon, outside its holes
+ * @param {Array<number>} point - [lng, lat]
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} True when inside
+ */
+function isPointInGeometry(point, geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polygons.some(([outer, ...holes]) => {
+        return isPointInRing(point, outer) && !holes.some(hole => isPointInRing(point, hole));
+    });
+}
+
+/**
+ * Find the loaded ZIPs inside a shape
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Array<string>} ZIP codes
+ */
+function selectZipsInGeometry(geometry) {
+    if (!AppState.currentGeoJSON) return [];
+
+    const zips = new Set();
+    AppState.currentGeoJSON.features.forEach(feature => {
+        const center = getFeatureCenter(feature);
+        if (center && isPointInGeometry(center, geometry)) {
+            zips.add(feature.properties.ZCTA5CE10);
+        }
+    });
+    return Array.from(zips);
+}
+
+/**
+ * Add a clicked ZIP to the region being clicked together, or take it out again
+ * @param {string} zip - 5-digit ZIP code
+ */
+function toggleRegionZip(zip) {
+    const zips = AppState.region.zips;
+    if (zips.has(zip)) {
+        zips.delete(zip);
+    } else {
+        zips.add(zip);
+    }
+
+    restyleZipLayers();
+    renderRegionSummary();
+    renderRegionControls();
+}
+
+/**
+ * Show a region: outline its ZIPs and shape and summarize it
+ * Its ZIPs are kept as a Set, since every ZIP's style checks them
+ * @param {Object|null} region - { name, zips, geometry } with zips as an array, or null to clear
+ * @param {Object} [options] - { fit } - zoom to the region (default true)
+ */
+function setRegion(region, { fit = true } = {}) {
+    AppState.region = region ? { ...region, zips: new Set(region.zips) } : null;
+    Elements.regionName.value = region ? region.name : '';
+
+    if (AppState.regionShapeLayer) {
+        AppState.map.removeLayer(AppState.regionShapeLayer);
+        AppState.regionShapeLayer = null;
+    }
+    if (region && region.geometry) {
+        AppState.regionShapeLayer = L.geoJSON(region.geometry, { style: REGION_SHAPE_STYLE, interactive: false }).addTo(AppState.map);
+    }
+
+    restyleZipLayers();
+    renderRegionSummary();
+    renderRegionControls();
+
+    if (fit && region) {
+        const bounds = getRegionBounds(region);
+        if (bounds.isValid()) {
+            AppState.map.fitBounds(bounds, { padding: [60, 60], maxZoom: 12 });
+        }
+    }
+}
+
+/**
+ * Get the bounds of a region's shape, or of its loaded ZIPs
+ * @param {Object} region - { zips, geometry }
+ * @returns {Object} Leaflet LatLngBounds (invalid when there's nothing to fit)
+ */
+function getRegionBounds(region) {
+    if (region.geometry) {
+        return L.geoJSON(region.geometry).getBounds();
+    }
+
+    const bounds = L.latLngBounds([]);
+    region.zips.forEach(zip => {
+        const layer = AppState.zipLayers.get(zip);
+        if (layer && AppState.map.hasLayer(layer)) bounds.extend(layer.getBounds());
+    });
+    return bounds;
+}
+
+/**
+ * Clear the current region
+ */
+function clearRegion() {
+    if (AppState.drawMode === 'click') setDrawMode(null);
+    setRegion(null);
+}
+
+/**
+ * Outline ZIPs in the current region
+ * @param {string} zip - 5-digit ZIP code
+ * @param {Object} style - Leaflet style object
+ * @returns {Object} Style with the outline applied
+ */
+function applyRegionOutline(zip, style) {
+    return AppState.region && AppState.region.zips.has(zip) ? Object.assign(style, REGION_OUTLINE) : style;
+}
+
+/**
+ * Summarize a region's ZIPs
+ * @param {Array<string>} zips - ZIP codes
+ * @returns {Object} { stats, history } - the map metric's summary for the displayed
+ *     year (see summarizeValues, null without values) and the median price per year
+ */
+function summarizeRegion(zips) {
+    const rows = zips.map(zip => AppState.zhviData[zip]).filter(Boolean);
+
+    const values = zips.map(getFeatureValue).filter(value => value !== null);
+    const stats = summarizeValues(values, false);
+
+    const history = [];
+    for (let year = 2000; year <= 2025; year++) {
+        const prices = rows.map(row => parseYearValue(row, year)).filter(price => price !== null);
+        const summary = summarizeValues(prices, false);
+        history.push({ year, value: summary ? summary.median : null });
+    }
+
+    return { stats, history };
+}
+
+/**
+ * Show the current region's stats and median price chart
+ * Called whenever the map is re-colored, so it follows the year and metric
+ */
+function renderRegionSummary() {
+    const region = AppState.region;
+    Elements.regionSummary.hidden = !region;
+    if (!region) return;
+
+    const { stats, history } = summarizeRegion(Array.from(region.zips));
+    const count = region.zips.size;
+
+    Elements.regionTitle.textContent = region.name || (region.geometry ? 'Drawn region' : 'Clicked ZIPs');
+    Elements.regionCount.textContent = `${count.toLocaleString()} ZIP${count === 1 ? '' : 's'}` +
+        (stats ? ` · ${stats.count.toLocaleString()} with data` : '');
+    Elements.regionMetric.textContent = `${getMetricLabel()}, ${AppState.currentYear}`;
+    Elements.regionMedian.textContent = stats ? formatMetricValue(stats.median) : '-';
+    Elements.regionMin.textContent = stats ? formatMetricValue(stats.lowest) : '-';
+    Elements.regionMax.textContent = stats ? formatMetricValue(stats.highest) : '-';
+
+    renderLineChart(Elements.regionChart, [{ color: REGION_OUTLINE.color, history }], {
+        highlightYear: AppState.currentYear,
+        formatValue: formatCurrency,
+        width: 272,
+        height: 110
+    });
+}
+
+/**
+ * Show the active draw tool, the save button and the saved regions
+ */
+function renderRegionControls() {
+    Elements.regionTools.querySelectorAll('[data-draw]').forEach(button => {
+        button.classList.toggle('active', button.dataset.draw === AppState.drawMode);
+    });
+
+    Elements.regionHint.textContent = {
+        rectangle: 'Drag a rectangle over the map',
+        polygon: 'Click the corners, double-click to finish',
+        lasso: 'Drag around the ZIPs to select',
+        click: 'Click ZIPs to add or remove them'
+    }[AppState.drawMode] || (AppState.currentGeoJSON ? '' : 'Load a state to select its ZIPs');
+
+    const region = AppState.region;
+    Elements.regionSave.disabled = !region || region.zips.size === 0;
+
+    Elements.regionList.innerHTML = AppState.savedRegions.map((saved, i) => `
+        <li class="region-item${region && region.name === saved.name ? ' active' : ''}">
+            <button class="region-show" data-region="${i}"></button>
+            <span class="region-item-count">${saved.zips.length} ZIPs</span>
+            <button class="region-delete" data-region="${i}" aria-label="Delete region">&times;</button>
+        </li>
+    `).join('');
+
+    // Names are user text, so they're set as text
+    Elements.regionList.querySelectorAll('.region-show').forEach(button => {
+        button.textContent = AppState.savedRegions[button.dataset.region].name;
+    });
+    Elements.regionExport.disabled = AppState.savedRegions.length === 0;
+}
+
+/**
+ * Save the current region under a name, replacing a saved region with the same name
+ * @param {string} name - Region name
+ */
+function saveRegion(name) {
+    const region = AppState.region;
+    const trimmed = name.trim();
+    if (!region || !trimmed) {
+        Elements.regionHint.textContent = 'Name the region to save it';
+        return;
+    }
+
+    region.name = trimmed;
+    const saved = { name: trimmed, zips: Array.from(region.zips), geometry: region.geometry };
+    const index = AppState.savedRegions.findIndex(entry => entry.name === trimmed);
+    if (index === -1) {
+        AppState.savedRegions.push(saved);
+    } else {
+        AppState.savedRegions[index] = saved;
+    }
+
+    renderRegionSummary();
+    renderRegionControls();
+    storeSavedRegions();
+}
+
+/**
+ * Show a saved region, loading the states its ZIPs are in
+ * @param {number} index - Index in AppState.savedRegions
+ * @returns {Promise} Resolves once the region is shown
+ */
+async function showSavedRegion(index) {
+    const saved = AppState.savedRegions[index];
+    if (!saved) return;
+
+    setDrawMode(null);
+    await loadZipStates(saved.zips);
+    setRegion({ name: saved.name, zips: saved.zips, geometry: saved.geometry || null });
+}
+
+/**
+ * Delete a saved region
+ * @param {number} index - Index in AppState.savedRegions
+ */
+function deleteSavedRegion(index) {
+    AppState.savedRegions.splice(index, 1);
+    renderRegionControls();
+    storeSavedRegions();
+}
+
+/**
+ * Download the saved regions as GeoJSON
+ * Regions clicked together have no shape, so they're exported as their ZIPs' polygons
+ * (the loaded ones) - every feature also lists its ZIPs
+ */
+function exportRegions() {
+    const features = AppState.savedRegions.map(region => {
+        let geometry = region.geometry;
+        if (!geometry) {
+            const polygons = [];
+            region.zips.forEach(zip => {
+                const layer = AppState.zipLayers.get(zip);
+                const zipGeometry = layer && layer.feature.geometry;
+                if (!zipGeometry) return;
+                if (zipGeometry.type === 'MultiPolygon') polygons.push(...zipGeometry.coordinates);
+                else polygons.push(zipGeometry.coordinates);
+            });
+            geometry = polygons.length > 0 ? { type: 'MultiPolygon', coordinates: polygons } : null;
+        }
+
+        return {
+            type: 'Feature',
+            geometry,
+            properties: { name: region.name, zips: region.zips }
+        };
+    });
+
+    const geojson = JSON.stringify({ type: 'FeatureCollection', features });
+    downloadBlob(new Blob([geojson], { type: 'application/geo+json' }), 'zhvi_regions.geojson');
+}
+
+/**
+ * Import regions from a GeoJSON file
+ * Features listing their ZIPs (as exported) keep them; other polygons select the ZIPs
+ * whose centers they contain, after loading the states they overlap
+ * @param {File} file - GeoJSON file
+ * @returns {Promise} Resolves once the regions are saved and the first one is shown
+ */
+async function importRegions(file) {
+    let features;
+    try {
+        const geojson = JSON.parse(await file.text());
+        if (geojson && geojson.type === 'FeatureCollection' && !Array.isArray(geojson.features)) {
+            throw new Error('the FeatureCollection has no features array');
+        }
+        features = geojson && geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+    } catch (err) {
+        Elements.regionHint.textContent = `Could not read ${file.name}: ${err.message}`;
+        return;
+    }
+
+    const baseName = file.name.replace(/\.(geo)?json$/i, '');
+    const imported = [];
+
+    for (const [i, feature] of features.entries()) {
+        if (!feature || feature.type !== 'Feature') continue;
+
+        const properties = feature.properties || {};
+        const geometry = feature.geometry && /^(Multi)?Polygon$/.test(feature.geometry.type) ? feature.geometry : null;
+        let zips = Array.isArray(properties.zips) ? properties.zips.map(String).filter(zip => /^\d{5}$/.test(zip)) : null;
+
+        if (!zips && geometry) {
+            const bounds = L.geoJSON(geometry).getBounds();
+            for (const abbr of getStatesInView(bounds)) {
+                await renderState(abbr, { fly: false });
+            }
+            zips = selectZipsInGeometry(geometry);
+        }
+        if (!zips || zips.length === 0) continue;
+
+        const name = String(properties.name || properties.NAME || `${baseName} ${i + 1}`);
+        imported.push({ name: getUniqueRegionName(name), zips, geometry });
+        AppState.savedRegions.push(imported[imported.length - 1]);
+    }
+
+    renderRegionControls();
+
+    if (imported.length === 0) {
+        Elements.regionHint.textContent = `No regions with ZIPs found in ${file.name}`;
+        return;
+    }
+
+    await showSavedRegion(AppState.savedRegions.indexOf(imported[0]));
+    Elements.regionHint.textContent = `Imported ${imported.length} region${imported.length === 1 ? '' : 's'}`;
+    storeSavedRegions();
+}
+
+/**
+ * Add a number to a region name that's already taken
+ * @param {string} name - Wanted name
+ * @returns {string} The name, or e.g. "Service area (2)"
+ */
+function getUniqueRegionName(name) {
+    const taken = new Set(AppState.savedRegions.map(region => region.name));
+    let unique = name;
+    for (let n = 2; taken.has(unique); n++) {
+        unique = `${name} (${n})`;
+    }
+    return unique;
+}
+
+/**
+ * Set up the draw tools' map events
+ */
+function initRegions() {
+    AppState.map.on({
+        mousedown: handleDrawStart,
+        mousemove: handleDrawMove,
+        mouseup: handleDrawEnd,
+        click: handleDrawClick,
+        dblclick: handleDrawDoubleClick
+    });
+
+    renderRegionControls();
+}
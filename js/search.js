@@ -0,0 +1,429 @@
+/**
+ * ZIP search
+ * Finds one ZIP, a comma-separated list of ZIPs, or every ZIP in a place or county,
+ * loads the states they're in and outlines them until the search is cleared.
+ * Typing digits suggests ZIPs with price data; typing letters suggests places and
+ * counties from the bundled crosswalk (ZIP_PLACES_FILE, built by scripts/build-places.js).
+ */
+
+// Suggestions shown under the search box
+const SEARCH_SUGGESTION_LIMIT = 8;
+
+// Most ZIPs one search outlines (a large county can have a few hundred)
+const SEARCH_ZIP_LIMIT = 300;
+
+// Outline of the ZIPs found by the last search
+const SEARCH_OUTLINE = { color: '#fbbf24', weight: 3, opacity: 1, fillOpacity: 1 };
+
+// Census suffixes left off place names, e.g. "Madison city" -> "Madison"
+const PLACE_NAME_SUFFIX = /\s+(city|town|village|borough|CDP|municipality|city and borough)$/;
+
+// Loaded once, on the first place search: array of areas, or null when unavailable
+let zipPlacesRequest = null;
+
+/**
+ * Load the ZIP-to-place crosswalk
+ * @returns {Promise<Array<Object>|null>} Areas { kind, name, state, zips, key }, or null
+ *     when the file is missing
+ */
+function loadZipPlaces() {
+    if (!zipPlacesRequest) {
+        const toAreas = (entries, kind) => entries.map(([name, state, zips]) => {
+            const label = kind === 'place' ? name.replace(PLACE_NAME_SUFFIX, '') : name;
+            return { kind, name: label, state, zips, key: normalizePlaceName(label) };
+        });
+
+        zipPlacesRequest = fetch(ZIP_PLACES_FILE)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => [...toAreas(data.places, 'place'), ...toAreas(data.counties, 'county')])
+            .catch(err => {
+                console.warn('ZIP place crosswalk unavailable:', err);
+                return null;
+            });
+    }
+    return zipPlacesRequest;
+}
+
+/**
+ * Normalize a place name for matching
+ * @param {string} name - Place or county name, or what was typed
+ * @returns {string} Lowercase name without punctuation, e.g. "st louis" (also for "Saint Louis")
+ */
+function normalizePlaceName(name) {
+    return name.toLowerCase().replace(/[.'’]/g, '').replace(/[^a-z0-9]+/g, ' ').trim().replace(/\bsaint\b/g, 'st');
+}
+
+/**
+ * Find the places and counties matching a name
+ * Names equal to the text come first, then names starting with it, then names with a
+ * word starting with it; a trailing state ("springfield, il") narrows the matches to
+ * that state
+ * @param {string} text - Typed name
+ * @param {number} limit - Most matches to return
+ * @returns {Promise<Array<Object>|null>} Matching areas, biggest first within each group,
+ *     or null when the crosswalk is unavailable
+ */
+async function findPlaces(text, limit = SEARCH_SUGGESTION_LIMIT) {
+    const areas = await loadZipPlaces();
+    if (!areas) return null;
+
+    let query = text;
+    let state = null;
+    const stateMatch = text.match(/^(.*?)[,\s]+([A-Za-z]{2})$/);
+    if (stateMatch && STATES[stateMatch[2].toUpperCase()]) {
+        query = stateMatch[1];
+        state = stateMatch[2].toUpperCase();
+    }
+
+    const key = normalizePlaceName(query);
+    if (!key) return [];
+
+    const exact = [];
+    const starts = [];
+    const words = [];
+    areas.forEach(area => {
+        if (state && area.state !== state) return;
+        if (area.key === key) {
+            exact.push(area);
+        } else if (area.key.startsWith(key)) {
+            starts.push(area);
+        } else if (area.key.includes(` ${key}`)) {
+            words.push(area);
+        }
+    });
+
+    const bySize = (a, b) => b.zips.length - a.zips.length;
+    return [...exact.sort(bySize), ...starts.sort(bySize), ...words.sort(bySize)].slice(0, limit);
+}
+
+/**
+ * Describe a place or county
+ * @param {Object} area - Area from findPlaces
+ * @returns {string} e.g. "Madison, WI"
+ */
+function getAreaLabel(area) {
+    return `${area.name}, ${area.state}`;
+}
+
+/**
+ * Find the ZIPs with price data starting with some digits
+ * @param {string} prefix - 1 to 5 digits
+ * @returns {Array<string>} Up to SEARCH_SUGGESTION_LIMIT ZIPs, ascending
+ */
+function findZipsByPrefix(prefix) {
+    const zips = AppState.priceZips;
+
+    // The price data is sorted by ZIP, so start at the first ZIP not below the prefix
+    let low = 0;
+    let high = zips.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (zips[mid] < prefix) low = mid + 1;
+        else high = mid;
+    }
+
+    const matches = [];
+    for (let i = low; i < zips.length && matches.length < SEARCH_SUGGESTION_LIMIT && zips[i].startsWith(prefix); i++) {
+        matches.push(zips[i]);
+    }
+    return matches;
+}
+
+/**
+ * Suggest ZIPs, places or counties for what's typed after the last comma
+ * @returns {Promise} Resolves once the suggestions are shown
+ */
+async function updateSearchSuggestions() {
+    const text = Elements.zipSearch.value;
+    const last = text.split(/[,;]/).pop().trim();
+
+    let suggestions = [];
+    if (/^\d{2,5}$/.test(last)) {
+        suggestions = findZipsByPrefix(last).map(zip => {
+            const price = parseYearValue(AppState.zhviData[zip], AppState.currentYear);
+            return {
+                zip,
+                label: zip,
+                meta: [AppState.zipStates[zip], price ? formatCurrency(price) : null].filter(Boolean).join(' · ')
+            };
+        });
+    } else if (/[a-z]/i.test(text) && text.trim().length >= 2) {
+        const areas = await findPlaces(text.trim());
+
+        // Typed on while the crosswalk was loading
+        if (Elements.zipSearch.value !== text) return;
+
+        suggestions = (areas || []).map(area => ({
+            area,
+            label: getAreaLabel(area),
+            meta: `${area.kind === 'county' ? 'County' : 'Place'} · ${area.zips.length} ZIP${area.zips.length === 1 ? '' : 's'}`
+        }));
+    }
+
+    AppState.searchSuggestions = suggestions;
+    AppState.searchSuggestionIndex = -1;
+    renderSearchSuggestions();
+}
+
+/**
+ * Show the current suggestions under the search box
+ */
+function renderSearchSuggestions() {
+    const suggestions = AppState.searchSuggestions;
+
+    // Built as elements, since place names come from the crosswalk file
+    Elements.searchSuggestions.replaceChildren(...suggestions.map((suggestion, i) => {
+        const item = document.createElement('li');
+        item.className = `search-suggestion${i === AppState.searchSuggestionIndex ? ' active' : ''}`;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', String(i === AppState.searchSuggestionIndex));
+        item.dataset.index = i;
+
+        const label = document.createElement('span');
+        label.textContent = suggestion.label;
+        const meta = document.createElement('span');
+        meta.className = 'search-suggestion-meta';
+        meta.textContent = suggestion.meta;
+
+        item.append(label, meta);
+        return item;
+    }));
+    Elements.searchSuggestions.hidden = suggestions.length === 0;
+    Elements.zipSearch.setAttribute('aria-expanded', String(suggestions.length > 0));
+}
+
+/**
+ * Hide the suggestions
+ */
+function hideSearchSuggestions() {
+    AppState.searchSuggestions = [];
+    AppState.searchSuggestionIndex = -1;
+    renderSearchSuggestions();
+}
+
+/**
+ * Search for a suggestion
+ * A ZIP replaces what's typed after the last comma and the whole list is searched
+ * @param {Object} suggestion - Suggestion from updateSearchSuggestions
+ * @returns {Promise} Resolves once the search is done
+ */
+function pickSearchSuggestion(suggestion) {
+    hideSearchSuggestions();
+
+    if (suggestion.area) {
+        Elements.zipSearch.value = suggestion.label;
+        return findArea(suggestion.area);
+    }
+
+    const tokens = Elements.zipSearch.value.split(/[,;]/);
+    tokens[tokens.length - 1] = suggestion.zip;
+    Elements.zipSearch.value = tokens.map(token => token.trim()).filter(Boolean).join(', ');
+    return runSearch();
+}
+
+/**
+ * Move the highlighted suggestion, or pick it, from the keyboard
+ * @param {KeyboardEvent} e - Keydown event on the search box
+ */
+function handleSearchKeys(e) {
+    const suggestions = AppState.searchSuggestions;
+
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            if (suggestions.length === 0) return;
+            AppState.searchSuggestionIndex = e.key === 'ArrowDown'
+                ? (AppState.searchSuggestionIndex + 1) % suggestions.length
+                : (AppState.searchSuggestionIndex - 1 + suggestions.length) % suggestions.length;
+            renderSearchSuggestions();
+            break;
+        case 'Enter':
+            if (AppState.searchSuggestionIndex >= 0) {
+                pickSearchSuggestion(suggestions[AppState.searchSuggestionIndex]);
+            } else {
+                runSearch();
+            }
+            break;
+        case 'Escape':
+            hideSearchSuggestions();
+            break;
+        default:
+            return;
+    }
+
+    e.preventDefault();
+}
+
+/**
+ * Search for what's typed: ZIPs (comma or space separated) or a place or county name
+ * An empty search clears the outline
+ * @param {string} [text] - Search text, defaults to the search box
+ * @returns {Promise} Resolves once the search is done
+ */
+async function runSearch(text = Elements.zipSearch.value) {
+    hideSearchSuggestions();
+
+    const query = text.trim();
+    if (!query) {
+        clearSearch();
+        return;
+    }
+
+    const tokens = query.split(/[\s,;]+/).filter(Boolean);
+    if (tokens.every(token => /^\d+$/.test(token))) {
+        await findZips(tokens);
+        return;
+    }
+
+    const areas = await findPlaces(query, 1);
+    if (areas === null) {
+        showSearchMessage('Place search data could not be loaded - try again or search by ZIP');
+    } else if (areas.length === 0) {
+        showSearchMessage(`No place or county matches "${query}"`);
+    } else {
+        Elements.zipSearch.value = getAreaLabel(areas[0]);
+        await findArea(areas[0]);
+    }
+}
+
+/**
+ * Outline every ZIP in a place or county
+ * @param {Object} area - Area from findPlaces
+ * @returns {Promise} Resolves once the search is done
+ */
+function findArea(area) {
+    return findZips(area.zips, getAreaLabel(area));
+}
+
+/**
+ * Load the states of some ZIPs, outline the ZIPs and zoom to them
+ * A single ZIP is also pinned in the detail panel
+ * @param {Array<string>} zips - ZIP codes
+ * @param {string} [label] - Place or county the ZIPs are from
+ * @returns {Promise} Resolves once the ZIPs are outlined
+ */
+async function findZips(zips, label = null) {
+    const invalid = zips.filter(zip => !/^\d{5}$/.test(zip));
+    if (invalid.length > 0) {
+        showSearchMessage(`Please enter valid 5-digit ZIP codes (not ${invalid.join(', ')})`);
+        return;
+    }
+
+    const requested = Array.from(new Set(zips)).slice(0, SEARCH_ZIP_LIMIT);
+
+    if (!requested.some(getZipState)) {
+        showSearchMessage(requested.length === 1 ? 'ZIP code not found in our database' : 'None of these ZIP codes are in our database');
+        return;
+    }
+
+    // Load the states if needed (lazy loading)
+    const failed = await loadZipStates(requested);
+    if (failed.length > 0) {
+        showSearchMessage(`Could not load map data for ${failed.map(abbr => STATES[abbr].name).join(', ')}`);
+        return;
+    }
+
+    const found = requested.filter(zip => {
+        const layer = AppState.zipLayers.get(zip);
+        return layer && AppState.map.hasLayer(layer);
+    });
+    const missing = requested.filter(zip => !found.includes(zip));
+
+    AppState.searchZips = new Set(found);
+    restyleZipLayers();
+    Elements.searchClear.hidden = found.length === 0;
+
+    if (found.length === 0) {
+        showSearchMessage(requested.length === 1 ? 'ZIP code boundary not found in map data' : 'No boundaries found for these ZIP codes');
+        return;
+    }
+
+    const bounds = L.latLngBounds([]);
+    found.forEach(zip => {
+        const layer = AppState.zipLayers.get(zip);
+        layer.bringToFront();
+        bounds.extend(layer.getBounds());
+    });
+    AppState.map.fitBounds(bounds, { padding: [100, 100], maxZoom: 12 });
+
+    if (requested.length === 1) {
+        // Show info and pin the ZIP's history
+        const zip = found[0];
+        pinZip(zip);
+        const price = parseYearValue(AppState.zhviData[zip], AppState.currentYear);
+        showSearchMessage(price
+            ? `Found! ${formatCurrency(price)} in ${AppState.currentYear}`
+            : 'ZIP found but no price data available', Boolean(price));
+        return;
+    }
+
+    const prices = found
+        .map(zip => parseYearValue(AppState.zhviData[zip], AppState.currentYear))
+        .filter(price => price !== null);
+    const summary = summarizeValues(prices, false);
+    const parts = [`${found.length} ZIP${found.length === 1 ? '' : 's'}${label ? ` in ${label}` : ''}`];
+    if (summary) {
+        parts.push(`median ${formatCurrency(summary.median)} in ${AppState.currentYear}`);
+    }
+    if (missing.length > 0) {
+        const listed = missing.slice(0, 5).join(', ');
+        parts.push(`not found: ${listed}${missing.length > 5 ? ` +${missing.length - 5} more` : ''}`);
+    }
+    showSearchMessage(parts.join(' · '), true);
+}
+
+/**
+ * Clear the search outline and message
+ */
+function clearSearch() {
+    AppState.searchZips = new Set();
+    Elements.searchClear.hidden = true;
+    showSearchMessage('', true);
+    restyleZipLayers();
+}
+
+/**
+ * Show a search result or error under the search box
+ * @param {string} message - Text to show
+ * @param {boolean} [success] - Show it as a result rather than an error
+ */
+function showSearchMessage(message, success = false) {
+    Elements.searchError.textContent = message;
+    Elements.searchError.className = success ? 'search-error success' : 'search-error';
+}
+
+/**
+ * Outline ZIPs found by the last search
+ * @param {string} zip - 5-digit ZIP code
+ * @param {Object} style - Leaflet style object
+ * @returns {Object} Style with the outline applied
+ */
+function applySearchOutline(zip, style) {
+    return AppState.searchZips.has(zip) ? Object.assign(style, SEARCH_OUTLINE) : style;
+}
+
+/**
+ * Keep the ZIP -> feature layer index for a loaded state's layer
+ * @param {string} zip - 5-digit ZIP code
+ * @param {Object} layer - Leaflet feature layer
+ */
+function indexZipLayer(zip, layer) {
+    AppState.zipLayers.set(zip, layer);
+}
+
+/**
+ * Drop a removed state layer's features from the ZIP -> feature layer index
+ * A ZIP in two state files keeps the other state's layer
+ * @param {Object} stateLayer - The state's L.geoJSON layer
+ */
+function unindexZipLayers(stateLayer) {
+    stateLayer.eachLayer(layer => {
+        const zip = layer.feature.properties.ZCTA5CE10;
+        if (AppState.zipLayers.get(zip) === layer) {
+            AppState.zipLayers.delete(zip);
+        }
+    });
+}
@@ -0,0 +1,377 @@
+/**
+ * Your data: color the map by a CSV of values per ZIP code
+ * A CSV dropped on the page (or chosen) is parsed with Papa.parse. Pick its ZIP column
+ * and a value column, or every year column (e.g. 2019, 2020 or rent_2021), and the
+ * values are joined to the ZIP boundaries by ZCTA5CE10. They're shown through two
+ * metrics: 'upload' (the values as they are) and 'ratio' (home value divided by them,
+ * e.g. price-to-income), so coloring, the legend, stats, the overview and exports work
+ * as they do for prices.
+ *
+ * The data stays in this tab: it isn't saved or put in the URL.
+ */
+
+// Values option that reads every year column
+const USER_DATA_YEARS = '__years';
+
+// Column names that usually hold the ZIP code (RegionName is Zillow's)
+const ZIP_COLUMN_PATTERN = /^(zip|zip ?code|zipcode|zcta5?|zcta5ce[12]0|geoid|postal ?code|regionname)$/i;
+
+// A year from 2000 to 2029 in a column name, e.g. 2019, rent_2021 or "Income 2022"
+const YEAR_COLUMN_PATTERN = /(?:^|\D)(20[0-2]\d)(?:\D|$)/;
+
+// Rows checked when guessing columns and units
+const USER_DATA_SAMPLE_SIZE = 50;
+
+/**
+ * Read a ZIP code from a cell
+ * Spreadsheets drop leading zeros (2134 for 02134); ZIP+4 and "ZCTA5 53703" also work
+ * @param {string} text - Cell text
+ * @returns {string|null} 5-digit ZIP code, or null if there isn't one
+ */
+function parseUserZip(text) {
+    const value = String(text === undefined || text === null ? '' : text).trim();
+    const match = value.match(/^(\d{3,5})(?:-\d{4})?$/) || value.match(/(?:^|\D)(\d{5})(?:\D|$)/);
+    return match ? match[1].padStart(5, '0') : null;
+}
+
+/**
+ * Read a number from a cell, ignoring $, % and thousands separators
+ * @param {string} text - Cell text
+ * @returns {number|null} Number, or null for empty and non-numeric cells
+ */
+function parseUserNumber(text) {
+    const value = String(text === undefined || text === null ? '' : text).replace(/[$,%\s]/g, '');
+    if (value === '') return null;
+
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Find the columns named for a year, one per year
+ * @param {Array<string>} fields - Column names
+ * @returns {Array<{field: string, year: number}>} Year columns from 2000 to 2025 by year,
+ *     empty when there are fewer than two
+ */
+function getYearColumns(fields) {
+    const columns = new Map();
+    fields.forEach(field => {
+        const match = field.match(YEAR_COLUMN_PATTERN);
+        const year = match ? parseInt(match[1]) : null;
+        if (year >= 2000 && year <= 2025 && !columns.has(year)) {
+            columns.set(year, { field, year });
+        }
+    });
+
+    const sorted = Array.from(columns.values()).sort((a, b) => a.year - b.year);
+    return sorted.length >= 2 ? sorted : [];
+}
+
+/**
+ * Guess the ZIP column: a ZIP-like name, else the first column of ZIP-like values
+ * @param {Array<string>} fields - Column names
+ * @param {Array<Object>} sample - First rows, keyed by column name
+ * @returns {string} Column name
+ */
+function guessZipColumn(fields, sample) {
+    return fields.find(field => ZIP_COLUMN_PATTERN.test(field.trim())) ||
+        fields.find(field => sample.filter(row => /^\d{5}$/.test(String(row[field] || '').trim())).length > sample.length / 2) ||
+        fields[0];
+}
+
+/**
+ * Guess how the values are written
+ * @param {Array<Object>} rows - Parsed rows
+ * @param {Array<{field: string}>} columns - Value columns
+ * @returns {string} 'currency', 'percent' or 'number'
+ */
+function getUserDataUnit(rows, columns) {
+    const cells = rows.slice(0, USER_DATA_SAMPLE_SIZE).flatMap(row => columns.map(({ field }) => String(row[field] || '')));
+    if (cells.some(cell => cell.includes('$'))) return 'currency';
+    if (cells.some(cell => cell.includes('%'))) return 'percent';
+    return 'number';
+}
+
+/**
+ * Parse a CSV file and show its columns for picking
+ * @param {File} file - CSV file
+ * @returns {Promise} Resolves once the file is read
+ */
+async function readUserFile(file) {
+    showUserDataStatus(`Reading ${file.name}...`, true);
+
+    let results;
+    try {
+        results = await new Promise((resolve, reject) => {
+            Papa.parse(file, { header: true, skipEmptyLines: 'greedy', complete: resolve, error: reject });
+        });
+    } catch (err) {
+        showUserDataStatus(`Could not read ${file.name}: ${err.message}`);
+        return;
+    }
+
+    const fields = (results.meta.fields || []).filter(Boolean);
+    if (fields.length < 2 || results.data.length === 0) {
+        showUserDataStatus(`${file.name} needs a header row, a ZIP column and a value column`);
+        return;
+    }
+
+    AppState.userFile = { name: file.name, fields, rows: results.data };
+    populateUserDataColumns();
+    showUserDataStatus(`${results.data.length.toLocaleString()} rows in ${file.name} - pick the columns to show`, true);
+}
+
+/**
+ * Fill the ZIP and value column dropdowns for the file, with guesses picked
+ */
+function populateUserDataColumns() {
+    const { fields, rows } = AppState.userFile;
+    const sample = rows.slice(0, USER_DATA_SAMPLE_SIZE);
+    const zipField = guessZipColumn(fields, sample);
+    const years = getYearColumns(fields);
+
+    Elements.userDataZip.innerHTML = '';
+    Elements.userDataValue.innerHTML = '';
+    fields.forEach(field => {
+        Elements.userDataZip.add(new Option(field, field));
+        Elements.userDataValue.add(new Option(field, field));
+    });
+    if (years.length > 0) {
+        const label = `Year columns (${years.length}, ${years[0].year}–${years[years.length - 1].year})`;
+        Elements.userDataValue.add(new Option(label, USER_DATA_YEARS), 0);
+    }
+
+    // Default to the years, or the first mostly numeric column
+    const numeric = fields.find(field => field !== zipField &&
+        sample.filter(row => parseUserNumber(row[field]) !== null).length > sample.length / 2);
+    Elements.userDataZip.value = zipField;
+    Elements.userDataValue.value = years.length > 0 ? USER_DATA_YEARS : (numeric || Elements.userDataValue.options[0].value);
+    Elements.userDataName.value = '';
+    renderUserDataName();
+
+    Elements.userDataSetup.hidden = false;
+}
+
+/**
+ * Suggest a name for the values from the chosen column
+ */
+function renderUserDataName() {
+    const value = Elements.userDataValue.value;
+    Elements.userDataName.placeholder = value === USER_DATA_YEARS
+        ? AppState.userFile.name.replace(/\.\w+$/, '')
+        : value;
+}
+
+/**
+ * Read the chosen columns into a row of YEAR_COUNT values per ZIP
+ * A single value column fills every year; year columns fill their own years
+ * @returns {Object} { rows, columns, unit, skipped, duplicates } - rows is a Map of ZIP to
+ *     Float32Array (NaN when missing); rows without a ZIP or a value are skipped and
+ *     repeated ZIPs keep their first row
+ */
+function buildUserData() {
+    const { rows } = AppState.userFile;
+    const zipField = Elements.userDataZip.value;
+    const valueField = Elements.userDataValue.value;
+    const columns = valueField === USER_DATA_YEARS
+        ? getYearColumns(AppState.userFile.fields)
+        : [{ field: valueField, year: null }];
+
+    const values = new Map();
+    let skipped = 0;
+    let duplicates = 0;
+
+    rows.forEach(record => {
+        const zip = parseUserZip(record[zipField]);
+        if (!zip) {
+            skipped++;
+            return;
+        }
+        if (values.has(zip)) {
+            duplicates++;
+            return;
+        }
+
+        const row = new Float32Array(YEAR_COUNT).fill(NaN);
+        let found = false;
+        columns.forEach(({ field, year }) => {
+            const value = parseUserNumber(record[field]);
+            if (value === null) return;
+            found = true;
+            if (year === null) {
+                row.fill(value);
+            } else {
+                row[year - 2000] = value;
+            }
+        });
+
+        if (found) {
+            values.set(zip, row);
+        } else {
+            skipped++;
+        }
+    });
+
+    return { rows: values, columns, unit: getUserDataUnit(rows, columns), skipped, duplicates };
+}
+
+/**
+ * Join the chosen columns to the map and color it by them
+ * @returns {Promise} Resolves once the map is re-colored
+ */
+async function applyUserData() {
+    if (!AppState.userFile) return;
+
+    const { rows, columns, unit, skipped, duplicates } = buildUserData();
+    if (rows.size === 0) {
+        showUserDataStatus('No rows have a ZIP code and a number in those columns');
+        return;
+    }
+
+    const zips = Array.from(rows.keys());
+    const values = new Float32Array(zips.length * YEAR_COUNT);
+    let lowest = Infinity;
+    let highest = -Infinity;
+    zips.forEach((zip, i) => {
+        const row = rows.get(zip);
+        values.set(row, i * YEAR_COUNT);
+        row.forEach(value => {
+            if (Number.isNaN(value)) return;
+            lowest = Math.min(lowest, value);
+            highest = Math.max(highest, value);
+        });
+    });
+
+    // Values on both sides of zero are colored like the change metrics
+    const diverging = lowest < 0 && highest > 0;
+    const yearIndependent = columns[0].year === null;
+
+    showUserDataStatus('Joining values to ZIP codes...', true);
+    await requestData('userData', { zips, values, diverging, yearIndependent });
+
+    METRICS.upload.diverging = diverging;
+    METRICS.upload.yearIndependent = yearIndependent;
+    AppState.userData = {
+        name: Elements.userDataName.value.trim() || Elements.userDataName.placeholder,
+        unit,
+        rows: Object.fromEntries(rows),
+        ratioRows: {}
+    };
+    applyUserRatioRows();
+
+    // Breaks typed for earlier values don't fit these
+    delete AppState.customBreaks.upload;
+    delete AppState.customBreaks.ratio;
+
+    renderUserDataOptions();
+    setMetric(AppState.userDataMode);
+
+    const withPrices = zips.filter(zip => AppState.actualData[zip]).length;
+    const notes = [];
+    if (skipped > 0) notes.push(`${skipped.toLocaleString()} row${skipped === 1 ? '' : 's'} without a ZIP or value skipped`);
+    if (duplicates > 0) notes.push(`${duplicates.toLocaleString()} repeated ZIP${duplicates === 1 ? '' : 's'} ignored`);
+    showUserDataStatus(
+        `${zips.length.toLocaleString()} ZIPs joined, ${withPrices.toLocaleString()} with home values` +
+        (notes.length > 0 ? ` (${notes.join(', ')})` : ''),
+        true
+    );
+}
+
+/**
+ * Divide the prices by the uploaded values for the ratio metric
+ * Called whenever the price rows change; ratios use nominal prices (filled when gap
+ * filling is on), since uploaded values aren't restated in real dollars
+ */
+function applyUserRatioRows() {
+    if (!AppState.userData) return;
+
+    const prices = AppState.fillGaps ? AppState.filledData : AppState.actualData;
+    const ratioRows = {};
+    Object.entries(AppState.userData.rows).forEach(([zip, row]) => {
+        ratioRows[zip] = divideYearRows(prices[zip] || null, row);
+    });
+    AppState.userData.ratioRows = ratioRows;
+}
+
+/**
+ * Remove the uploaded values and go back to prices
+ * @returns {Promise} Resolves once the worker has dropped them
+ */
+async function removeUserData() {
+    const wasShown = METRICS[AppState.metric].uploaded;
+
+    AppState.userFile = null;
+    AppState.userData = null;
+    Elements.userDataSetup.hidden = true;
+    Elements.userDataFile.value = '';
+    showUserDataStatus('');
+    renderUserDataOptions();
+
+    await requestData('userData', {});
+    if (wasShown) setMetric('price');
+}
+
+/**
+ * Choose whether the uploaded values are shown as they are or as home value ratios
+ * @param {string} mode - 'upload' or 'ratio'
+ */
+function setUserDataMode(mode) {
+    AppState.userDataMode = mode === 'ratio' ? 'ratio' : 'upload';
+    Elements.userDataValues.classList.toggle('active', AppState.userDataMode === 'upload');
+    Elements.userDataRatio.classList.toggle('active', AppState.userDataMode === 'ratio');
+
+    if (AppState.userData) {
+        setMetric(AppState.userDataMode);
+    }
+}
+
+/**
+ * List the uploaded metrics in the Map Metric dropdown while there are values
+ */
+function renderUserDataOptions() {
+    const existing = document.getElementById('userDataOptions');
+    if (existing) existing.remove();
+
+    if (AppState.userData) {
+        const group = document.createElement('optgroup');
+        group.id = 'userDataOptions';
+        group.label = 'Your data';
+        group.appendChild(new Option(AppState.userData.name, 'upload'));
+        group.appendChild(new Option(`Home value ÷ ${AppState.userData.name}`, 'ratio'));
+        Elements.metricSelect.appendChild(group);
+    }
+    Elements.metricSelect.value = AppState.metric;
+}
+
+/**
+ * Format an uploaded value the way the CSV wrote it
+ * @param {number} value - Uploaded value
+ * @returns {string} Formatted value
+ */
+function formatUserValue(value) {
+    const unit = AppState.userData ? AppState.userData.unit : 'number';
+    if (unit === 'currency' && value > 0) return formatCurrency(value);
+
+    const text = value.toLocaleString('en-US', { maximumFractionDigits: Math.abs(value) >= 100 ? 0 : 2 });
+    if (unit === 'currency') return text.replace(/^(-?)/, '$1$');
+    return unit === 'percent' ? `${text}%` : text;
+}
+
+/**
+ * Format a home value ratio, e.g. 5.2×
+ * @param {number} value - Price divided by the uploaded value
+ * @returns {string} Formatted ratio
+ */
+function formatRatio(value) {
+    return `${value.toLocaleString('en-US', { maximumFractionDigits: value >= 100 ? 0 : 1 })}×`;
+}
+
+/**
+ * Show how the upload went
+ * @param {string} message - Message, '' to clear it
+ * @param {boolean} [success=false] - Neutral rather than an error
+ */
+function showUserDataStatus(message, success = false) {
+    Elements.userDataStatus.textContent = message;
+    Elements.userDataStatus.classList.toggle('error', !success);
+}
@@ -0,0 +1,124 @@
+/**
+ * Nationwide ZIP view
+ * Draws every ZIP in the country from the static vector tiles in geojsons/tiles
+ * (built by scripts/build-tiles.js) with Leaflet.VectorGrid, instead of one
+ * L.geoJSON layer per state. Tiles are styled by styleFeature, and a new year only
+ * re-styles the features already drawn (with setFeatureStyle) - no layers are rebuilt.
+ * Tiles use VectorGrid's default SVG renderer: its canvas renderer handles clicks with
+ * L.DomEvent.fakeStop, which Leaflet 1.8 removed.
+ */
+
+/**
+ * Style a vector tile feature the same way as the state layers
+ * VectorGrid uses the style object as the path's options, so fill has to be set here
+ * @param {Object} properties - Tile feature properties ({ ZCTA5CE10 })
+ * @returns {Object} Leaflet style object
+ */
+function styleTileFeature(properties) {
+    return Object.assign(styleFeature({ properties }, { svg: true }), { fill: true });
+}
+
+/**
+ * Build the vector tile layer (once)
+ * @returns {Object} Leaflet.VectorGrid layer
+ */
+function getNationwideLayer() {
+    if (AppState.nationwideLayer) return AppState.nationwideLayer;
+
+    const layer = L.vectorGrid.protobuf(ZIP_TILES.url, {
+        vectorTileLayerStyles: {
+            zips: (properties) => {
+                AppState.nationwideZips.add(properties.ZCTA5CE10);
+                return styleTileFeature(properties);
+            }
+        },
+        getFeatureId: feature => feature.properties.ZCTA5CE10,
+        interactive: true,
+        minNativeZoom: ZIP_TILES.minZoom,
+        maxNativeZoom: ZIP_TILES.maxZoom,
+        maxZoom: 19
+    });
+
+    layer.on({
+        mouseover: (e) => highlightTileFeature(e.layer.properties.ZCTA5CE10),
+        mouseout: (e) => resetTileFeature(e.layer.properties.ZCTA5CE10),
+        click: (e) => {
+            // On click/tap, show info and pin the ZIP's history
+            const zip = e.layer.properties.ZCTA5CE10;
+            highlightTileFeature(zip);
+            pinZip(zip);
+        }
+    });
+
+    AppState.nationwideLayer = layer;
+    return layer;
+}
+
+/**
+ * Highlight a ZIP on hover and show its info
+ * @param {string} zip - 5-digit ZIP code
+ */
+function highlightTileFeature(zip) {
+    if (AppState.nationwideHover && AppState.nationwideHover !== zip) {
+        resetTileFeature(AppState.nationwideHover);
+    }
+    AppState.nationwideHover = zip;
+
+    AppState.nationwideLayer.setFeatureStyle(zip, Object.assign(styleTileFeature({ ZCTA5CE10: zip }), HIGHLIGHT_STYLE));
+    showZipInfo(zip);
+}
+
+/**
+ * Restore a hovered ZIP's style and hide its info
+ * @param {string} zip - 5-digit ZIP code
+ */
+function resetTileFeature(zip) {
+    AppState.nationwideLayer.resetFeatureStyle(zip);
+    if (AppState.nationwideHover === zip) {
+        AppState.nationwideHover = null;
+        Elements.infoPanel.classList.remove('visible');
+    }
+}
+
+/**
+ * Re-apply styleFeature to every ZIP the tiles have drawn
+ * setFeatureStyle also keeps the style for tiles that load later
+ */
+function restyleNationwideLayer() {
+    const layer = AppState.nationwideLayer;
+    if (!layer || !AppState.nationwide) return;
+
+    AppState.nationwideZips.forEach(zip => {
+        if (zip === AppState.nationwideHover) return;
+        layer.setFeatureStyle(zip, styleTileFeature({ ZCTA5CE10: zip }));
+    });
+}
+
+/**
+ * Switch between the nationwide tiles and the loaded states
+ * The loaded states stay in the registry and come back when the view is turned off
+ * @param {boolean} enabled - Show every ZIP from the vector tiles
+ * @returns {Promise} Resolves once the map is re-colored
+ */
+function setNationwideView(enabled) {
+    AppState.nationwide = enabled;
+    Elements.nationwideToggle.checked = enabled;
+
+    if (enabled) {
+        AppState.map.removeLayer(AppState.currentLayer);
+        Object.values(AppState.overviewLayers).forEach(layer => AppState.map.removeLayer(layer));
+        AppState.overviewLevel = null;
+        getNationwideLayer().addTo(AppState.map);
+    } else {
+        if (AppState.nationwideLayer) {
+            AppState.map.removeLayer(AppState.nationwideLayer);
+        }
+        AppState.nationwideHover = null;
+        AppState.currentLayer.addTo(AppState.map);
+        updateOverviewLevel();
+    }
+
+    renderAutoLoadStatus();
+    updateImageExports();
+    return refreshLoadedStates();
+}
@@ -0,0 +1,194 @@
+/**
+ * Build each state's ZIP boundaries as TopoJSON at several levels of detail
+ * The app loads a coarse level when zoomed out and swaps in finer ones as you zoom in
+ * (see GEOMETRY_LEVELS in js/config.js - the level names must match LEVELS below)
+ *
+ * Requires mapshaper (pinned in package.json):
+ *   npm install
+ *
+ * Usage (from the project folder):
+ *   npm run build:geometry            - every state
+ *   npm run build:geometry -- ca ri   - only these states (by file prefix)
+ *
+ * Output:
+ *   geojsons/topo/<state file name>.<level>.json - TopoJSON with one object, "zips",
+ *   holding each ZIP's polygon and { ZCTA5CE10, STATEFP10 }
+ *
+ * Each level is checked against its source: every ZIP must be present exactly once,
+ * and shapes are only allowed to be empty where the source shape is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mapshaper = require('mapshaper');
+
+const SOURCE_DIR = path.join(__dirname, '..', 'geojsons');
+const OUTPUT_DIR = path.join(SOURCE_DIR, 'topo');
+
+// Share of vertices kept and coordinate grid size, coarse to fine
+const LEVELS = [
+    { name: 'low', simplify: '3%', quantization: 10000 },
+    { name: 'medium', simplify: '15%', quantization: 50000 },
+    { name: 'high', simplify: '100%', quantization: 100000 }
+];
+
+// Properties kept on each ZIP
+const FIELDS = ['ZCTA5CE10', 'STATEFP10'];
+
+/**
+ * Format a byte count for the size report
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "412 KB"
+ */
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024
+        ? `${(bytes / 1024 / 1024).toFixed(2)} MB`
+        : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Count the ZIPs in a FeatureCollection or TopoJSON object, and those without a shape
+ * @param {Array<Object>} items - GeoJSON features or TopoJSON geometries
+ * @param {Function} getZip - Reads an item's ZIP
+ * @param {Function} isEmpty - Checks whether an item has no shape
+ * @returns {Object} { zips: Map of ZIP -> count, empty: Set of ZIPs without a shape }
+ */
+function summarizeZips(items, getZip, isEmpty) {
+    const zips = new Map();
+    const empty = new Set();
+
+    items.forEach(item => {
+        const zip = getZip(item);
+        zips.set(zip, (zips.get(zip) || 0) + 1);
+        if (isEmpty(item)) empty.add(zip);
+    });
+
+    return { zips, empty };
+}
+
+/**
+ * Check a built level against its source
+ * @param {Object} source - Source summary from summarizeZips
+ * @param {Object} topology - Built TopoJSON
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateLevel(source, topology) {
+    const problems = [];
+    const object = topology.objects.zips;
+
+    if (!object) {
+        return ['missing the "zips" object'];
+    }
+
+    const built = summarizeZips(
+        object.geometries,
+        geometry => geometry.properties && geometry.properties.ZCTA5CE10,
+        geometry => !geometry.type
+    );
+
+    source.zips.forEach((count, zip) => {
+        if (!built.zips.has(zip)) problems.push(`ZIP ${zip} is missing`);
+    });
+    built.zips.forEach((count, zip) => {
+        if (!source.zips.has(zip)) problems.push(`ZIP ${zip} is not in the source`);
+        if (count > 1) problems.push(`ZIP ${zip} appears ${count} times`);
+    });
+    built.empty.forEach(zip => {
+        if (!source.empty.has(zip)) problems.push(`ZIP ${zip} lost its shape`);
+    });
+
+    return problems;
+}
+
+/**
+ * Build and validate every level for one state
+ * @param {string} file - Source file name in geojsons/
+ * @returns {Promise<Object>} { sourceSize, sizes: { level: bytes }, problems }
+ */
+async function buildState(file) {
+    const input = fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8');
+    const geojson = JSON.parse(input);
+    const source = summarizeZips(
+        geojson.features,
+        feature => feature.properties.ZCTA5CE10,
+        feature => !feature.geometry
+    );
+    const baseName = file.replace('_geo.min.json', '');
+    const result = { sourceSize: Buffer.byteLength(input), sizes: {}, problems: [] };
+
+    source.zips.forEach((count, zip) => {
+        if (count > 1) result.problems.push(`source has ZIP ${zip} ${count} times`);
+    });
+
+    for (const level of LEVELS) {
+        const outputName = `${baseName}.${level.name}.json`;
+        const output = await mapshaper.applyCommands([
+            '-i zips.json',
+            '-rename-layers zips',
+            `-simplify ${level.simplify} keep-shapes`,
+            `-filter-fields ${FIELDS.join(',')}`,
+            `-o format=topojson quantization=${level.quantization} out.json`
+        ].join(' '), { 'zips.json': input });
+
+        const text = output['out.json'].toString();
+        validateLevel(source, JSON.parse(text)).forEach(problem => {
+            result.problems.push(`${level.name}: ${problem}`);
+        });
+
+        fs.writeFileSync(path.join(OUTPUT_DIR, outputName), text);
+        result.sizes[level.name] = Buffer.byteLength(text);
+    }
+
+    return result;
+}
+
+async function main() {
+    const only = process.argv.slice(2).map(prefix => prefix.toLowerCase());
+    const files = fs.readdirSync(SOURCE_DIR)
+        .filter(file => file.endsWith('_zip_codes_geo.min.json'))
+        .filter(file => only.length === 0 || only.includes(file.slice(0, 2)));
+
+    if (files.length === 0) {
+        throw new Error('No matching state files in geojsons/');
+    }
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    const totals = { source: 0 };
+    LEVELS.forEach(level => {
+        totals[level.name] = 0;
+    });
+    let failed = 0;
+
+    for (const file of files) {
+        const result = await buildState(file);
+        totals.source += result.sourceSize;
+
+        const sizes = LEVELS.map(level => {
+            totals[level.name] += result.sizes[level.name];
+            return `${level.name} ${formatSize(result.sizes[level.name])}`;
+        });
+        console.log(`${file.slice(0, 2).toUpperCase()}: ${formatSize(result.sourceSize)} -> ${sizes.join(', ')}`);
+
+        if (result.problems.length > 0) {
+            failed++;
+            result.problems.forEach(problem => console.error(`  ERROR ${problem}`));
+        }
+    }
+
+    console.log('');
+    console.log(`Source GeoJSON: ${formatSize(totals.source)}`);
+    LEVELS.forEach(level => {
+        const reduction = (1 - totals[level.name] / totals.source) * 100;
+        console.log(`${level.name}: ${formatSize(totals[level.name])} (${reduction.toFixed(1)}% smaller)`);
+    });
+
+    if (failed > 0) {
+        throw new Error(`${failed} state(s) failed validation`);
+    }
+}
+
+main().catch(err => {
+    console.error(err.message || err);
+    process.exit(1);
+});
@@ -0,0 +1,91 @@
+/**
+ * Build the bundled boundaries for the national overview layer
+ * Dissolves every state's ZIP polygons into state outlines and 3-digit ZIP
+ * prefix areas, then simplifies them so the whole country loads in one small request
+ *
+ * Requires mapshaper (the same tool scripts/build-geometry.js uses, pinned in package.json):
+ *   npm install
+ *
+ * Usage (from the project folder):
+ *   npm run build:overview
+ *
+ * Output:
+ *   geojsons/overview/states.min.json - one feature per state, { STATE }
+ *   geojsons/overview/zip3.min.json   - one feature per ZIP prefix, { ZIP3 }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mapshaper = require('mapshaper');
+
+const SOURCE_DIR = path.join(__dirname, '..', 'geojsons');
+const OUTPUT_DIR = path.join(SOURCE_DIR, 'overview');
+
+// Share of vertices kept after dissolving - overview layers are only shown zoomed out
+const SIMPLIFY = { states: '1%', zip3: '2%' };
+
+/**
+ * Read every state's ZIP polygons, keeping only the fields the overview dissolves on
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function loadZipFeatures() {
+    const files = fs.readdirSync(SOURCE_DIR).filter(file => file.endsWith('_zip_codes_geo.min.json'));
+    const features = [];
+
+    files.forEach(file => {
+        const state = file.slice(0, 2).toUpperCase();
+        const geojson = JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8'));
+
+        geojson.features.forEach(feature => {
+            features.push({
+                type: 'Feature',
+                geometry: feature.geometry,
+                properties: { STATE: state, ZIP3: feature.properties.ZCTA5CE10.slice(0, 3) }
+            });
+        });
+
+        console.log(`  ${state}: ${geojson.features.length} ZIPs`);
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Dissolve the ZIP polygons on a field and write the simplified result
+ * @param {string} input - ZIP FeatureCollection as JSON text
+ * @param {string} field - Property to dissolve on
+ * @param {string} simplify - Share of vertices to keep
+ * @param {string} fileName - Output file name
+ */
+async function buildLayer(input, field, simplify, fileName) {
+    const dissolved = await mapshaper.applyCommands(
+        `-i zips.json -dissolve ${field} -filter remove-empty -o format=geojson dissolved.json`,
+        { 'zips.json': input }
+    );
+
+    // Simplify in a second pass - re-importing drops the old ZIP corners from the
+    // topology, which would otherwise all be kept as arc endpoints
+    const output = await mapshaper.applyCommands(
+        `-i dissolved.json -simplify ${simplify} keep-shapes -clean ` +
+        `-o format=geojson precision=0.001 ${fileName}`,
+        { 'dissolved.json': dissolved['dissolved.json'] }
+    );
+
+    fs.writeFileSync(path.join(OUTPUT_DIR, fileName), output[fileName]);
+    const size = (fs.statSync(path.join(OUTPUT_DIR, fileName)).size / 1024).toFixed(0);
+    console.log(`Wrote geojsons/overview/${fileName} (${size} KB)`);
+}
+
+async function main() {
+    console.log('Reading ZIP boundaries...');
+    const input = JSON.stringify(loadZipFeatures());
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    await buildLayer(input, 'STATE', SIMPLIFY.states, 'states.min.json');
+    await buildLayer(input, 'ZIP3', SIMPLIFY.zip3, 'zip3.min.json');
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
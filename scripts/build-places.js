@@ -0,0 +1,221 @@
+/**
+ * Build the ZIP-to-place crosswalk that ZIP search uses for city and county names
+ * (geojsons/zip-places.json)
+ *
+ * By default it's built from the GeoNames US postal code list (CC BY 4.0,
+ * https://www.geonames.org/), which the zipcodes-us package pinned in package.json
+ * ships as data/US.txt. Each ZIP is listed under its postal city and its county.
+ *
+ * It can also be built from the Census 2020 ZCTA relationship files, which match
+ * ZIPs to incorporated places and CDPs by land area instead. Download the two
+ * national files from https://www2.census.gov/geo/docs/maps-data/data/rel2020/
+ * (zcta520/ folder):
+ *   tab20_zcta520_place20_natl.txt   - ZCTAs by incorporated place and CDP
+ *   tab20_zcta520_county20_natl.txt  - ZCTAs by county
+ * There a ZIP is listed under a place or county when at least MIN_LAND_SHARE of its
+ * land is inside it; every place and county also keeps the ZIP covering most of it,
+ * so small towns still find their ZIP.
+ *
+ * Usage (from the project folder):
+ *   npm install
+ *   npm run build:places                                  - from GeoNames
+ *   npm run build:places -- <place file> <county file>    - from the Census files
+ *
+ * Either way only ZIPs with a boundary in the state files are kept.
+ *
+ * Output (see loadZipPlaces in js/search.js):
+ *   { "places":   [[name, state, [zip, ...]], ...],
+ *     "counties": [[name, state, [zip, ...]], ...] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_FILE = path.join(ROOT, 'geojsons', 'zip-places.json');
+const TOPO_DIR = path.join(ROOT, 'geojsons', 'topo');
+const GEONAMES_FILE = path.join(ROOT, 'node_modules', 'zipcodes-us', 'data', 'US.txt');
+
+// Smallest share of a ZIP's land that puts it in a place or county
+const MIN_LAND_SHARE = 0.1;
+
+// State FIPS codes to the abbreviations js/config.js uses
+const STATE_FIPS = {
+    '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO', '09': 'CT',
+    '10': 'DE', '11': 'DC', '12': 'FL', '13': 'GA', '15': 'HI', '16': 'ID', '17': 'IL',
+    '18': 'IN', '19': 'IA', '20': 'KS', '21': 'KY', '22': 'LA', '23': 'ME', '24': 'MD',
+    '25': 'MA', '26': 'MI', '27': 'MN', '28': 'MS', '29': 'MO', '30': 'MT', '31': 'NE',
+    '32': 'NV', '33': 'NH', '34': 'NJ', '35': 'NM', '36': 'NY', '37': 'NC', '38': 'ND',
+    '39': 'OH', '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI', '45': 'SC', '46': 'SD',
+    '47': 'TN', '48': 'TX', '49': 'UT', '50': 'VT', '51': 'VA', '53': 'WA', '54': 'WV',
+    '55': 'WI', '56': 'WY', '72': 'PR'
+};
+
+// County name suffixes GeoNames keeps; other counties get the state's usual one
+const COUNTY_SUFFIX = /\b(County|Parish|Borough|Census Area|Municipality|city)$/;
+
+// Alaska areas GeoNames names without a suffix that are census areas, not boroughs
+const ALASKA_CENSUS_AREAS = new Set(['Hoonah-Angoon', 'Kusilvak', 'Prince of Wales-Hyder', 'Skagway-Hoonah-Angoon']);
+
+// Connecticut's old counties; GeoNames lists most ZIPs under the planning regions
+// that replaced them (e.g. "Capitol Region" -> "Capitol Planning Region")
+const CONNECTICUT_COUNTIES = new Set(['Fairfield', 'Hartford', 'Litchfield', 'Middlesex', 'New Haven', 'New London', 'Tolland', 'Windham']);
+
+/**
+ * Read the ZIPs that have a boundary, from the low-detail TopoJSON files
+ * @returns {Set<string>} 5-digit ZIP codes
+ */
+function readBoundaryZips() {
+    const zips = new Set();
+    fs.readdirSync(TOPO_DIR).filter(file => file.endsWith('.low.json')).forEach(file => {
+        const topology = JSON.parse(fs.readFileSync(path.join(TOPO_DIR, file), 'utf8'));
+        topology.objects.zips.geometries.forEach(geometry => zips.add(geometry.properties.ZCTA5CE10));
+    });
+    return zips;
+}
+
+/**
+ * Sort areas by state and name
+ * @param {Array<Array>} areas - [name, state, zips] per area
+ * @returns {Array<Array>} The same array, sorted
+ */
+function sortAreas(areas) {
+    return areas.sort((a, b) => a[1].localeCompare(b[1]) || a[0].localeCompare(b[0]));
+}
+
+/**
+ * Write a GeoNames county name the way the Census does
+ * e.g. "Dane" -> "Dane County", "Richmond (city)" / "City of Richmond" -> "Richmond city"
+ * @param {string} name - GeoNames admin2 name
+ * @param {string} state - State abbreviation
+ * @returns {string} County name with its suffix
+ */
+function formatCountyName(name, state) {
+    const county = name
+        .replace(/\s*\(CA\)$/, ' Census Area')
+        .replace(/^(.*?)\s*\(city\)?$/, '$1 city')
+        .replace(/^City of (.*)$/, '$1 city')
+        .trim();
+
+    if (COUNTY_SUFFIX.test(county) || /\bCity and (Borough|County)\b/.test(county)) return county;
+    if (state === 'LA') return `${county} Parish`;
+    if (state === 'AK') return `${county} ${ALASKA_CENSUS_AREAS.has(county) ? 'Census Area' : 'Borough'}`;
+    if (state === 'CT' && !CONNECTICUT_COUNTIES.has(county)) return `${county.replace(/ Region(al)?$/, '')} Planning Region`;
+    return `${county} County`;
+}
+
+/**
+ * Read the GeoNames postal code list into places and counties with their ZIPs
+ * Tab-separated: country, ZIP, place, state name, state, county, county code, ...
+ * @param {string} file - Path to US.txt
+ * @param {Set<string>} boundaryZips - ZIPs to keep
+ * @returns {{places: Array<Array>, counties: Array<Array>}} [name, state, zips] per area
+ */
+function readGeoNames(file, boundaryZips) {
+    const states = new Set(Object.values(STATE_FIPS));
+    const places = new Map();
+    const counties = new Map();
+    const add = (areas, name, state, zip) => {
+        const key = `${state}|${name}`;
+        if (!areas.has(key)) areas.set(key, [name, state, []]);
+        areas.get(key)[2].push(zip);
+    };
+
+    fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+        const [, zip, place, , state, county] = line.split('\t');
+        if (!boundaryZips.has(zip) || !states.has(state)) return;
+
+        // Census place names abbreviate Saint, e.g. "St. Louis"
+        if (place) add(places, place.replace(/\bSaint\b/g, 'St.'), state, zip);
+        if (county) add(counties, formatCountyName(county, state), state, zip);
+    });
+
+    const toAreas = areas => sortAreas([...areas.values()].map(([name, state, zips]) => [name, state, zips.sort()]));
+    return { places: toAreas(places), counties: toAreas(counties) };
+}
+
+/**
+ * Read a pipe-delimited relationship file into areas with the ZIPs they cover
+ * @param {string} file - Path to the relationship file
+ * @param {string} suffix - Column suffix of the area, e.g. 'PLACE_20' or 'COUNTY_20'
+ * @returns {Array<Array>} [name, state, zips] per area, sorted by state and name
+ */
+function readRelationships(file, suffix) {
+    const lines = fs.readFileSync(file, 'utf8').replace(/^﻿/, '').split(/\r?\n/).filter(Boolean);
+    const header = lines[0].split('|');
+    const column = name => {
+        const index = header.indexOf(name);
+        if (index === -1) throw new Error(`${path.basename(file)} has no ${name} column`);
+        return index;
+    };
+
+    const zipColumn = column('GEOID_ZCTA5_20');
+    const zipLandColumn = column('AREALAND_ZCTA5_20');
+    const areaColumn = column(`GEOID_${suffix}`);
+    const nameColumn = column(`NAMELSAD_${suffix}`);
+    const landColumn = column('AREALAND_PART');
+
+    // Area GEOID -> { name, state, parts: [{ zip, land, share }] }
+    const areas = new Map();
+
+    lines.slice(1).forEach(line => {
+        const cells = line.split('|');
+        const zip = cells[zipColumn];
+        const geoid = cells[areaColumn];
+        const land = parseFloat(cells[landColumn]) || 0;
+        const zipLand = parseFloat(cells[zipLandColumn]) || 0;
+        const state = STATE_FIPS[geoid.slice(0, 2)];
+
+        // Rows for areas with no ZCTA, or states the app doesn't cover
+        if (!/^\d{5}$/.test(zip || '') || !state || land <= 0) return;
+
+        if (!areas.has(geoid)) {
+            areas.set(geoid, { name: cells[nameColumn], state, parts: [] });
+        }
+        areas.get(geoid).parts.push({ zip, land, share: zipLand > 0 ? land / zipLand : 0 });
+    });
+
+    const result = [];
+    areas.forEach(({ name, state, parts }) => {
+        const largest = parts.reduce((best, part) => (part.land > best.land ? part : best));
+        const zips = parts
+            .filter(part => part === largest || part.share >= MIN_LAND_SHARE)
+            .map(part => part.zip)
+            .sort();
+        result.push([name, state, zips]);
+    });
+
+    return sortAreas(result);
+}
+
+function main() {
+    const [placeFile, countyFile] = process.argv.slice(2);
+    if (placeFile && !countyFile) {
+        console.error('Usage: node scripts/build-places.js [<place file> <county file>]');
+        process.exit(1);
+    }
+
+    const boundaryZips = readBoundaryZips();
+    let places;
+    let counties;
+
+    if (placeFile) {
+        const hasBoundary = ([, , zips]) => zips.length > 0;
+        const keepBoundaryZips = ([name, state, zips]) => [name, state, zips.filter(zip => boundaryZips.has(zip))];
+        places = readRelationships(placeFile, 'PLACE_20').map(keepBoundaryZips).filter(hasBoundary);
+        counties = readRelationships(countyFile, 'COUNTY_20').map(keepBoundaryZips).filter(hasBoundary);
+    } else {
+        if (!fs.existsSync(GEONAMES_FILE)) {
+            console.error(`${path.relative(process.cwd(), GEONAMES_FILE)} not found - run npm install first`);
+            process.exit(1);
+        }
+        ({ places, counties } = readGeoNames(GEONAMES_FILE, boundaryZips));
+    }
+
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify({ places, counties }));
+
+    const size = (fs.statSync(OUTPUT_FILE).size / 1024).toFixed(0);
+    console.log(`Wrote ${places.length.toLocaleString()} places and ${counties.length.toLocaleString()} counties to ${path.relative(process.cwd(), OUTPUT_FILE)} (${size} KB)`);
+}
+
+main();
@@ -0,0 +1,122 @@
+/**
+ * Build the binary price data the app loads (ZHVI_WI.bin) from ZHVI_WI.csv
+ * The file holds a ZIP index and one column of whole-dollar values per year, so the
+ * data worker can use it directly instead of parsing 26k rows of text
+ *
+ * No npm packages needed. Run it again whenever ZHVI_WI.csv changes (and bump
+ * DATA_VERSION in js/config.js so saved offline copies are replaced).
+ *
+ * Usage (from the project folder):
+ *   node scripts/build-price-data.js
+ *
+ * Layout (little-endian):
+ *   0   char[4]          "ZHVI"
+ *   4   uint16           format version (1)
+ *   6   uint16           first year
+ *   8   uint16           year count
+ *   10  uint16           reserved (0)
+ *   12  uint32           ZIP count (n)
+ *   16  uint32[n]        ZIP codes as numbers, ascending
+ *   ..  uint32[years*n]  one column per year: each ZIP's value in ZIP order, 0 when missing
+ *   ..  uint8[2*n]       each ZIP's state abbreviation (ASCII)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_FILE = path.join(__dirname, '..', 'ZHVI_WI.csv');
+const OUTPUT_FILE = path.join(__dirname, '..', 'ZHVI_WI.bin');
+
+const FORMAT_VERSION = 1;
+const HEADER_BYTES = 16;
+
+/**
+ * Read the CSV into ZIP records
+ * The file has no quoted fields, so a plain split is enough
+ * @returns {Object} { years, records: [{ zip, state, values }] } sorted by ZIP
+ */
+function readCSV() {
+    const lines = fs.readFileSync(SOURCE_FILE, 'utf8').replace(/^﻿/, '').split(/\r?\n/).filter(Boolean);
+    const header = lines[0].split(',');
+
+    if (header[0] !== 'Zip_Code' || header[1] !== 'State') {
+        throw new Error(`Unexpected columns: ${header.slice(0, 2).join(', ')}`);
+    }
+
+    const years = header.slice(2).map(Number);
+    years.forEach((year, i) => {
+        if (year !== years[0] + i) throw new Error(`Year columns are not consecutive at ${header[i + 2]}`);
+    });
+
+    const seen = new Set();
+    const records = lines.slice(1).map((line, i) => {
+        const cells = line.split(',');
+        const zip = cells[0].padStart(5, '0');
+
+        if (!/^\d{5}$/.test(zip)) throw new Error(`Bad ZIP "${cells[0]}" on line ${i + 2}`);
+        if (seen.has(zip)) throw new Error(`Duplicate ZIP ${zip} on line ${i + 2}`);
+        seen.add(zip);
+
+        return {
+            zip,
+            state: (cells[1] || '').padEnd(2).slice(0, 2),
+            values: years.map((year, y) => {
+                const value = Math.round(parseFloat(cells[y + 2]));
+                return value > 0 ? value : 0;
+            })
+        };
+    });
+
+    records.sort((a, b) => a.zip.localeCompare(b.zip));
+    return { years, records };
+}
+
+/**
+ * Pack the records into the binary layout described above
+ * @param {Array<number>} years - Year of each column
+ * @param {Array<Object>} records - ZIP records sorted by ZIP
+ * @returns {Buffer} File contents
+ */
+function packPriceData(years, records) {
+    const count = records.length;
+    const buffer = Buffer.alloc(HEADER_BYTES + count * 4 + years.length * count * 4 + count * 2);
+
+    buffer.write('ZHVI', 0, 'ascii');
+    buffer.writeUInt16LE(FORMAT_VERSION, 4);
+    buffer.writeUInt16LE(years[0], 6);
+    buffer.writeUInt16LE(years.length, 8);
+    buffer.writeUInt32LE(count, 12);
+
+    let offset = HEADER_BYTES;
+    records.forEach(record => {
+        buffer.writeUInt32LE(Number(record.zip), offset);
+        offset += 4;
+    });
+
+    years.forEach((year, y) => {
+        records.forEach(record => {
+            buffer.writeUInt32LE(record.values[y], offset);
+            offset += 4;
+        });
+    });
+
+    records.forEach(record => {
+        buffer.write(record.state, offset, 'ascii');
+        offset += 2;
+    });
+
+    return buffer;
+}
+
+function main() {
+    const { years, records } = readCSV();
+    const buffer = packPriceData(years, records);
+
+    fs.writeFileSync(OUTPUT_FILE, buffer);
+
+    const sourceSize = fs.statSync(SOURCE_FILE).size;
+    console.log(`${records.length} ZIPs, ${years[0]}-${years[years.length - 1]}`);
+    console.log(`Wrote ${path.basename(OUTPUT_FILE)}: ${(buffer.length / 1024).toFixed(0)} KB (CSV: ${(sourceSize / 1024).toFixed(0)} KB)`);
+}
+
+main();
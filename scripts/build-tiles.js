@@ -0,0 +1,104 @@
+/**
+ * Build static vector tiles of every ZIP in the country for the nationwide view
+ * Cuts all 51 state GeoJSON files into Mapbox Vector Tiles that the app draws with
+ * Leaflet.VectorGrid, so the whole US can be shown without one layer per ZIP polygon
+ *
+ * Requires geojson-vt and vt-pbf (pinned in package.json):
+ *   npm install
+ *
+ * Usage (from the project folder):
+ *   npm run build:tiles
+ *
+ * Output:
+ *   geojsons/tiles/{z}/{x}/{y}.pbf - one layer, "zips", with { ZCTA5CE10 } per feature,
+ *   for zooms TILE_MIN_ZOOM to TILE_MAX_ZOOM (keep in sync with js/config.js; the
+ *   app over-zooms the last level)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const geojsonvt = require('geojson-vt');
+const vtpbf = require('vt-pbf');
+
+const SOURCE_DIR = path.join(__dirname, '..', 'geojsons');
+const OUTPUT_DIR = path.join(SOURCE_DIR, 'tiles');
+
+const TILE_MIN_ZOOM = 3;
+const TILE_MAX_ZOOM = 9;
+const LAYER_NAME = 'zips';
+
+/**
+ * Read every state's ZIP polygons, keeping only the ZIP code
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function loadZipFeatures() {
+    const files = fs.readdirSync(SOURCE_DIR).filter(file => file.endsWith('_zip_codes_geo.min.json'));
+    const features = [];
+
+    files.forEach(file => {
+        const geojson = JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8'));
+
+        geojson.features.forEach(feature => {
+            if (!feature.geometry) return;
+            features.push({
+                type: 'Feature',
+                properties: { ZCTA5CE10: feature.properties.ZCTA5CE10 },
+                geometry: feature.geometry
+            });
+        });
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Write a tile and its children, skipping empty ones
+ * @param {Object} index - geojson-vt tile index
+ * @param {number} z - Zoom
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {Object} totals - Running { tiles, bytes }
+ */
+function writeTiles(index, z, x, y, totals) {
+    const tile = index.getTile(z, x, y);
+    if (!tile || tile.features.length === 0) return;
+
+    if (z >= TILE_MIN_ZOOM) {
+        const data = Buffer.from(vtpbf.fromGeojsonVt({ [LAYER_NAME]: tile }, { version: 2 }));
+        const dir = path.join(OUTPUT_DIR, String(z), String(x));
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, `${y}.pbf`), data);
+        totals.tiles++;
+        totals.bytes += data.length;
+    }
+
+    if (z < TILE_MAX_ZOOM) {
+        for (let dx = 0; dx < 2; dx++) {
+            for (let dy = 0; dy < 2; dy++) {
+                writeTiles(index, z + 1, x * 2 + dx, y * 2 + dy, totals);
+            }
+        }
+    }
+}
+
+function main() {
+    const collection = loadZipFeatures();
+    console.log(`${collection.features.length} ZIP polygons`);
+
+    const index = geojsonvt(collection, {
+        maxZoom: TILE_MAX_ZOOM,
+        indexMaxZoom: 5,
+        tolerance: 3,
+        extent: 4096,
+        buffer: 64
+    });
+
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+
+    const totals = { tiles: 0, bytes: 0 };
+    writeTiles(index, 0, 0, 0, totals);
+
+    console.log(`Wrote ${totals.tiles} tiles to geojsons/tiles: ${(totals.bytes / 1024 / 1024).toFixed(1)} MB`);
+}
+
+main();
@@ -0,0 +1,141 @@
+/**
+ * Report how well ZHVI_WI.csv joins the state ZIP boundary files
+ * Runs the same checks as the app's Data Diagnostics panel (js/data-checks.js):
+ * per-state join coverage, ZIPs missing years, ZIPs whose CSV State column,
+ * ZIP prefix (ZIP_STATE_MAP) and state file disagree, and ZIP_STATE_MAP prefixes
+ * that point to a state without a state file (e.g. PR) or are missing.
+ *
+ * No npm packages needed.
+ *
+ * Usage (from the project folder):
+ *   node scripts/check-data.js              - print the summary
+ *   node scripts/check-data.js --out dir    - also write each list as a CSV in dir
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_FILE = path.join(ROOT, 'ZHVI_WI.csv');
+const GEOJSON_DIR = path.join(ROOT, 'geojsons');
+
+// Load the app's config and checks into this script's global scope
+['js/config.js', 'js/metrics.js', 'js/data-checks.js'].forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+});
+
+/**
+ * Read the CSV as it is, keeping the State column verbatim
+ * @returns {Object} { zips, states, rows } - rows hold 0 for missing years
+ */
+function readPrices() {
+    const lines = fs.readFileSync(SOURCE_FILE, 'utf8').replace(/^﻿/, '').split(/\r?\n/).filter(Boolean);
+    const years = lines[0].split(',').slice(2).map(Number);
+    const prices = { zips: [], states: [], rows: [] };
+
+    lines.slice(1).forEach(line => {
+        const cells = line.split(',');
+        const row = new Array(YEAR_COUNT).fill(0);
+        years.forEach((year, y) => {
+            const value = parseFloat(cells[y + 2]);
+            if (year >= 2000 && year <= 2025 && value > 0) row[year - 2000] = value;
+        });
+
+        prices.zips.push(cells[0].padStart(5, '0'));
+        prices.states.push((cells[1] || '').trim());
+        prices.rows.push(row);
+    });
+
+    return prices;
+}
+
+/**
+ * Read the ZCTA codes in each state file
+ * @returns {Object<string, Array<string>>} ZIP codes by state abbreviation
+ */
+function readPolygons() {
+    const polygons = {};
+
+    Object.keys(STATES).forEach(state => {
+        const file = path.join(GEOJSON_DIR, STATES[state].file);
+        const geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+        polygons[state] = geojson.features.map(feature => feature.properties.ZCTA5CE10);
+    });
+
+    return polygons;
+}
+
+/**
+ * Write records as CSV, quoting cells that need it
+ * @param {string} file - Output path
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Object>} records - Records keyed by column
+ */
+function writeCSV(file, columns, records) {
+    const escape = value => {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.join(',')].concat(records.map(record => columns.map(column => escape(record[column])).join(',')));
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+}
+
+/**
+ * Print the first entries of a list
+ * @param {string} key - Key of DATA_CHECK_LISTS
+ * @param {Array<Object>} records - List entries
+ * @param {number} limit - Max entries shown
+ */
+function printList(key, records, limit) {
+    const { label, columns } = DATA_CHECK_LISTS[key];
+    console.log(`\n${label}: ${records.length}`);
+    records.slice(0, limit).forEach(record => {
+        console.log('  ' + columns.map(column => (record[column] === '' ? '-' : record[column])).join('  '));
+    });
+    if (records.length > limit) console.log(`  ... ${records.length - limit} more`);
+}
+
+function main() {
+    const outIndex = process.argv.indexOf('--out');
+    const outDir = outIndex !== -1 ? process.argv[outIndex + 1] : null;
+    if (outIndex !== -1 && !outDir) {
+        throw new Error('--out needs a folder');
+    }
+
+    const report = checkDataJoin(readPrices(), readPolygons());
+    const totals = report.totals;
+
+    console.log(`CSV ZIPs: ${totals.csvZips}`);
+    console.log(`ZCTAs in state files: ${totals.polygons} (${totals.joined} with prices, ${(totals.joined / totals.polygons * 100).toFixed(1)}%)`);
+
+    console.log('\nJoin coverage by state (lowest first):');
+    report.coverage
+        .slice()
+        .sort((a, b) => a.Coverage_Pct - b.Coverage_Pct)
+        .forEach(entry => {
+            console.log(`  ${entry.State}  ${String(entry.Coverage_Pct).padStart(5)}%  ${entry.With_Prices}/${entry.ZCTAs} ZCTAs` +
+                (entry.CSV_Without_Polygon > 0 ? `, ${entry.CSV_Without_Polygon} CSV ZIPs without a polygon` : ''));
+        });
+
+    printList('pricesWithoutPolygons', report.pricesWithoutPolygons, 20);
+    printList('stateConflicts', report.stateConflicts, 20);
+    printList('prefixIssues', report.prefixIssues, 20);
+    printList('yearGaps', report.yearGaps, 10);
+    console.log(`\n${DATA_CHECK_LISTS.polygonsWithoutPrices.label}: ${totals.polygonsWithoutPrices} (see --out)`);
+
+    if (outDir) {
+        fs.mkdirSync(outDir, { recursive: true });
+        Object.keys(DATA_CHECK_LISTS).forEach(key => {
+            writeCSV(path.join(outDir, `${key}.csv`), DATA_CHECK_LISTS[key].columns, report[key]);
+        });
+        console.log(`\nWrote ${Object.keys(DATA_CHECK_LISTS).length} CSV files to ${outDir}`);
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(err.message || err);
+    process.exit(1);
+}
@@ -0,0 +1,218 @@
+/**
+ * Service worker - makes the app work offline after the first visit
+ * - Data files (ZHVI_WI.bin and geojsons/) are served from IndexedDB when saved for
+ *   the current data version, and saved there the first time they are fetched
+ * - The app shell and CDN libraries are network-first, falling back to Cache Storage
+ * - Basemap tiles and the nationwide view's vector tiles (geojsons/tiles/) already seen
+ *   are served from cache (up to TILE_CACHE_LIMIT between them)
+ *
+ * Registered by js/offline.js as sw.js?v=<DATA_VERSION>, so a new data version
+ * installs a new worker that drops the old version's files.
+ */
+
+importScripts('js/offline-cache.js');
+
+const DATA_VERSION = new URL(self.location).searchParams.get('v') || '1';
+const SHELL_CACHE = 'zhvi-shell';
+const TILE_CACHE = 'zhvi-tiles';
+const TILE_CACHE_LIMIT = 1000;
+
+// Everything the page needs to start - keep in sync with index.html
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'css/styles.css',
+    'js/config.js',
+    'js/metrics.js',
+    'js/palette.js',
+    'js/classify.js',
+    'js/data-client.js',
+    'js/data-worker.js',
+    'js/chart.js',
+    'js/affordability.js',
+    'js/gif-encoder.js',
+    'js/export.js',
+    'js/overview.js',
+    'js/autoload.js',
+    'js/vector-tiles.js',
+    'js/offline-cache.js',
+    'js/offline.js',
+    'js/data-checks.js',
+    'js/diagnostics.js',
+    'js/gap-fill.js',
+    'js/estimates.js',
+    'js/inflation.js',
+    'js/appearance.js',
+    'js/search.js',
+    'js/regions.js',
+    'js/user-data.js',
+    'js/app.js',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
+    'https://unpkg.com/topojson-client@3.1.0/dist/topojson-client.min.js',
+    'https://unpkg.com/leaflet.vectorgrid@1.3.0/dist/Leaflet.VectorGrid.bundled.min.js'
+];
+
+// Data needed before any state is picked
+const PRECACHE_DATA = [
+    'ZHVI_WI.bin',
+    'geojsons/overview/states.min.json',
+    'geojsons/overview/zip3.min.json'
+];
+
+/**
+ * Get a request's path relative to the app, or null if it's outside the app
+ * @param {URL} url - Request URL
+ * @returns {string|null} Path, e.g. "geojsons/topo/ri_rhode_island_zip_codes.low.json"
+ */
+function getAppPath(url) {
+    const scope = new URL(self.registration.scope);
+    if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return null;
+    return decodeURIComponent(url.pathname.slice(scope.pathname.length));
+}
+
+/**
+ * Check whether a path is one of the nationwide view's vector tiles
+ * @param {string|null} path - Path relative to the app
+ * @returns {boolean} True for geojsons/tiles/{z}/{x}/{y}.pbf
+ */
+function isVectorTilePath(path) {
+    return path !== null && path.startsWith('geojsons/tiles/');
+}
+
+/**
+ * Check whether a path is a data file kept in IndexedDB
+ * Vector tiles are left to the bounded tile cache - there are too many to keep them all
+ * @param {string|null} path - Path relative to the app
+ * @returns {boolean} True for the price data and GeoJSON files
+ */
+function isDataPath(path) {
+    return path === 'ZHVI_WI.bin' || (path !== null && path.startsWith('geojsons/') && !isVectorTilePath(path));
+}
+
+/**
+ * Tell open pages a file was saved so they can update their offline status
+ * @param {string} path - Saved file path
+ */
+async function notifySaved(path) {
+    const clients = await self.clients.matchAll();
+    clients.forEach(client => client.postMessage({ type: 'offline-saved', path }));
+}
+
+/**
+ * Fetch a data file from the network and save it for offline use
+ * @param {string} path - Path relative to the app
+ * @returns {Promise<Response>} Network response
+ */
+async function fetchAndSaveData(path) {
+    const response = await fetch(path);
+    if (response.ok) {
+        const blob = await response.clone().blob();
+        await putOfflineFile(path, DATA_VERSION, blob);
+        await notifySaved(path);
+    }
+    return response;
+}
+
+/**
+ * Serve a data file from IndexedDB, fetching and saving it if missing
+ * @param {string} path - Path relative to the app
+ * @returns {Promise<Response>} Response
+ */
+async function serveData(path) {
+    try {
+        const saved = await getOfflineFile(path, DATA_VERSION);
+        if (saved) {
+            return new Response(saved.blob, { headers: { 'Content-Type': saved.blob.type || 'application/octet-stream' } });
+        }
+    } catch (err) {
+        console.warn('Offline store unavailable:', err);
+    }
+    return fetchAndSaveData(path);
+}
+
+/**
+ * Serve from the network, updating the cache, or from the cache when offline
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+/**
+ * Serve a basemap or vector tile from cache, or fetch and cache it
+ * The oldest tiles are dropped past TILE_CACHE_LIMIT
+ * @param {Request} request - Tile request
+ * @returns {Promise<Response>} Response
+ */
+async function serveTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        const keys = await cache.keys();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - TILE_CACHE_LIMIT)).map(key => cache.delete(key)));
+    }
+    return response;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+
+        // One unreachable file shouldn't stop the rest from being saved
+        await Promise.all([
+            ...SHELL_FILES.map(file => cache.add(file).catch(err => console.warn(`Could not cache ${file}:`, err))),
+            ...PRECACHE_DATA.map(path => getOfflineFile(path, DATA_VERSION)
+                .then(saved => saved || fetchAndSaveData(path))
+                .catch(err => console.warn(`Could not save ${path}:`, err)))
+        ]);
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // Drop files saved for older data versions, and vector tiles cut from them
+        await deleteOfflineFiles(DATA_VERSION);
+        const tileCache = await caches.open(TILE_CACHE);
+        const tileKeys = await tileCache.keys();
+        await Promise.all(tileKeys
+            .filter(key => isVectorTilePath(getAppPath(new URL(key.url))))
+            .map(key => tileCache.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const path = getAppPath(url);
+
+    if (isDataPath(path)) {
+        event.respondWith(serveData(path));
+    } else if (isVectorTilePath(path) || url.hostname.endsWith('basemaps.cartocdn.com')) {
+        event.respondWith(serveTile(request));
+    } else if (path !== null || SHELL_FILES.includes(request.url) || url.hostname.startsWith('fonts.')) {
+        event.respondWith(networkFirst(request));
+    }
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests for the color scale classification (js/classify.js)
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Load the scripts into this file's global scope, in the data worker's order
+['js/config.js', 'js/metrics.js', 'js/palette.js', 'js/classify.js'].forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+});
+
+/**
+ * Check that breaks run from the lowest to the highest value without repeats
+ * @param {Array<number>} breaks - Breaks from getClassBreaks
+ */
+function assertIncreasing(breaks) {
+    assert.ok(breaks.every(Number.isFinite), `non-finite break in ${breaks}`);
+    for (let i = 1; i < breaks.length; i++) {
+        assert.ok(breaks[i] > breaks[i - 1], `breaks not increasing: ${breaks}`);
+    }
+}
+
+test('equal interval splits the color range evenly', () => {
+    const sorted = Array.from({ length: 101 }, (_, i) => i);
+    const result = getClassBreaks(sorted, { min: 0, max: 100 }, { scheme: 'equal', classes: 5 });
+
+    assert.strictEqual(result.scheme, 'equal');
+    assert.deepStrictEqual(result.breaks, [0, 20, 40, 60, 80, 100]);
+});
+
+test('equal interval outer classes reach values outside the color range', () => {
+    const result = getClassBreaks([-50, 10, 90, 300], { min: 0, max: 100 }, { scheme: 'equal', classes: 4 });
+
+    assert.deepStrictEqual(result.breaks, [-50, 25, 50, 75, 300]);
+});
+
+test('quantile merges classes with repeated breaks', () => {
+    const result = getClassBreaks([1, 1, 1, 1, 1, 1, 2, 3], { min: 1, max: 3 }, { scheme: 'quantile', classes: 4 });
+
+    assert.strictEqual(result.scheme, 'quantile');
+    assert.deepStrictEqual(result.breaks, [1, 2, 3]);
+});
+
+test('quantile falls back to equal interval when every value is the same', () => {
+    const result = getClassBreaks([5, 5, 5, 5], { min: 5, max: 5 }, { scheme: 'quantile', classes: 5 });
+
+    assert.strictEqual(result.scheme, 'equal');
+});
+
+test('jenks separates clusters', () => {
+    const sorted = [1, 2, 3, 10, 11, 12, 20, 21, 22];
+    const result = getClassBreaks(sorted, { min: 1, max: 22 }, { scheme: 'jenks', classes: 3 });
+
+    assert.strictEqual(result.scheme, 'jenks');
+    assert.deepStrictEqual(result.breaks, [1, 10, 20, 22]);
+});
+
+test('jenks handles tied values with fewer distinct values than classes', () => {
+    // Like years to recover: mostly 0, a few whole years
+    const sorted = [];
+    for (let year = 0; year <= 5; year++) {
+        const count = year === 0 ? 300 : 40;
+        for (let i = 0; i < count; i++) sorted.push(year);
+    }
+
+    assert.doesNotThrow(() => getJenksBreaks(sorted, 11));
+    const result = getClassBreaks(sorted, { min: 0, max: 5 }, { scheme: 'jenks', classes: 11 });
+
+    assert.strictEqual(result.scheme, 'jenks');
+    assert.deepStrictEqual(result.breaks, [0, 1, 2, 3, 4, 5]);
+});
+
+test('jenks handles a long run of tied values', () => {
+    const sorted = [...new Array(1000).fill(0), 1, 1, 2, 7, 7, 7, 9];
+
+    for (const classes of CLASS_COUNTS) {
+        const result = getClassBreaks(sorted, { min: 0, max: 9 }, { scheme: 'jenks', classes });
+        assertIncreasing(result.breaks);
+        assert.strictEqual(result.breaks[0], 0);
+        assert.strictEqual(result.breaks[result.breaks.length - 1], 9);
+    }
+});
+
+test('jenks falls back to equal interval when every value is the same', () => {
+    assert.deepStrictEqual(getJenksBreaks([3, 3, 3, 3], 5), []);
+
+    const result = getClassBreaks([3, 3, 3, 3], { min: 3, max: 3 }, { scheme: 'jenks', classes: 5 });
+    assert.strictEqual(result.scheme, 'equal');
+});
+
+test('logarithmic breaks are evenly spaced on a log scale', () => {
+    const result = getClassBreaks([1, 10, 100, 1000], { min: 1, max: 1000 }, { scheme: 'log', classes: 3 });
+
+    assert.strictEqual(result.scheme, 'log');
+    [1, 10, 100, 1000].forEach((expected, i) => {
+        assert.ok(Math.abs(result.breaks[i] - expected) < 1e-9, `break ${i}: ${result.breaks[i]}`);
+    });
+});
+
+test('logarithmic falls back to equal interval for values at or below zero', () => {
+    const result = getClassBreaks([-5, 0, 5], { min: -5, max: 5 }, { scheme: 'log', classes: 2 });
+
+    assert.strictEqual(result.scheme, 'equal');
+    assert.deepStrictEqual(result.breaks, [-5, 0, 5]);
+});
+
+test('standard deviation drops classes outside the values', () => {
+    const sorted = [10, 20, 30, 40, 50];
+    const result = getClassBreaks(sorted, { min: 10, max: 50 }, { scheme: 'stddev', classes: 11 });
+
+    assert.strictEqual(result.scheme, 'stddev');
+    assertIncreasing(result.breaks);
+    assert.ok(result.breaks.length < 12);
+});
+
+test('custom breaks are used as given', () => {
+    const result = getClassBreaks([100, 500, 900], { min: 100, max: 900 }, {
+        scheme: 'custom',
+        classes: 11,
+        customBreaks: [250, 600]
+    });
+
+    assert.strictEqual(result.scheme, 'custom');
+    assert.deepStrictEqual(result.breaks, [100, 250, 600, 900]);
+});
+
+test('values are counted in their classes', () => {
+    const breaks = [0, 10, 20, 30];
+
+    assert.strictEqual(getClassIndex(9.9, breaks), 0);
+    assert.strictEqual(getClassIndex(10, breaks), 1);
+    assert.strictEqual(getClassIndex(30, breaks), 2);
+    assert.deepStrictEqual(countClassValues([0, 9.9, 10, null, 25, 30], breaks), [2, 1, 2]);
+});
+
+test('class colors spread across the palette', () => {
+    const palette = ['#000000', '#111111', '#222222', '#333333', '#444444', '#555555', '#666666'];
+
+    assert.deepStrictEqual(getClassPalette(palette, 3), ['#000000', '#333333', '#666666']);
+    assert.strictEqual(getClassColor(25, [0, 10, 20, 30], palette, false), '#666666');
+    assert.strictEqual(getClassColor(null, [0, 10, 20, 30], palette, false), NO_DATA_COLOR);
+});
+
+test('custom breaks are parsed with k and m suffixes', () => {
+    assert.deepStrictEqual(parseCustomBreaks('350k, 200k 1.2m; $5, 200k, abc'), [5, 200000, 350000, 1200000]);
+    assert.deepStrictEqual(parseCustomBreaks('-10, 0, 25%'), [-10, 0, 25]);
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for the price data / boundary join checks (js/data-checks.js)
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Load the scripts into this file's global scope, like scripts/check-data.js
+['js/config.js', 'js/metrics.js', 'js/data-checks.js'].forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+});
+
+/**
+ * Build a ZIP row with a value for every year except the given ones
+ * @param {Array<number>} [missing] - Years without a value
+ * @returns {Float32Array} ZIP row
+ */
+function makeRow(missing = []) {
+    const row = new Float32Array(YEAR_COUNT).fill(100000);
+    missing.forEach(year => {
+        row[year - 2000] = NaN;
+    });
+    return row;
+}
+
+test('a complete row has no gaps', () => {
+    assert.strictEqual(describeYearGaps(makeRow()), null);
+});
+
+test('missing years are collapsed into ranges and described', () => {
+    assert.deepStrictEqual(describeYearGaps(makeRow([2000, 2001, 2002, 2003, 2010, 2025])), {
+        firstYear: 2004,
+        lastYear: 2024,
+        missing: 6,
+        gaps: '2000-2003; 2010; 2025',
+        kind: 'starts late, ends early, interior gap'
+    });
+});
+
+test('a row without values has no first or last year', () => {
+    const years = [];
+    for (let year = 2000; year <= 2025; year++) years.push(year);
+    const gaps = describeYearGaps(makeRow(years));
+
+    assert.strictEqual(gaps.firstYear, null);
+    assert.strictEqual(gaps.gaps, '2000-2025');
+    assert.strictEqual(gaps.kind, 'no data');
+});
+
+test('state issues list each disagreement', () => {
+    assert.deepStrictEqual(findStateIssues('WI', 'WI', ['WI']), []);
+    assert.deepStrictEqual(findStateIssues('MN', 'WI', ['WI']), [
+        'CSV state differs from ZIP prefix',
+        'CSV state differs from state file'
+    ]);
+    assert.deepStrictEqual(findStateIssues('', 'PR', []), ['ZIP prefix maps to PR, which has no state file']);
+    assert.deepStrictEqual(findStateIssues('WI', 'WI', ['WI', 'MN']), ['polygon is in more than one state file']);
+});
+
+test('prefixes without a state file or a mapping are reported', () => {
+    const issues = findPrefixIssues(['00012', '00601', '53703'], ['53703']);
+    const byPrefix = Object.fromEntries(issues.map(issue => [issue.Prefix, issue]));
+
+    assert.deepStrictEqual(byPrefix['000'], {
+        Prefix: '000', Prefix_State: '', CSV_ZIPs: 1, ZCTAs: 0, Issue: 'used by the data but not in ZIP_STATE_MAP'
+    });
+    assert.strictEqual(byPrefix['006'].Issue, 'maps to PR, which has no state file');
+    assert.strictEqual(byPrefix['006'].CSV_ZIPs, 1);
+    assert.strictEqual(byPrefix['537'], undefined);
+});
+
+test('the join is checked both ways', () => {
+    const prices = {
+        zips: ['53703', '53704', '02903'],
+        states: ['WI', 'WI', 'RI'],
+        rows: [makeRow(), makeRow([2000]), makeRow()]
+    };
+    const report = checkDataJoin(prices, { WI: ['53703', '53705'], RI: ['02903'] });
+
+    assert.deepStrictEqual(report.totals, {
+        csvZips: 3,
+        polygons: 3,
+        joined: 2,
+        polygonsWithoutPrices: 1,
+        pricesWithoutPolygons: 1,
+        yearGaps: 1,
+        stateConflicts: 0,
+        prefixIssues: report.prefixIssues.length
+    });
+    assert.deepStrictEqual(report.coverage.find(entry => entry.State === 'WI'), {
+        State: 'WI',
+        ZCTAs: 2,
+        With_Prices: 1,
+        Without_Prices: 1,
+        Coverage_Pct: 50,
+        CSV_Rows: 2,
+        CSV_Without_Polygon: 1
+    });
+    assert.deepStrictEqual(report.polygonsWithoutPrices, [{ ZIP: '53705', State_File: 'WI' }]);
+    assert.deepStrictEqual(report.pricesWithoutPolygons, [{ ZIP: '53704', CSV_State: 'WI', Prefix_State: 'WI' }]);
+    assert.strictEqual(report.yearGaps[0].Kind, 'starts late');
+});
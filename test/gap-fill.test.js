@@ -0,0 +1,119 @@
+/**
+ * Tests for gap filling and jump detection (js/gap-fill.js)
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Load the scripts into this file's global scope, in the data worker's order
+['js/config.js', 'js/metrics.js', 'js/gap-fill.js'].forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+});
+
+/**
+ * Build a ZIP row like the data worker's, NaN for years not given
+ * @param {Object<number, number>} values - Value by year
+ * @returns {Float32Array} ZIP row
+ */
+function makeRow(values) {
+    const row = new Float32Array(YEAR_COUNT).fill(NaN);
+    Object.entries(values).forEach(([year, value]) => {
+        row[year - 2000] = value;
+    });
+    return row;
+}
+
+/**
+ * Fill one row against the given trends
+ * @param {Float32Array} row - ZIP row
+ * @param {Array} trends - Trends, most specific first
+ * @returns {Object} { filled, estimated }
+ */
+function fillRow(row, trends) {
+    const filled = new Float32Array(YEAR_COUNT);
+    const estimated = new Uint8Array(YEAR_COUNT);
+    fillRowGaps(row, trends, filled, estimated);
+    return { filled, estimated };
+}
+
+// A trend that doubles every year
+const DOUBLING = new Array(YEAR_COUNT - 1).fill(2);
+
+test('interior gaps are interpolated and marked as estimated', () => {
+    const { filled, estimated } = fillRow(makeRow({ 2000: 100, 2004: 200 }), []);
+
+    assert.deepStrictEqual(Array.from(filled.subarray(0, 5)), [100, 125, 150, 175, 200]);
+    assert.deepStrictEqual(Array.from(estimated.subarray(0, 5)), [0, 1, 1, 1, 0]);
+});
+
+test('leading gaps are backcast along the trend', () => {
+    const { filled, estimated } = fillRow(makeRow({ 2002: 400 }), [DOUBLING]);
+
+    assert.deepStrictEqual(Array.from(filled.subarray(0, 3)), [100, 200, 400]);
+    assert.deepStrictEqual(Array.from(estimated.subarray(0, 3)), [1, 1, 0]);
+});
+
+test('backcasting falls back to the next trend for years the first one lacks', () => {
+    const prefix = DOUBLING.slice();
+    prefix[0] = null;
+    const { filled } = fillRow(makeRow({ 2002: 400 }), [prefix, new Array(YEAR_COUNT - 1).fill(4)]);
+
+    assert.deepStrictEqual(Array.from(filled.subarray(0, 3)), [50, 200, 400]);
+});
+
+test('leading gaps without a trend and trailing gaps stay missing', () => {
+    const { filled, estimated } = fillRow(makeRow({ 2002: 400, 2003: 500 }), [new Array(YEAR_COUNT - 1).fill(null)]);
+
+    assert.ok(Number.isNaN(filled[1]));
+    assert.ok(Number.isNaN(filled[4]));
+    assert.strictEqual(estimated[1], 0);
+    assert.strictEqual(estimated[4], 0);
+});
+
+test('a trend needs enough ZIPs with both years', () => {
+    const rows = [];
+    for (let i = 0; i < GAP_TREND_MIN_ZIPS; i++) {
+        rows.push(makeRow({ 2000: 100, 2001: 100 + (i + 1) * 10, 2002: 100 }));
+    }
+    rows[0][2] = NaN;
+
+    const trend = getMedianTrend(rows);
+    assert.ok(Math.abs(trend[0] - 1.3) < 1e-6);
+    assert.strictEqual(trend[1], null);
+    assert.strictEqual(trend[2], null);
+});
+
+test('every ZIP is filled from its prefix trend', () => {
+    const zips = [];
+    const rows = [];
+    for (let i = 0; i < GAP_TREND_MIN_ZIPS; i++) {
+        const values = {};
+        for (let year = 2000; year <= 2025; year++) values[year] = 1000 * 2 ** (year - 2000);
+        zips.push(`5370${i}`);
+        rows.push(makeRow(values));
+    }
+    zips.push('53710');
+    rows.push(makeRow({ 2003: 8000 }));
+
+    const { values, estimated } = fillPriceGaps(zips, zips.map(() => 'WI'), rows);
+    const offset = GAP_TREND_MIN_ZIPS * YEAR_COUNT;
+
+    assert.deepStrictEqual(Array.from(values.subarray(offset, offset + 4)), [1000, 2000, 4000, 8000]);
+    assert.deepStrictEqual(Array.from(estimated.subarray(offset, offset + 4)), [1, 1, 1, 0]);
+    assert.ok(estimated.subarray(0, offset).every(flag => flag === 0));
+});
+
+test('year-over-year jumps are flagged above the threshold', () => {
+    const row = makeRow({ 2000: 100, 2001: 200, 2002: 240, 2004: 10 });
+
+    assert.strictEqual(findYearJump(row, 2001, 0.5), 1);
+    assert.strictEqual(findYearJump(row, 2002, 0.5), null);
+    assert.strictEqual(findYearJump(row, 2004, 0.5), null);
+    assert.strictEqual(findYearJump(row, 2000, 0.5), null);
+});
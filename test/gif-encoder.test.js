@@ -0,0 +1,168 @@
+/**
+ * Tests for the animated GIF encoder (js/gif-encoder.js)
+ * Frames are decoded again with a plain LZW decoder to check they round-trip
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Load the script into this file's global scope
+['js/gif-encoder.js'].forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+});
+
+// Bytes before the first frame: header and screen descriptor, color table, loop extension
+const GIF_FRAMES_OFFSET = 13 + 256 * 3 + 19;
+
+// Bytes before a frame's LZW data: control extension, image descriptor, minimum code size
+const GIF_FRAME_HEADER_SIZE = 8 + 10 + 1;
+
+/**
+ * Decode GIF image data sub-blocks back to palette indices
+ * @param {Uint8Array} blocks - Sub-blocks, starting at the first block's size byte
+ * @param {number} minCodeSize - LZW minimum code size
+ * @returns {Array<number>} Palette indices
+ */
+function lzwDecodeGIF(blocks, minCodeSize) {
+    const bytes = [];
+    for (let o = 0; blocks[o] !== 0; ) {
+        const size = blocks[o++];
+        for (let j = 0; j < size; j++) bytes.push(blocks[o++]);
+    }
+
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    const output = [];
+    let table = [];
+    let codeSize = minCodeSize + 1;
+    let previous = null;
+    let bit = 0;
+
+    while (bit + codeSize <= bytes.length * 8) {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, bit++) {
+            code |= ((bytes[bit >> 3] >> (bit & 7)) & 1) << i;
+        }
+
+        if (code === clearCode) {
+            table = [];
+            for (let i = 0; i < clearCode + 2; i++) table.push([i]);
+            codeSize = minCodeSize + 1;
+            previous = null;
+            continue;
+        }
+        if (code === eoiCode) break;
+
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+        } else if (code === table.length && previous) {
+            entry = [...previous, previous[0]];
+        } else {
+            throw new Error(`Bad LZW code ${code}`);
+        }
+        output.push(...entry);
+
+        if (previous && table.length < 4096) {
+            table.push([...previous, entry[0]]);
+            if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        previous = entry;
+    }
+
+    return output;
+}
+
+/**
+ * Make repeatable pseudo-random palette indices with runs, like a map frame
+ * @param {number} count - Number of pixels
+ * @param {number} colors - Number of distinct indices
+ * @returns {Uint8Array} Palette indices
+ */
+function makeIndices(count, colors) {
+    const indices = new Uint8Array(count);
+    let seed = 42;
+    for (let i = 0; i < count; i++) {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        indices[i] = seed % 4 === 0 && i > 0 ? indices[i - 1] : seed % colors;
+    }
+    return indices;
+}
+
+test('the palette is a 6x7x6 color cube', () => {
+    const palette = buildGIFPalette();
+
+    assert.strictEqual(palette.length, 768);
+    assert.deepStrictEqual(Array.from(palette.subarray(0, 3)), [0, 0, 0]);
+    assert.deepStrictEqual(Array.from(palette.subarray(251 * 3, 252 * 3)), [255, 255, 255]);
+});
+
+test('pixels map to the nearest cube color', () => {
+    const indices = quantizeGIFFrame(new Uint8ClampedArray([
+        255, 0, 0, 255,
+        0, 0, 0, 255,
+        250, 250, 250, 255
+    ]));
+    const palette = buildGIFPalette();
+
+    assert.deepStrictEqual(Array.from(palette.subarray(indices[0] * 3, indices[0] * 3 + 3)), [255, 0, 0]);
+    assert.strictEqual(indices[1], 0);
+    assert.strictEqual(indices[2], 251);
+});
+
+test('LZW data decodes back to the same indices', () => {
+    const indices = makeIndices(5000, 7);
+
+    assert.deepStrictEqual(lzwDecodeGIF(lzwEncodeGIF(indices, 8), 8), Array.from(indices));
+});
+
+test('LZW data decodes back after the code table fills and is cleared', () => {
+    // Enough distinct sequences to pass 4096 codes several times
+    const indices = makeIndices(60000, 252);
+
+    assert.deepStrictEqual(lzwDecodeGIF(lzwEncodeGIF(indices, 8), 8), Array.from(indices));
+});
+
+test('sub-blocks hold at most 255 bytes and end with an empty block', () => {
+    const blocks = lzwEncodeGIF(makeIndices(20000, 252), 8);
+    let o = 0;
+    while (blocks[o] !== 0) {
+        assert.ok(blocks[o] <= 255);
+        o += blocks[o] + 1;
+    }
+
+    assert.strictEqual(o, blocks.length - 1);
+});
+
+test('the encoder writes a looping GIF with each frame', async () => {
+    const width = 3;
+    const height = 2;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < data.length; p += 4) {
+        data[p] = p * 10;
+        data[p + 3] = 255;
+    }
+
+    const encoder = createGIFEncoder(width, height, 800);
+    encoder.addFrame({ data });
+    const blob = encoder.finish();
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    assert.strictEqual(blob.type, 'image/gif');
+    assert.strictEqual(Buffer.from(bytes.subarray(0, 6)).toString('ascii'), 'GIF89a');
+    assert.deepStrictEqual(Array.from(bytes.subarray(6, 10)), [3, 0, 2, 0]);
+    assert.strictEqual(Buffer.from(bytes.subarray(13 + 768 + 3, 13 + 768 + 14)).toString('ascii'), 'NETSCAPE2.0');
+    // 800 ms is 80 hundredths of a second
+    assert.deepStrictEqual(Array.from(bytes.subarray(GIF_FRAMES_OFFSET + 4, GIF_FRAMES_OFFSET + 6)), [80, 0]);
+    assert.deepStrictEqual(
+        lzwDecodeGIF(bytes.subarray(GIF_FRAMES_OFFSET + GIF_FRAME_HEADER_SIZE), 8),
+        Array.from(quantizeGIFFrame(data))
+    );
+    assert.strictEqual(bytes[bytes.length - 1], 0x3b);
+});
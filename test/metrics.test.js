@@ -0,0 +1,159 @@
+/**
+ * Tests for the derived ZIP metrics (js/metrics.js)
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Load the scripts into this file's global scope, in the data worker's order
+['js/config.js', 'js/metrics.js'].forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+});
+
+/**
+ * Build a ZIP row like the data worker's, NaN for years not given
+ * @param {Object<number, number>} values - Value by year
+ * @returns {Float32Array} ZIP row
+ */
+function makeRow(values) {
+    const row = new Float32Array(YEAR_COUNT).fill(NaN);
+    Object.entries(values).forEach(([year, value]) => {
+        row[year - 2000] = value;
+    });
+    return row;
+}
+
+// Rose to a 2007 peak, bottomed out in 2012 and passed the peak again in 2016
+const CRASH_ROW = makeRow({
+    2000: 100000, 2006: 200000, 2007: 220000, 2010: 150000, 2012: 140000, 2016: 230000
+});
+
+test('missing years read as null', () => {
+    assert.strictEqual(parseYearValue(CRASH_ROW, 2006), 200000);
+    assert.strictEqual(parseYearValue(CRASH_ROW, 2001), null);
+    assert.strictEqual(parseYearValue(null, 2006), null);
+});
+
+test('drawdown runs from the crash peak to the lowest value after it', () => {
+    const drawdown = calculateCrashDrawdown(getPriceHistory(CRASH_ROW));
+
+    assert.strictEqual(drawdown.peakYear, 2007);
+    assert.strictEqual(drawdown.troughYear, 2012);
+    assert.ok(Math.abs(drawdown.percent - (140000 - 220000) / 220000 * 100) < 1e-9);
+});
+
+test('recovery counts the years from the peak back to it', () => {
+    assert.strictEqual(calculateRecoveryYears(getPriceHistory(CRASH_ROW)), 9);
+    assert.deepStrictEqual(getStaticMetrics(CRASH_ROW), {
+        drawdown: (140000 - 220000) / 220000 * 100,
+        recovery: 9,
+        unrecovered: false
+    });
+});
+
+test('a ZIP still below its peak is unrecovered, one that never fell recovered at once', () => {
+    const below = makeRow({ 2006: 200000, 2010: 150000, 2025: 190000 });
+    assert.strictEqual(getMetricValue('recovery', below, 2025, 2000), null);
+    assert.strictEqual(getStaticMetrics(below).unrecovered, true);
+
+    const rising = makeRow({ 2006: 200000, 2010: 210000, 2012: 220000 });
+    assert.strictEqual(getMetricValue('recovery', rising, 2025, 2000), 0);
+    assert.strictEqual(getStaticMetrics(rising).unrecovered, false);
+});
+
+test('change and annual growth are measured from the base year', () => {
+    assert.strictEqual(getMetricValue('change', CRASH_ROW, 2006, 2000), 100);
+    assert.ok(Math.abs(getMetricValue('cagr', CRASH_ROW, 2006, 2000) - (Math.pow(2, 1 / 6) - 1) * 100) < 1e-9);
+    assert.strictEqual(getMetricValue('cagr', CRASH_ROW, 2000, 2000), null);
+    assert.strictEqual(getMetricValue('change', CRASH_ROW, 2006, 2001), null);
+});
+
+test('uploaded values may be zero or negative', () => {
+    const row = makeRow({ 2010: -3, 2011: 0 });
+
+    assert.strictEqual(getMetricValue('upload', row, 2010, 2000), -3);
+    assert.strictEqual(getMetricValue('upload', row, 2011, 2000), 0);
+    assert.strictEqual(getMetricValue('upload', row, 2012, 2000), null);
+});
+
+test('fractional years blend the years around them', () => {
+    assert.strictEqual(getInterpolatedMetricValue('price', CRASH_ROW, 2006.5, 2000), 210000);
+    // 2008 is missing, so the nearer year is used
+    assert.strictEqual(getInterpolatedMetricValue('price', CRASH_ROW, 2007.25, 2000), 220000);
+    assert.strictEqual(getInterpolatedMetricValue('price', CRASH_ROW, 2009.75, 2000), 150000);
+});
+
+test('compound annual growth defaults to the first and last years with data', () => {
+    const cagr = calculateCAGR(getPriceHistory(CRASH_ROW));
+
+    assert.strictEqual(cagr.startYear, 2000);
+    assert.strictEqual(cagr.endYear, 2016);
+    assert.ok(Math.abs(cagr.rate - (Math.pow(2.3, 1 / 16) - 1) * 100) < 1e-9);
+});
+
+test('year-over-year change needs both years', () => {
+    const history = getPriceHistory(CRASH_ROW);
+
+    assert.strictEqual(calculateYoYChange(history, 2007), 10);
+    assert.strictEqual(calculateYoYChange(history, 2010), null);
+});
+
+test('diverging ranges are centered on zero', () => {
+    const values = [];
+    for (let i = -20; i <= 80; i++) values.push(i);
+    const summary = summarizeValues(values, true);
+
+    assert.strictEqual(summary.max, -summary.min);
+    assert.strictEqual(summary.median, 30);
+    assert.strictEqual(summary.lowest, -20);
+    assert.strictEqual(summary.highest, 80);
+    assert.strictEqual(summarizeValues([], false), null);
+});
+
+test('a range of equal values still has a width', () => {
+    const summary = summarizeValues([5, 5, 5], false);
+
+    assert.strictEqual(summary.min, 5);
+    assert.strictEqual(summary.max, 6);
+});
+
+test('group medians skip ZIPs without a value', () => {
+    const groups = {
+        WI: [makeRow({ 2010: 100 }), makeRow({ 2010: 300 }), makeRow({ 2010: 200 }), makeRow({})],
+        RI: [makeRow({})]
+    };
+
+    assert.deepStrictEqual(calculateGroupMedians(groups, 'price', 2010, 2000), {
+        WI: { median: 200, count: 3 },
+        RI: null
+    });
+});
+
+test('ratios skip missing prices and values that are not positive', () => {
+    const ratios = divideYearRows(makeRow({ 2000: 300000, 2001: 310000, 2002: 320000 }), makeRow({ 2000: 60000, 2001: 0 }));
+
+    assert.strictEqual(ratios[0], 5);
+    assert.ok(Number.isNaN(ratios[1]));
+    assert.ok(Number.isNaN(ratios[2]));
+    assert.ok(divideYearRows(null, makeRow({ 2000: 1 })).every(Number.isNaN));
+});
+
+test('constant dollars restate each year by CPI-U', () => {
+    const [row] = deflateRows([makeRow({ 2000: 100000, 2025: 100000 })], 2025);
+
+    assert.ok(Math.abs(row[0] - 100000 * CPI_U[2025] / CPI_U[2000]) < 1);
+    assert.strictEqual(row[25], 100000);
+    assert.ok(Number.isNaN(row[1]));
+});
+
+test('percentages are formatted with a sign', () => {
+    assert.strictEqual(formatPercent(3.456), '+3.5%');
+    assert.strictEqual(formatPercent(-2, 0), '-2%');
+    assert.strictEqual(formatPercent(null), 'N/A');
+});
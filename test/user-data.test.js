@@ -0,0 +1,74 @@
+/**
+ * Tests for reading uploaded CSV cells and columns (js/user-data.js)
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Load the script into this file's global scope - the parsers don't touch the page
+['js/user-data.js'].forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+});
+
+test('ZIP codes are read from the ways spreadsheets write them', () => {
+    assert.strictEqual(parseUserZip('53703'), '53703');
+    assert.strictEqual(parseUserZip(' 2134 '), '02134');
+    assert.strictEqual(parseUserZip('601'), '00601');
+    assert.strictEqual(parseUserZip('53703-1234'), '53703');
+    assert.strictEqual(parseUserZip('ZCTA5 53703'), '53703');
+    assert.strictEqual(parseUserZip(53703), '53703');
+});
+
+test('cells without a ZIP code are skipped', () => {
+    assert.strictEqual(parseUserZip(''), null);
+    assert.strictEqual(parseUserZip(null), null);
+    assert.strictEqual(parseUserZip('12'), null);
+    assert.strictEqual(parseUserZip('Madison'), null);
+});
+
+test('numbers are read without currency, percent and thousands marks', () => {
+    assert.strictEqual(parseUserNumber('$1,250,000'), 1250000);
+    assert.strictEqual(parseUserNumber('-4.5%'), -4.5);
+    assert.strictEqual(parseUserNumber(' 72 000 '), 72000);
+    assert.strictEqual(parseUserNumber('0'), 0);
+    assert.strictEqual(parseUserNumber(''), null);
+    assert.strictEqual(parseUserNumber('n/a'), null);
+    assert.strictEqual(parseUserNumber(undefined), null);
+});
+
+test('year columns are found by name, one per year', () => {
+    const columns = getYearColumns(['ZIP', 'rent_2021', '2019', 'Income 2022', '2019 (revised)', '1999', '2030']);
+
+    assert.deepStrictEqual(columns, [
+        { field: '2019', year: 2019 },
+        { field: 'rent_2021', year: 2021 },
+        { field: 'Income 2022', year: 2022 }
+    ]);
+});
+
+test('a single year column is not a time series', () => {
+    assert.deepStrictEqual(getYearColumns(['ZIP', 'income_2022', 'rent']), []);
+});
+
+test('the ZIP column is guessed by name, then by its values', () => {
+    assert.strictEqual(guessZipColumn(['Median income', 'Zip Code'], []), 'Zip Code');
+    assert.strictEqual(guessZipColumn(['Name', 'RegionName'], []), 'RegionName');
+
+    const sample = [{ place: 'Madison', code: '53703' }, { place: 'Verona', code: '53593' }];
+    assert.strictEqual(guessZipColumn(['place', 'code'], sample), 'code');
+    assert.strictEqual(guessZipColumn(['a', 'b'], [{ a: 'x', b: 'y' }]), 'a');
+});
+
+test('the unit is guessed from the value cells', () => {
+    const columns = [{ field: 'value' }];
+
+    assert.strictEqual(getUserDataUnit([{ value: '$1,200' }, { value: '900' }], columns), 'currency');
+    assert.strictEqual(getUserDataUnit([{ value: '4%' }], columns), 'percent');
+    assert.strictEqual(getUserDataUnit([{ value: '72000' }, {}], columns), 'number');
+});